@@ -6,6 +6,7 @@ import { getPaginationHTML, getStatsHTML } from "./jobCard.js";
 import { getJobListHTML } from "./jobList.js";
 import { getFilterPanelHTML, getFilterValues } from "./filters.js";
 import { AskComponent } from "./askComponent.js";
+import { addDays, islandDate, islandToday } from "./dates.js";
 
 class JobsApp {
     constructor() {
@@ -123,6 +124,17 @@ class JobsApp {
                 return;
             }
 
+            // Earlier or later posting of a re-advertised role: open it here if it's listed
+            const readvertisementLink = e.target.closest(".readvertisement-link");
+            if (readvertisementLink) {
+                const jobId = parseInt(readvertisementLink.dataset.jobId, 10);
+                if (this.allJobs.some(job => job.id === jobId)) {
+                    e.preventDefault();
+                    this.selectJobById(jobId);
+                }
+                return;
+            }
+
             // Close detail button
             if (e.target.classList.contains("btn-close-detail")) {
                 this.expandedJobId = null;
@@ -172,6 +184,28 @@ class JobsApp {
             this.expandedJobId = jobId;
         }
         this.displayJobs();
+        this.loadReadvertisements(this.expandedJobId);
+    }
+
+    /**
+     * Fetch a re-advertised job's earlier and later postings for its detail panel
+     */
+    async loadReadvertisements(jobId) {
+        const job = this.allJobs.find(j => j.id === jobId);
+        if (!job || !(job.readvertise_count > 0) || job.readvertisements) return;
+
+        try {
+            const response = await fetch(`${this.API_URL}/job/${jobId}`);
+            const data = await response.json();
+            if (!data.success) return;
+
+            job.readvertisements = data.data.readvertisements;
+            if (this.expandedJobId === jobId) {
+                this.displayJobs();
+            }
+        } catch (error) {
+            console.error("Error loading re-advertisements:", error);
+        }
     }
 
     selectJobById(jobId) {
@@ -186,6 +220,8 @@ class JobsApp {
         if (classification) classification.value = "";
         const hoursType = document.getElementById("filter-hours-type");
         if (hoursType) hoursType.value = "";
+        const region = document.getElementById("filter-region");
+        if (region) region.value = "";
         const lastDays = document.getElementById("filter-last-days");
         if (lastDays) lastDays.value = "";
         this.toggleSearchClear("");
@@ -201,6 +237,7 @@ class JobsApp {
         // Set the expanded job
         this.expandedJobId = jobId;
         this.displayJobs();
+        this.loadReadvertisements(jobId);
 
         // Scroll to the job row
         setTimeout(() => {
@@ -327,19 +364,18 @@ class JobsApp {
                 return false;
             }
 
+            // Region filter
+            if (filters.region && job.region !== filters.region) {
+                return false;
+            }
+
             // Last days filter (use scraped_at as fallback since source has no posted date)
             if (filters.last_days) {
                 const daysAgo = parseInt(filters.last_days, 10);
-                // Normalize cutoff date to start of day for fair comparison
-                const cutoffDate = new Date();
-                cutoffDate.setHours(0, 0, 0, 0);
-                cutoffDate.setDate(cutoffDate.getDate() - daysAgo);
+                // Whole Island days, as the worker counts them
+                const cutoffDate = addDays(islandToday(), -daysAgo);
                 // Use posted_date if available, otherwise fall back to scraped_at
-                const dateStr = job.posted_date || job.scraped_at;
-                const jobDate = dateStr ? new Date(dateStr) : null;
-                if (jobDate) {
-                    jobDate.setHours(0, 0, 0, 0);
-                }
+                const jobDate = job.posted_date || (job.scraped_at ? islandDate(job.scraped_at) : null);
                 if (!jobDate || jobDate < cutoffDate) {
                     return false;
                 }
@@ -459,7 +495,7 @@ class JobsApp {
 
         const activeOnlyUnchecked = !document.getElementById("filter-active-only")?.checked;
         const hasActiveFilters = filters.search || filters.classification ||
-            filters.hours_type || filters.last_days || activeOnlyUnchecked;
+            filters.hours_type || filters.region || filters.last_days || activeOnlyUnchecked;
         clearBtn.hidden = !hasActiveFilters;
     }
 
@@ -473,6 +509,9 @@ class JobsApp {
         const hoursType = document.getElementById("filter-hours-type");
         if (hoursType) hoursType.value = "";
 
+        const region = document.getElementById("filter-region");
+        if (region) region.value = "";
+
         const lastDays = document.getElementById("filter-last-days");
         if (lastDays) lastDays.value = "";
 
@@ -543,7 +582,8 @@ class JobsApp {
                     "title": job.title,
                     "description": job.description || job.summary || "",
                     "datePosted": job.posted_date || undefined,
-                    "validThrough": job.closing_date ? `${job.closing_date}T23:59:59` : undefined,
+                    "validThrough": job.closing_at ? `${job.closing_at.replace(" ", "T")}Z` :
+                                    job.closing_date ? `${job.closing_date}T23:59:59` : undefined,
                     "employmentType": job.hours_type === "full-time" ? "FULL_TIME" :
                                       job.hours_type === "part-time" ? "PART_TIME" : undefined,
                     "hiringOrganization": {
@@ -557,17 +597,24 @@ class JobsApp {
                             "addressLocality": job.location || "Isle of Man",
                             "addressRegion": "Isle of Man",
                             "addressCountry": "IM"
-                        }
+                        },
+                        ...(job.latitude != null && {
+                            "geo": {
+                                "@type": "GeoCoordinates",
+                                "latitude": job.latitude,
+                                "longitude": job.longitude
+                            }
+                        })
                     },
-                    ...(job.salary_min && {
+                    ...((job.salary_min || job.salary_max) && {
                         "baseSalary": {
                             "@type": "MonetaryAmount",
                             "currency": "GBP",
                             "value": {
                                 "@type": "QuantitativeValue",
-                                "minValue": job.salary_min,
-                                "maxValue": job.salary_max || job.salary_min,
-                                "unitText": job.salary_type === "hourly" ? "HOUR" : "YEAR"
+                                "minValue": job.salary_min ?? job.salary_max,
+                                "maxValue": job.salary_max ?? job.salary_min,
+                                "unitText": { hourly: "HOUR", daily: "DAY", weekly: "WEEK", monthly: "MONTH" }[job.salary_type] || "YEAR"
                             }
                         }
                     })
@@ -1,13 +1,19 @@
 // Frontend configuration for IOM Job Scraper
 //
 // FORK: Update PRODUCTION_API_URL with your Cloudflare Worker URL
-// after running `wrangler deploy` in the worker/ directory.
+// after running `wrangler deploy` in the worker/ directory, and TIME_ZONE
+// to match the worker's (worker/config.js).
 
 /**
  * Deployed Worker URL (from `wrangler deploy` output)
  */
 const PRODUCTION_API_URL = "https://iom-job-scraper.r4qavgnsae.workers.dev";
 
+/**
+ * Time zone the job boards' dates are in ("today", closing dates and times)
+ */
+const TIME_ZONE = "Europe/Isle_of_Man";
+
 /**
  * Detect the appropriate API URL based on hostname
  */
@@ -24,6 +30,7 @@ function detectApiUrl() {
 }
 
 export const CONFIG = {
+    timeZone: TIME_ZONE,
     api: {
         baseUrl: detectApiUrl(),
     },
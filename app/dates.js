@@ -0,0 +1,67 @@
+// Island Dates for IOM Job Scraper
+// "Today" and "closed" the way the worker decides them (see worker/dates.js and
+// markExpiredJobs in worker/scraper.js): on the Island's clock, whatever time
+// zone the browser is in, so a job shows as closed exactly when the API closes it.
+
+import { CONFIG } from "./config.js";
+
+const islandFormat = new Intl.DateTimeFormat("en-CA", {
+    timeZone: CONFIG.timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+});
+
+/**
+ * Today's date on the Island, as YYYY-MM-DD
+ */
+export function islandToday(now = new Date()) {
+    return islandFormat.format(now);
+}
+
+/**
+ * The Island date of a UTC timestamp, as SQLite writes them ("YYYY-MM-DD HH:MM:SS")
+ * or as ISO 8601 ("YYYY-MM-DDTHH:MM:SS.sssZ", e.g. scraped_at)
+ */
+export function islandDate(timestamp) {
+    return islandToday(parseUtcTimestamp(timestamp));
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+export function addDays(dateStr, days) {
+    const shifted = new Date(`${dateStr}T12:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().split("T")[0];
+}
+
+/**
+ * Whole days from today on the Island to a YYYY-MM-DD date (negative once past)
+ */
+export function daysUntil(dateStr) {
+    if (!dateStr) return null;
+    const today = Date.parse(`${islandToday()}T00:00:00Z`);
+    const target = Date.parse(`${dateStr}T00:00:00Z`);
+    return Math.round((target - today) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * Whether a job's closing date or time has passed
+ * closing_at is a UTC timestamp ("YYYY-MM-DD HH:MM:SS"); without one the job
+ * stays open until the end of its closing date on the Island.
+ */
+export function hasClosed(job) {
+    if (job.closing_at) {
+        return parseUtcTimestamp(job.closing_at).getTime() < Date.now();
+    }
+    return Boolean(job.closing_date) && job.closing_date < islandToday();
+}
+
+/**
+ * Parse a UTC timestamp, SQLite ("YYYY-MM-DD HH:MM:SS") or ISO 8601 with its own offset
+ */
+function parseUtcTimestamp(timestamp) {
+    const iso = timestamp.replace(" ", "T");
+    return new Date(/(?:Z|[+-]\d{2}:?\d{2})$/.test(iso) ? iso : `${iso}Z`);
+}
@@ -1,5 +1,5 @@
 // Filter Component for IOM Job Scraper
-// Includes search, job type, hours type, salary, and recent days filters
+// Includes search, job type, hours type, region, salary, and recent days filters
 
 // Classification options from source site
 const CLASSIFICATIONS = [
@@ -51,6 +51,14 @@ const CLASSIFICATIONS = [
     { value: "WELDER", label: "Welder" },
 ];
 
+// Parts of the Island jobs are placed in (region in worker/places.js)
+const REGIONS = [
+    { value: "north", label: "North" },
+    { value: "south", label: "South" },
+    { value: "east", label: "East (incl. Douglas)" },
+    { value: "west", label: "West" },
+];
+
 /**
  * Generate filter panel HTML
  */
@@ -86,6 +94,16 @@ export function getFilterPanelHTML(filterOptions, currentFilters = {}) {
                 </select>
             </div>
 
+            <div class="filter-group">
+                <label for="filter-region">Region</label>
+                <select id="filter-region">
+                    <option value="">Whole Island</option>
+                    ${REGIONS.map(r => `
+                        <option value="${r.value}" ${currentFilters.region === r.value ? "selected" : ""}>${r.label}</option>
+                    `).join("")}
+                </select>
+            </div>
+
             <div class="filter-group">
                 <label for="filter-last-days">Posted</label>
                 <select id="filter-last-days">
@@ -118,6 +136,7 @@ export function getFilterValues() {
         search: document.getElementById("filter-search")?.value?.trim() || undefined,
         classification: document.getElementById("filter-classification")?.value || undefined,
         hours_type: document.getElementById("filter-hours-type")?.value || undefined,
+        region: document.getElementById("filter-region")?.value || undefined,
         last_days: document.getElementById("filter-last-days")?.value || undefined,
     };
 }
@@ -135,6 +154,9 @@ export function clearFilters() {
     const hoursType = document.getElementById("filter-hours-type");
     if (hoursType) hoursType.value = "";
 
+    const region = document.getElementById("filter-region");
+    if (region) region.value = "";
+
     const lastDays = document.getElementById("filter-last-days");
     if (lastDays) lastDays.value = "";
 }
@@ -148,6 +170,7 @@ export function countActiveFilters() {
     if (document.getElementById("filter-search")?.value?.trim()) count++;
     if (document.getElementById("filter-classification")?.value) count++;
     if (document.getElementById("filter-hours-type")?.value) count++;
+    if (document.getElementById("filter-region")?.value) count++;
     if (document.getElementById("filter-last-days")?.value) count++;
 
     return count;
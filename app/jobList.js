@@ -1,6 +1,9 @@
 // Job List Component for IOM Job Scraper
 // Responsive list view with expandable detail panels showing full job info
 
+import { renderMarkdown } from "./markdown.js";
+import { daysUntil, hasClosed } from "./dates.js";
+
 /**
  * Escape HTML to prevent XSS
  */
@@ -36,42 +39,62 @@ function formatDate(dateStr) {
     });
 }
 
-/**
- * Calculate days until closing date
- */
-function daysUntil(dateStr) {
-    if (!dateStr) return null;
-    // Compare dates at midnight to get whole day difference
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    const target = new Date(dateStr + "T00:00:00");
-    target.setHours(0, 0, 0, 0);
-
-    const diffMs = target.getTime() - today.getTime();
-    return Math.round(diffMs / (1000 * 60 * 60 * 24));
-}
+// Labels for jobs closed before (or regardless of) their closing date
+const CLOSED_REASON_LABELS = {
+    withdrawn: "Withdrawn",
+    filled: "Filled",
+};
 
 /**
  * Get closing status text and class
  */
-function getClosingStatus(dateStr) {
+function getClosingStatus(job) {
+    const dateStr = job.closing_date;
+    if (CLOSED_REASON_LABELS[job.closed_reason]) {
+        return { text: CLOSED_REASON_LABELS[job.closed_reason], className: "closing-closed" };
+    }
+
     const daysLeft = daysUntil(dateStr);
 
-    if (daysLeft === null) return { text: "", className: "" };
-    if (daysLeft < 0) return { text: "Closed", className: "closing-closed" };
+    if (daysLeft === null) {
+        return job.closing_date_ambiguous ? { text: "See advert", className: "" } : { text: "", className: "" };
+    }
+    if (daysLeft < 0 || hasClosed(job)) return { text: "Closed", className: "closing-closed" };
     if (daysLeft === 0) return { text: "Today!", className: "closing-urgent" };
     if (daysLeft === 1) return { text: "Tomorrow", className: "closing-urgent" };
     if (daysLeft <= 7) return { text: `${daysLeft} days`, className: "closing-soon" };
     return { text: formatDate(dateStr), className: "" };
 }
 
+/**
+ * Full-time yearly equivalent, for salaries not already stated that way
+ */
+function formatAnnualEquivalent(job) {
+    if (job.salary_type === "annual" && !job.salary_pro_rata) return null;
+    const range = formatAnnualRange(job);
+    return range ? `${range} a year` : null;
+}
+
+/**
+ * Full-time yearly range, e.g. "£25,000 - £28,000" or "Up to £28,275"
+ */
+function formatAnnualRange(job) {
+    const { salary_annual_min: min, salary_annual_max: max } = job;
+    if (min == null && max == null) return null;
+
+    return min != null && max != null && min !== max
+        ? `£${min.toLocaleString()} - £${max.toLocaleString()}`
+        : `${min == null ? "Up to " : ""}£${(min ?? max).toLocaleString()}`;
+}
+
 /**
  * Format salary for display
  */
 function formatSalary(job) {
     if (job.salary_text && job.salary_text !== "To be advised") {
-        return escapeHtml(job.salary_text);
+        // Grade-only salaries show the band looked up from the grade's pay scale
+        const band = job.salary_pay_scale_id ? formatAnnualRange(job) : null;
+        return escapeHtml(band ? `${job.salary_text} (${band})` : job.salary_text);
     }
     if (job.salary_min && job.salary_max && job.salary_min !== job.salary_max) {
         return `£${job.salary_min.toLocaleString()} - £${job.salary_max.toLocaleString()}`;
@@ -79,6 +102,9 @@ function formatSalary(job) {
     if (job.salary_min) {
         return `£${job.salary_min.toLocaleString()}`;
     }
+    if (job.salary_max) {
+        return `Up to £${job.salary_max.toLocaleString()}`;
+    }
     return "—";
 }
 
@@ -122,7 +148,7 @@ export function getJobListHeaderHTML(sortConfig = { column: "closing_date", dire
  * Generate job row HTML
  */
 function getJobRowHTML(job, isExpanded = false) {
-    const closing = getClosingStatus(job.closing_date);
+    const closing = getClosingStatus(job);
     const salary = formatSalary(job);
     const hours = job.hours_type ? job.hours_type.charAt(0).toUpperCase() + job.hours_type.slice(1) : "—";
 
@@ -150,6 +176,28 @@ function getJobRowHTML(job, isExpanded = false) {
     `;
 }
 
+/**
+ * Earlier and later postings of a re-advertised role as links (fetched with the
+ * job's detail once it's expanded); postings in the list open there, others on gov.im
+ */
+function getReadvertisementsHTML(readvertisements) {
+    if (!readvertisements) return "";
+
+    const list = (label, postings) => postings.length === 0 ? "" : `
+        <div class="readvertisement-label">${label}</div>
+        <ul class="readvertisement-list">
+            ${postings.map(posting => `
+                <li>
+                    <a href="${escapeHtml(posting.source_url)}" target="_blank" rel="noopener" class="readvertisement-link" data-job-id="${posting.id}">${escapeHtml(posting.title)}</a>,
+                    posted ${formatDate(posting.posted_date || posting.scraped_at)}${posting.is_active ? "" : " (closed)"}
+                </li>
+            `).join("")}
+        </ul>
+    `;
+
+    return list("Earlier postings", readvertisements.previous || []) + list("Later postings", readvertisements.later || []);
+}
+
 /**
  * Generate expanded detail panel HTML with ALL job information
  */
@@ -161,9 +209,14 @@ export function getJobDetailHTML(job) {
     if (job.employer) keyInfo.push(`<dt>Employer</dt><dd>${escapeHtml(job.employer)}</dd>`);
     if (job.location) keyInfo.push(`<dt>Location</dt><dd>${escapeHtml(job.location)}</dd>`);
     if (job.salary_text) keyInfo.push(`<dt>Salary</dt><dd>${escapeHtml(job.salary_text)}</dd>`);
+    if (job.salary_grade) keyInfo.push(`<dt>Grade</dt><dd>${escapeHtml(job.salary_grade)}</dd>`);
+    if (job.salary_pay_scale_id) keyInfo.push(`<dt>Pay scale</dt><dd>${formatAnnualRange(job)} a year (published scale for this grade)</dd>`);
+    const annual = formatAnnualEquivalent(job);
+    if (annual) keyInfo.push(`<dt>Full-time equivalent</dt><dd>${annual}</dd>`);
     if (job.hours_option) keyInfo.push(`<dt>Hours</dt><dd>${escapeHtml(job.hours_option)}</dd>`);
     if (job.job_type) keyInfo.push(`<dt>Contract</dt><dd>${escapeHtml(job.job_type)}</dd>`);
     if (job.classification) keyInfo.push(`<dt>Category</dt><dd>${escapeHtml(job.classification)}</dd>`);
+    if (job.industry) keyInfo.push(`<dt>Industry</dt><dd>${escapeHtml(job.industry)}</dd>`);
     if (job.area) keyInfo.push(`<dt>Area</dt><dd>${escapeHtml(job.area)}</dd>`);
     if (job.reference) keyInfo.push(`<dt>Reference</dt><dd>${escapeHtml(job.reference)}</dd>`);
 
@@ -179,8 +232,23 @@ export function getJobDetailHTML(job) {
     // Dates Section
     const dates = [];
     if (job.posted_date) dates.push(`<dt>Posted</dt><dd>${formatDate(job.posted_date)}</dd>`);
-    if (job.closing_date) dates.push(`<dt>Closing</dt><dd>${formatDate(job.closing_date)}</dd>`);
+    if (job.closing_date) {
+        dates.push(`<dt>Closing</dt><dd>${formatDate(job.closing_date)}${job.closing_time ? `, ${escapeHtml(job.closing_time)}` : ""}</dd>`);
+    } else if (job.closing_date_ambiguous) {
+        // The advert's wording could mean more than one day, so show it as written
+        const text = job.additional_info?.closing_date_text;
+        dates.push(`<dt>Closing</dt><dd>${text ? `${escapeHtml(text)} ` : ""}(unclear, check the advert)</dd>`);
+    }
     if (job.start_date) dates.push(`<dt>Start Date</dt><dd>${escapeHtml(job.start_date)}</dd>`);
+    if (job.closed_reason === "withdrawn") {
+        dates.push(`<dt>Status</dt><dd>Withdrawn from the listings${job.closed_at ? ` on ${formatDate(job.closed_at.split(" ")[0])}` : ""}</dd>`);
+    } else if (job.closed_reason === "filled") {
+        dates.push(`<dt>Status</dt><dd>Vacancy filled</dd>`);
+    }
+    if (job.readvertise_count > 0) {
+        const times = job.readvertise_count === 1 ? "once" : `${job.readvertise_count} times`;
+        dates.push(`<dt>Re-advertised</dt><dd>This role has been re-advertised ${times}${getReadvertisementsHTML(job.readvertisements)}</dd>`);
+    }
 
     if (dates.length > 0) {
         sections.push(`
@@ -191,12 +259,14 @@ export function getJobDetailHTML(job) {
         `);
     }
 
-    // Description
+    // Description, with its original formatting when the page had any
     if (job.description) {
         sections.push(`
             <div class="detail-section">
                 <h4>Description</h4>
-                <div class="detail-text">${formatText(job.description)}</div>
+                ${job.description_markdown
+                    ? `<div class="detail-text detail-markdown">${renderMarkdown(job.description_markdown)}</div>`
+                    : `<div class="detail-text">${formatText(job.description)}</div>`}
             </div>
         `);
     } else if (job.summary) {
@@ -208,8 +278,34 @@ export function getJobDetailHTML(job) {
         `);
     }
 
+    // Responsibilities
+    if (job.responsibilities) {
+        sections.push(`
+            <div class="detail-section">
+                <h4>Responsibilities</h4>
+                <div class="detail-text">${formatText(job.responsibilities)}</div>
+            </div>
+        `);
+    }
+
     // Requirements
     const requirements = [];
+    if (job.essential_criteria) {
+        requirements.push(`
+            <div class="detail-subsection">
+                <h5>Essential</h5>
+                <div class="detail-text">${formatText(job.essential_criteria)}</div>
+            </div>
+        `);
+    }
+    if (job.desirable_criteria) {
+        requirements.push(`
+            <div class="detail-subsection">
+                <h5>Desirable</h5>
+                <div class="detail-text">${formatText(job.desirable_criteria)}</div>
+            </div>
+        `);
+    }
     if (job.qualifications) {
         requirements.push(`
             <div class="detail-subsection">
@@ -276,8 +372,9 @@ export function getJobDetailHTML(job) {
         const extra = [];
         for (const [key, value] of Object.entries(job.additional_info)) {
             // Skip already displayed fields
-            if (["employer", "location", "salary", "hours_option", "job_type", "closing_date", "start_date", "reference",
-                "contact_name", "contact_email", "contact_phone", "qualifications", "experience", "benefits", "how_to_apply"].includes(key)) {
+            if (["employer", "location", "salary", "hours_option", "job_type", "closing_date", "closing_date_text", "closing_time", "closing_at", "start_date",
+                "reference", "contact_name", "contact_email", "contact_phone", "qualifications", "experience", "benefits", "how_to_apply",
+                "industry", "external_id", "salary_type", "salary_currency", "title", "posted_date"].includes(key)) {
                 continue;
             }
             if (value && typeof value === "string" && value.length > 0) {
@@ -295,8 +392,8 @@ export function getJobDetailHTML(job) {
         }
     }
 
-    // Check if job listing has expired (1 day after closing date)
-    const isExpired = isJobExpired(job.closing_date);
+    // Check if job listing has closed (as the worker decides it) or been taken down
+    const isExpired = hasClosed(job) || Boolean(CLOSED_REASON_LABELS[job.closed_reason]);
 
     return `
         <div class="job-detail" data-job-id="${job.id}">
@@ -314,25 +411,17 @@ export function getJobDetailHTML(job) {
                         </a>
                     `}
                 ` : ""}
+                ${job.external_url && !isExpired ? `
+                    <a href="${escapeHtml(job.external_url)}" target="_blank" rel="noopener" class="btn-secondary">
+                        ${job.direct_apply ? "Apply on Full Advert" : "View Full Advert"}
+                    </a>
+                ` : ""}
                 <button type="button" class="btn-close-detail">Close</button>
             </div>
         </div>
     `;
 }
 
-/**
- * Check if a job has expired (1 day after closing date)
- */
-function isJobExpired(closingDateStr) {
-    if (!closingDateStr) return false;
-
-    const closingDate = new Date(closingDateStr + "T23:59:59");
-    const expiryDate = new Date(closingDate);
-    expiryDate.setDate(expiryDate.getDate() + 1);
-
-    return new Date() > expiryDate;
-}
-
 // Maximum jobs to show per section before requiring "Show all"
 const JOBS_PER_SECTION_LIMIT = 10;
 
@@ -423,6 +512,17 @@ export function getJobListHTML(jobs, expandedJobId = null, sortConfig = { column
     return html;
 }
 
+/**
+ * Value a job sorts on: salary sorts by full-time yearly equivalent, so hourly
+ * and annual rates compare fairly
+ */
+function sortValue(job, column) {
+    if (column === "salary_min") {
+        return job.salary_annual_min ?? job.salary_annual_max ?? job.salary_min;
+    }
+    return job[column];
+}
+
 /**
  * Sort jobs array by column and direction
  * Inactive (closed) jobs are always sorted to the bottom
@@ -437,8 +537,8 @@ function sortJobs(jobs, sortConfig) {
             return a.is_active ? -1 : 1;
         }
 
-        let aVal = a[column];
-        let bVal = b[column];
+        let aVal = sortValue(a, column);
+        let bVal = sortValue(b, column);
 
         // Handle null/undefined
         if (aVal == null && bVal == null) return 0;
@@ -0,0 +1,125 @@
+// Markdown Renderer for IOM Job Scraper
+// Renders the allowlisted Markdown the worker stores for descriptions (see
+// htmlToMarkdown in worker/html.js). Everything is escaped first, so the only
+// HTML that comes out is what's built here: headings, paragraphs, line breaks,
+// lists, bold, italics and http(s)/mailto links.
+
+const SAFE_LINK = /^(?:https?:\/\/|mailto:)/i;
+
+/**
+ * Escape HTML special characters (no DOM needed)
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+/**
+ * Bold and italics in escaped text
+ */
+function renderEmphasis(html) {
+    return html
+        .replace(/\*\*(?=\S)(.+?)\*\*/g, "<strong>$1</strong>")
+        .replace(/\*(?=\S)(.+?)\*/g, "<em>$1</em>");
+}
+
+/**
+ * Render one line's inline Markdown: escapes, links, bold and italics
+ */
+function renderInline(text) {
+    // Finished pieces are parked behind placeholders so later rules can't touch them
+    const parked = [];
+    const park = (html) => `\u0000${parked.push(html) - 1}\u0000`;
+
+    let html = text
+        .replace(/\u0000/g, "")
+        .replace(/\\([\\`*_[\]#<>+\-.!()])/g, (_, char) => park(escapeHtml(char)));
+
+    html = escapeHtml(html)
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) =>
+            SAFE_LINK.test(href) ? park(`<a href="${href}" target="_blank" rel="noopener">${renderEmphasis(label)}</a>`) : label
+        )
+        // Bare URLs, leaving off trailing punctuation
+        .replace(/(^|[\s(])(https?:\/\/[^\s<]*[^\s<.,;:!?)])/g, (match, before, url) =>
+            before + park(`<a href="${url}" target="_blank" rel="noopener">${url}</a>`)
+        );
+
+    html = renderEmphasis(html);
+    // Parked links can hold parked escapes, so restore until none are left
+    while (html.includes("\u0000")) {
+        html = html.replace(/\u0000(\d+)\u0000/g, (_, index) => parked[Number(index)]);
+    }
+    return html;
+}
+
+/**
+ * Render stored description Markdown as HTML
+ * Headings render two levels down (# → h5), under the panel's own h4 section titles.
+ * Lines within a paragraph keep their breaks, as they did in the source page.
+ * @param {string} markdown
+ * @returns {string} HTML
+ */
+export function renderMarkdown(markdown) {
+    if (!markdown) return "";
+
+    const html = [];
+    let paragraph = [];
+    // Open lists, innermost last: { tag, indent }
+    const lists = [];
+
+    const closeParagraph = () => {
+        if (paragraph.length === 0) return;
+        html.push(`<p>${paragraph.map(renderInline).join("<br>")}</p>`);
+        paragraph = [];
+    };
+    const closeList = () => html.push(`</li></${lists.pop().tag}>`);
+
+    for (const line of markdown.split("\n")) {
+        if (!line.trim()) {
+            closeParagraph();
+            continue;
+        }
+
+        const item = line.match(/^( *)([-*+]|\d+\.) (.*)$/);
+        if (item) {
+            closeParagraph();
+            const indent = item[1].length;
+            const tag = /\d/.test(item[2]) ? "ol" : "ul";
+
+            while (lists.length > 0 && lists[lists.length - 1].indent > indent) closeList();
+            if (lists.length > 0 && lists[lists.length - 1].indent === indent && lists[lists.length - 1].tag !== tag) closeList();
+
+            const top = lists[lists.length - 1];
+            if (top && top.indent === indent) {
+                html.push("</li>");
+            } else {
+                html.push(`<${tag}>`);
+                lists.push({ tag, indent });
+            }
+            html.push(`<li>${renderInline(item[3])}`);
+            continue;
+        }
+
+        // Anything else ends the open lists
+        while (lists.length > 0) closeList();
+
+        const heading = line.match(/^(#{1,6}) (.*)$/);
+        if (heading) {
+            closeParagraph();
+            const level = Math.min(heading[1].length + 4, 6);
+            html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            continue;
+        }
+
+        paragraph.push(line.trim());
+    }
+
+    closeParagraph();
+    while (lists.length > 0) closeList();
+
+    return html.join("");
+}
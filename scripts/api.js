@@ -0,0 +1,41 @@
+// Admin API helpers shared by the scripts that call the local or remote worker
+
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// API URLs
+export const LOCAL_API = "http://localhost:8787";
+export const REMOTE_API = "https://iom-job-scraper.r4qavgnsae.workers.dev"; // Update this after deploy
+
+/**
+ * Read ADMIN_API_KEY from worker/.dev.vars, exiting if it can't be read
+ */
+export function getAdminKey() {
+    try {
+        const devVars = readFileSync(join(__dirname, "../worker/.dev.vars"), "utf-8");
+        const match = devVars.match(/ADMIN_API_KEY=(.+)/);
+        return match ? match[1].trim() : null;
+    } catch (e) {
+        console.error("Could not read worker/.dev.vars - make sure it exists with ADMIN_API_KEY set");
+        process.exit(1);
+    }
+}
+
+/**
+ * POST a JSON body to an admin endpoint and return the JSON response
+ */
+export async function postAdmin(url, adminKey, body = {}) {
+    const response = await fetch(url, {
+        method: "POST",
+        headers: {
+            "Authorization": `Bearer ${adminKey}`,
+            "Content-Type": "application/json",
+        },
+        body: JSON.stringify(body),
+    });
+
+    return await response.json();
+}
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+// List recorded HTTP archives, or copy one from production into the local DB
+// so a recorded run can be replayed with SCRAPER_HTTP_MODE=replay.
+//
+// Usage:
+//   npm run http-archive                      # List archives in the local DB
+//   npm run http-archive -- --remote          # List archives in the production DB
+//   npm run http-archive -- pull <archive>    # Copy an archive from production to the local DB
+
+import { execFileSync } from "child_process";
+import { writeFileSync, unlinkSync } from "fs";
+import { tmpdir } from "os";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const WORKER_DIR = join(__dirname, "../worker");
+
+// Parse arguments
+const args = process.argv.slice(2);
+const isRemote = args.includes("--remote");
+const [command, archive] = args.filter(arg => !arg.startsWith("--"));
+
+// Rows per INSERT when writing the local copy (bodies can be large)
+const ROWS_PER_INSERT = 20;
+
+function d1(location, sqlArgs) {
+    const output = execFileSync("npx", ["wrangler", "d1", "execute", "iom-jobs", location, "--json", ...sqlArgs], {
+        cwd: WORKER_DIR,
+        encoding: "utf-8",
+        maxBuffer: 512 * 1024 * 1024,
+    });
+    return JSON.parse(output)[0]?.results || [];
+}
+
+function sqlValue(value) {
+    if (value === null || value === undefined) return "NULL";
+    if (typeof value === "number") return String(value);
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function listArchives() {
+    const rows = d1(isRemote ? "--remote" : "--local", [
+        "--command",
+        "SELECT archive, COUNT(*) AS responses, MIN(recorded_at) AS first, MAX(recorded_at) AS last FROM http_archive GROUP BY archive ORDER BY last DESC",
+    ]);
+
+    if (rows.length === 0) {
+        console.log(`No archives in the ${isRemote ? "production" : "local"} database`);
+        return;
+    }
+    for (const row of rows) {
+        console.log(`${row.archive.padEnd(30)} ${String(row.responses).padStart(6)} responses  ${row.first} → ${row.last}`);
+    }
+}
+
+function pullArchive() {
+    if (!archive) {
+        console.error("Usage: npm run http-archive -- pull <archive>");
+        process.exit(1);
+    }
+
+    console.log(`\n⬇️  Copying archive "${archive}" from production to the local DB`);
+    const rows = d1("--remote", [
+        "--command",
+        `SELECT archive, url, seq, status, headers, body, recorded_at FROM http_archive WHERE archive = ${sqlValue(archive)} ORDER BY id`,
+    ]);
+
+    if (rows.length === 0) {
+        console.error(`❌ No responses recorded under "${archive}"`);
+        process.exit(1);
+    }
+
+    // Replace any earlier local copy so sequence numbers line up
+    const statements = [`DELETE FROM http_archive WHERE archive = ${sqlValue(archive)};`];
+    for (let i = 0; i < rows.length; i += ROWS_PER_INSERT) {
+        const values = rows.slice(i, i + ROWS_PER_INSERT).map(row =>
+            `(${[row.archive, row.url, row.seq, row.status, row.headers, row.body, row.recorded_at].map(sqlValue).join(", ")})`
+        );
+        statements.push(`INSERT INTO http_archive (archive, url, seq, status, headers, body, recorded_at) VALUES\n${values.join(",\n")};`);
+    }
+
+    const file = join(tmpdir(), `http-archive-${Date.now()}.sql`);
+    writeFileSync(file, statements.join("\n"));
+    try {
+        d1("--local", ["--file", file]);
+    } finally {
+        unlinkSync(file);
+    }
+
+    console.log(`✅ Copied ${rows.length} responses. Replay them with these lines in worker/.dev.vars:`);
+    console.log("   SCRAPER_HTTP_MODE=replay");
+    console.log(`   SCRAPER_HTTP_ARCHIVE=${archive}`);
+}
+
+try {
+    if (command === "pull") {
+        pullArchive();
+    } else if (!command || command === "list") {
+        listArchives();
+    } else {
+        console.error(`Unknown command "${command}" (expected list or pull)`);
+        process.exit(1);
+    }
+} catch (error) {
+    console.error("❌ Error:", error.message);
+    process.exit(1);
+}
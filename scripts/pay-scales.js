@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// Load pay-scale revisions from a JSON file into the local or remote API
+//
+// Usage:
+//   npm run pay-scales -- <file>          # Local API
+//   npm run pay-scales:remote -- <file>   # Remote/production API
+//
+//   <file>  JSON array of POST /pay-scales request bodies, copied from the Island's
+//           official scale documents: [{ scheme, effective_from, source_url, grades }]
+//
+// Each revision is posted to POST /pay-scales, so reloading replaces the same
+// scheme and date. Run POST /reparse afterwards so existing grade-only jobs pick
+// the bands up.
+
+import { readFileSync } from "fs";
+import { resolve } from "path";
+import { LOCAL_API, REMOTE_API, getAdminKey, postAdmin } from "./api.js";
+
+// Parse arguments
+const args = process.argv.slice(2);
+const isRemote = args.includes("--remote");
+const [file] = args.filter(arg => !arg.startsWith("--"));
+
+async function main() {
+    if (!file) {
+        console.error("Usage: npm run pay-scales -- <file>");
+        process.exit(1);
+    }
+
+    const apiUrl = isRemote ? REMOTE_API : LOCAL_API;
+    const adminKey = getAdminKey();
+    // npm runs scripts from the repo root; the file is relative to where it was called
+    const revisions = JSON.parse(readFileSync(resolve(process.env.INIT_CWD || process.cwd(), file), "utf-8"));
+
+    console.log(`\n📋 Loading ${revisions.length} pay-scale revisions into ${apiUrl}`);
+    console.log(`   Mode: ${isRemote ? "REMOTE (production DB)" : "LOCAL (local DB)"}\n`);
+
+    try {
+        for (const revision of revisions) {
+            const result = await postAdmin(`${apiUrl}/pay-scales`, adminKey, revision);
+            if (!result.success) {
+                console.error(`❌ ${revision.scheme} ${revision.effective_from} failed:`, result.error);
+                if (result.message) {
+                    console.error("   Message:", result.message);
+                }
+                process.exit(1);
+            }
+            console.log(`   ${revision.scheme} from ${revision.effective_from}: ${result.loaded} grades`);
+        }
+
+        console.log("\n✅ Pay scales loaded. Run POST /reparse so existing jobs pick them up.");
+    } catch (error) {
+        if (error.cause?.code === "ECONNREFUSED") {
+            console.error("❌ Could not connect to", apiUrl);
+            if (!isRemote) {
+                console.error("   Make sure 'npm run dev' is running in another terminal");
+            }
+        } else {
+            console.error("❌ Error:", error.message);
+        }
+        process.exit(1);
+    }
+}
+
+main();
@@ -7,31 +7,15 @@
 //   npm run scrape:remote       # Recent jobs, remote/production API
 //   npm run scrape:full:remote  # Full scrape, remote/production API
 
-import { readFileSync } from "fs";
-import { fileURLToPath } from "url";
-import { dirname, join } from "path";
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
+import { LOCAL_API, REMOTE_API, getAdminKey, postAdmin } from "./api.js";
 
 // Parse arguments
 const args = process.argv.slice(2);
 const isFullScrape = args.includes("full");
 const isRemote = args.includes("--remote");
 
-// API URLs
-const LOCAL_API = "http://localhost:8787";
-const REMOTE_API = "https://iom-job-scraper.r4qavgnsae.workers.dev"; // Update this after deploy
-
-function getAdminKey() {
-    try {
-        const devVars = readFileSync(join(__dirname, "../worker/.dev.vars"), "utf-8");
-        const match = devVars.match(/ADMIN_API_KEY=(.+)/);
-        return match ? match[1].trim() : null;
-    } catch (e) {
-        console.error("Could not read worker/.dev.vars - make sure it exists with ADMIN_API_KEY set");
-        process.exit(1);
-    }
-}
+// Safety cap on continuation calls for a single run
+const MAX_CONTINUATIONS = 200;
 
 async function main() {
     const type = isFullScrape ? "full" : "recent";
@@ -47,24 +31,46 @@ async function main() {
 
     try {
         const startTime = Date.now();
-        const response = await fetch(`${apiUrl}/scrape`, {
-            method: "POST",
-            headers: {
-                "Authorization": `Bearer ${adminKey}`,
-                "Content-Type": "application/json",
-            },
-            body: JSON.stringify({ type }),
-        });
+        let result = await postAdmin(`${apiUrl}/scrape`, adminKey, { type });
 
-        const result = await response.json();
+        // Large scrapes run across several invocations - keep continuing until complete
+        let continuations = 0;
+        // (a run cooling down after a WAF block, or being advanced by a cron invocation, is left for the cron trigger)
+        while (result.success && result.complete === false && !result.resumeAt && !result.busy && continuations < MAX_CONTINUATIONS) {
+            continuations++;
+            const stats = result.stats || {};
+            console.log(`   … ${stats.phase}: ${stats.found} found (${stats.inserted} new, ${stats.updated} changed), ${stats.detailsDone}/${stats.detailsTotal} details (run ${result.runId})`);
+            result = await postAdmin(`${apiUrl}/scrape/continue`, adminKey);
+        }
 
-        if (result.success) {
+        if (result.success && result.busy) {
+            console.log(`⏸  ${result.message}; the cron trigger will continue it.`);
+        } else if (result.success && result.resumeAt) {
+            console.log(`⏸  Run ${result.runId} is cooling down until ${result.resumeAt} UTC; the cron trigger will resume it.`);
+        } else if (result.success && result.complete === false) {
+            console.log(`⏸  Run ${result.runId} still in progress after ${continuations} continuations; the cron trigger will finish it.`);
+        } else if (result.success && !result.stats) {
+            // The run was finished by another invocation (e.g. the cron trigger)
+            console.log(`✅ ${result.message}`);
+        } else if (result.success) {
             const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
             console.log("✅ Scrape completed successfully!");
             console.log(`   Jobs found:  ${result.stats.found}`);
-            console.log(`   Inserted:    ${result.stats.inserted}`);
-            console.log(`   Updated:     ${result.stats.updated}`);
-            console.log(`   Duration:    ${result.stats.duration || elapsed + "s"}`);
+            console.log(`   New:         ${result.stats.inserted}`);
+            console.log(`   Changed:     ${result.stats.updated}`);
+            console.log(`   Unchanged:   ${result.stats.unchanged}`);
+            console.log(`   Details:     ${result.stats.detailsDone}/${result.stats.detailsTotal} (${result.stats.detailsChanged} changed, ${result.stats.detailsUnchanged} unchanged, ${result.stats.detailsFailed} failed)`);
+            if (result.stats.fetchRetries > 0 || result.stats.cooldowns > 0) {
+                console.log(`   Retries:     ${result.stats.fetchRetries} (${result.stats.cooldowns} cool-downs)`);
+            }
+            if (result.stats.storeErrors > 0) {
+                console.log(`   Store errors: ${result.stats.storeErrors}`);
+            }
+            console.log(`   Duration:    ${elapsed}s (${result.stats.invocations} invocations)`);
+            if (result.stats.timings) {
+                const { fetchMs, parseMs, storeMs } = result.stats.timings;
+                console.log(`   Phases:      fetch ${(fetchMs / 1000).toFixed(1)}s, parse ${(parseMs / 1000).toFixed(1)}s, store ${(storeMs / 1000).toFixed(1)}s`);
+            }
         } else {
             console.error("❌ Scrape failed:", result.error);
             if (result.message) {
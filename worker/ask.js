@@ -10,6 +10,7 @@ import {
     RESPONSE_SYSTEM_PROMPT,
     buildResponsePrompt,
     injectDates,
+    getPromptDates,
 } from "./prompts.js";
 
 // Response cache settings
@@ -31,16 +32,12 @@ function normalizeQuestion(question) {
  * Generate a SHA-256 cache key from question + date context
  */
 async function generateCacheKey(question) {
-    const today = new Date().toISOString().split("T")[0];
-    const now = new Date();
-    const weekStart = new Date(now);
-    weekStart.setDate(weekStart.getDate() - weekStart.getDay() + 1);
-    const weekStartStr = weekStart.toISOString().split("T")[0];
+    const { today, weekStart } = getPromptDates();
 
     const input = JSON.stringify({
         q: normalizeQuestion(question),
         today,
-        weekStart: weekStartStr,
+        weekStart,
     });
 
     const encoded = new TextEncoder().encode(input);
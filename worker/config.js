@@ -6,7 +6,61 @@ const SCRAPER_DEFAULTS = {
     fullListingParams: "AreaId=&ClassificationId=&SearchText=&LastThreeDays=False&JobHoursOption=",
     recentListingParams: "AreaId=&ClassificationId=&SearchText=&LastThreeDays=True&JobHoursOption=",
     requestDelayMs: 1000,
-    userAgent: "IOM-Job-Scraper/1.0 (+https://github.com/example/iom-job-scraper)",
+    // Resumable runs: work per invocation is capped by Cloudflare's subrequest limit (~50)
+    subrequestBudget: 45,
+    maxListingPages: 200,
+    maxDetailsPerRun: 500,
+    maxCursorFailures: 3, // Consecutive failures on one listing page before giving up on it
+    maxDetailAttempts: 2, // Attempts per queued detail page
+    // Re-checks: each run also revisits its source's active jobs to catch edits after publication
+    recheckAfterDays: 7, // Re-check any active job not checked for this long
+    recheckClosingSoonDays: 3, // Jobs closing within this many days...
+    recheckClosingSoonHours: 20, // ...are re-checked once this long has passed (runs are 12 hours apart)
+    maxRechecksPerRun: 100,
+    // Fetch retries: transient failures (timeouts, 429/5xx) back off exponentially with jitter
+    fetchMaxAttempts: 3, // Attempts per fetch, each one a subrequest
+    fetchTimeoutMs: 15000,
+    fetchRetryBaseMs: 1000,
+    fetchRetryMaxDelayMs: 30000, // Longer Retry-After requests pause the run instead
+    wafCooldownMinutes: 30, // Pause a run this long after a WAF block
+    maxCooldowns: 4, // Cool-downs per run before giving up on what's left
+    staleRunHours: 6, // Runs with no checkpoint for this long are abandoned
+    runLeaseMinutes: 15, // An invocation holds its run this long at most (longer than any invocation lasts)
+    maxWithdrawnFraction: 0.5, // Skip withdrawal marking if more active jobs than this are missing
+    // Parse-quality metrics: flag a run whose field coverage drops sharply vs recent runs
+    metricsTrailingRuns: 10,
+    metricsMinTrailingRuns: 3,
+    metricsMinSample: 5, // Ignore runs that parsed fewer jobs than this
+    metricsMaxPctDrop: 20, // Percentage points below the trailing average
+    metricsMaxLengthDrop: 0.5, // Fraction below the trailing average description length
+    writeBatchSize: 25, // Jobs per D1 batch when storing listing and detail results
+    reparseBatchSize: 50, // Jobs re-parsed from raw_html per /reparse call (D1 query limit)
+    // Salary normalisation (see salary.js): hourly and daily rates are annualised as full-time
+    // FORK: Set your jurisdiction's standard full-time week
+    salaryFullTimeHours: 37.5,
+    salaryWeeksPerYear: 52,
+    // Politeness (see politeness.js): robots.txt, crawl delay, per-host limits
+    // FORK: Set userAgent to your own scraper name and contact URL
+    userAgent: "IOM-Job-Scraper/1.0 (+https://github.com/example/iom-job-scraper)", // Sent on every request; its product token is matched against robots.txt
+    robotsCacheHours: 24,
+    robotsRetryMinutes: 30, // Pause a run this long when robots.txt can't be read
+    maxConcurrentPerHost: 1,
+    hostDailyRequestBudget: 2000, // Requests per host per Island day (see timeZone), across all runs
+    // Linked adverts: apply/description links on these hosts (and their subdomains) are
+    // followed during enrichment and their schema.org JobPosting data merged in.
+    // jobtrain has its own adapter; the others are read by sources/jobposting.js
+    // FORK: Add the career sites your adverts link to
+    linkedAdvertHosts: [
+        "jobtrain.co.uk",
+        "myworkdayjobs.com",
+        "greenhouse.io",
+        "lever.co",
+        "smartrecruiters.com",
+        "workable.com",
+        "teamtailor.com",
+        "recruitee.com",
+        "bamboohr.com",
+    ],
 };
 
 // LLM settings (Venice.ai default, OpenAI-compatible)
@@ -73,6 +127,27 @@ export function getLLMConfig(env = {}) {
     };
 }
 
+// HTTP record/replay modes (see recorder.js)
+const HTTP_MODES = ["live", "record", "replay"];
+
+/**
+ * Get HTTP record/replay settings with environment variable overrides
+ * SCRAPER_HTTP_MODE: live (default) | record | replay
+ * SCRAPER_HTTP_ARCHIVE: archive name to record into / replay from
+ */
+export function getHttpArchiveConfig(env = {}) {
+    const mode = env.SCRAPER_HTTP_MODE || "live";
+    if (!HTTP_MODES.includes(mode)) {
+        // Fail loudly rather than fall back to live requests
+        throw new Error(`Invalid SCRAPER_HTTP_MODE "${mode}" (expected one of: ${HTTP_MODES.join(", ")})`);
+    }
+
+    return {
+        mode,
+        archive: env.SCRAPER_HTTP_ARCHIVE || "default",
+    };
+}
+
 /**
  * Get full listing URL for initial scrape
  */
@@ -87,6 +162,10 @@ export function getRecentListingUrl() {
     return `${SCRAPER_DEFAULTS.baseUrl}?${SCRAPER_DEFAULTS.recentListingParams}`;
 }
 
+// Dates ("today", closing times, daily crawl budgets) are the Island's local time, BST or GMT
+// FORK: Set your jurisdiction's IANA time zone, and the same in app/config.js
+const TIME_ZONE = "Europe/Isle_of_Man";
+
 // Central configuration object
 export const CONFIG = {
     scraper: SCRAPER_DEFAULTS,
@@ -95,4 +174,5 @@ export const CONFIG = {
     cache: CACHE_DEFAULTS,
     cors: CORS_DEFAULTS,
     api: API_DEFAULTS,
+    timeZone: TIME_ZONE,
 };
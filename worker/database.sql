@@ -9,12 +9,28 @@ CREATE TABLE IF NOT EXISTS jobs (
     title TEXT NOT NULL,
     employer TEXT,
     location TEXT,
+    place TEXT,                      -- Gazetteer place the location names (see places.js), e.g. "Noble's Hospital"
+    parish TEXT,                     -- Parish of the place (towns are their own), e.g. 'Braddan'
+    region TEXT,                     -- 'north', 'south', 'east' or 'west'
+    latitude REAL,                   -- Coordinates of the place; NULL when the location isn't one place
+    longitude REAL,
 
     -- Compensation (denormalized for efficient querying)
     salary_text TEXT,
-    salary_min REAL,
+    salary_min REAL,                 -- Amounts as advertised, per salary_type period; NULL min for "up to", NULL max for "from"
     salary_max REAL,
-    salary_type TEXT,
+    salary_type TEXT,                -- 'annual', 'hourly', 'daily', 'weekly' or 'monthly'
+    salary_currency TEXT,            -- ISO 4217 code, when the source gives one (e.g. 'GBP')
+    salary_annual_min REAL,          -- Full-time yearly equivalents (see salary.js), used for filtering and sorting
+    salary_annual_max REAL,
+    salary_pro_rata INTEGER,         -- 1 if advertised pro rata, 0 if not, NULL without salary text
+    salary_grade TEXT,               -- Pay grade or band as advertised (e.g. 'HEO', 'Band 6', 'Grade 5')
+    salary_spine_min INTEGER,        -- Spinal column points, when given
+    salary_spine_max INTEGER,
+    salary_confidence REAL,          -- 0-1: how sure the normaliser is of the amounts
+    salary_scheme TEXT,              -- Pay scheme the grade belongs to: 'civil_service', 'afc', 'teachers' or 'police'
+    salary_pay_scale_id INTEGER REFERENCES pay_scales(id), -- Set when the amounts came from the grade's pay scale
+    hours_per_week REAL,
 
     -- Job classification
     job_type TEXT,
@@ -22,15 +38,21 @@ CREATE TABLE IF NOT EXISTS jobs (
     area TEXT,
     hours_option TEXT,
     hours_type TEXT,  -- 'full-time', 'part-time', or NULL
+    employment_types TEXT,           -- JSON array of schema.org employmentType values (e.g. ["FULL_TIME","TEMPORARY"])
+    industry TEXT,
 
     -- Dates
     posted_date TEXT,
     closing_date TEXT,
+    closing_time TEXT,               -- HH:MM as advertised (e.g. '12:00' for "12 noon"), when given
+    closing_at DATETIME,             -- closing_date + closing_time on the Island's clock, as UTC; NULL without a closing time
+    closing_date_ambiguous INTEGER,  -- 1 if the advertised closing date could mean more than one day (closing_date is then NULL)
     start_date TEXT,
 
     -- Content
     summary TEXT,
     description TEXT,
+    description_markdown TEXT,       -- Description with headings, lists, emphasis and links (allowlisted Markdown)
 
     -- Contact details (denormalized for LLM queries)
     reference TEXT,
@@ -38,11 +60,16 @@ CREATE TABLE IF NOT EXISTS jobs (
     contact_email TEXT,
     contact_phone TEXT,
 
-    -- Additional structured fields
+    -- Additional structured fields (the page's own fields, else the description's matching section)
     qualifications TEXT,
     experience TEXT,
     benefits TEXT,
     how_to_apply TEXT,
+    responsibilities TEXT,           -- From the description's "Key responsibilities"-style section
+    essential_criteria TEXT,
+    desirable_criteria TEXT,
+    external_id TEXT,                -- The linked advert's own identifier (JobPosting identifier)
+    direct_apply INTEGER,            -- 1 if the linked advert takes applications itself, 0 if not, NULL if unknown
 
     -- All additional fields as JSON (for LLM and future use)
     additional_info TEXT,
@@ -50,17 +77,31 @@ CREATE TABLE IF NOT EXISTS jobs (
     -- Raw HTML for retroactive re-parsing if site structure changes
     raw_html TEXT,
 
+    -- How the detail page was last fetched; unchanged pages skip parsing and updates
+    detail_hash TEXT,                -- SHA-256 of the page's visible text, then "+" and the linked advert's when there is one
+    detail_etag TEXT,
+    detail_last_modified TEXT,
+    detail_checked_at DATETIME,
+
     -- Links
+    source TEXT DEFAULT 'govim',     -- Source adapter id (see worker/sources/)
     source_url TEXT NOT NULL,
     apply_url TEXT,
+    external_url TEXT,               -- Full advert on another site (e.g. jobtrain), when source_url only links to it
 
     -- Deduplication & metadata
     guid TEXT UNIQUE NOT NULL,
+    fingerprint TEXT,                -- Hash of title/employer/reference/description for re-advert detection
+    readvertised_from INTEGER,       -- Earlier posting of the same role (jobs.id)
+    readvertise_count INTEGER DEFAULT 0,  -- Times the role has been re-advertised (same on every posting in the chain)
     scraped_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
 
     -- Status
-    is_active INTEGER DEFAULT 1
+    is_active INTEGER DEFAULT 1,
+    closed_reason TEXT,              -- 'expired' | 'withdrawn' | 'filled' | NULL while active
+    closed_at DATETIME,
+    last_seen_at DATETIME            -- Last time the job appeared in a listing page
 );
 
 -- Scrape log table - tracks scraping operations
@@ -68,13 +109,137 @@ CREATE TABLE IF NOT EXISTS scrape_log (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     completed_at DATETIME,
+    source TEXT DEFAULT 'govim',     -- Source adapter id
     url_type TEXT NOT NULL,
     jobs_found INTEGER DEFAULT 0,
     jobs_inserted INTEGER DEFAULT 0,
-    jobs_updated INTEGER DEFAULT 0,
+    jobs_updated INTEGER DEFAULT 0,   -- Existing jobs whose listing data changed
+    jobs_unchanged INTEGER DEFAULT 0, -- Existing jobs seen again with no changes
     status TEXT DEFAULT 'running',
     error_message TEXT,
-    sample_html TEXT  -- First HTML response for debugging
+    sample_html TEXT,  -- First HTML response for debugging
+
+    -- Resumable run state (listing/recent runs continue across invocations)
+    phase TEXT,                      -- 'listing' | 'enrichment' | 'complete' | 'done'
+    next_url TEXT,                   -- Listing cursor: next results page to fetch
+    cursor_failures INTEGER DEFAULT 0,
+    pages_fetched INTEGER DEFAULT 0,
+    details_total INTEGER DEFAULT 0,
+    details_done INTEGER DEFAULT 0,
+    details_failed INTEGER DEFAULT 0,
+    details_unchanged INTEGER DEFAULT 0, -- Detail pages unchanged since last fetched
+    details_changed INTEGER DEFAULT 0,   -- Detail pages that changed a filled field (see job_revisions)
+    fetch_attempts INTEGER DEFAULT 0,
+    fetch_successes INTEGER DEFAULT 0,
+    waf_blocks INTEGER DEFAULT 0,
+    fetch_errors INTEGER DEFAULT 0,
+    fetch_retries INTEGER DEFAULT 0, -- Extra attempts after transient fetch failures
+    cooldowns INTEGER DEFAULT 0,     -- Pauses after WAF blocks or long Retry-After
+    cooldown_until DATETIME,         -- Run is skipped until then (UTC)
+    lease_until DATETIME,            -- Held by the invocation advancing the run until then (UTC)
+    store_errors INTEGER DEFAULT 0,  -- Jobs whose D1 write failed
+    fetch_ms INTEGER DEFAULT 0,      -- Time spent fetching, parsing and storing (cumulative)
+    parse_ms INTEGER DEFAULT 0,
+    store_ms INTEGER DEFAULT 0,
+    invocations INTEGER DEFAULT 0,
+    updated_at DATETIME
+);
+
+-- Scrape queue table - detail pages pending for a scrape run
+CREATE TABLE IF NOT EXISTS scrape_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scrape_log_id INTEGER NOT NULL REFERENCES scrape_log(id),
+    job_id INTEGER NOT NULL REFERENCES jobs(id),
+    url TEXT NOT NULL,
+    status TEXT DEFAULT 'pending',   -- 'pending' | 'done' | 'failed'
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME,
+    UNIQUE (scrape_log_id, job_id)
+);
+
+-- Scrape metrics table - parse-quality field coverage per scrape/enrichment run
+CREATE TABLE IF NOT EXISTS scrape_metrics (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scrape_log_id INTEGER NOT NULL UNIQUE REFERENCES scrape_log(id),
+    source TEXT,                     -- NULL for standalone enrichment (all sources)
+
+    -- Counts, accumulated across a run's invocations
+    listed_jobs INTEGER DEFAULT 0,
+    employer_count INTEGER DEFAULT 0,
+    classification_count INTEGER DEFAULT 0,
+    detail_jobs INTEGER DEFAULT 0,
+    salary_count INTEGER DEFAULT 0,
+    salary_parsed_count INTEGER DEFAULT 0,
+    closing_date_count INTEGER DEFAULT 0,
+    description_count INTEGER DEFAULT 0,
+    description_chars INTEGER DEFAULT 0,
+
+    -- Coverage percentages (0-100), computed when the run finishes
+    employer_pct REAL,
+    classification_pct REAL,
+    salary_pct REAL,
+    salary_parsed_pct REAL,
+    closing_date_pct REAL,
+    description_pct REAL,
+    avg_description_length REAL,
+
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finalised_at DATETIME
+);
+
+-- Job revisions table - field-level change history across scrapes
+CREATE TABLE IF NOT EXISTS job_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id INTEGER NOT NULL REFERENCES jobs(id),
+    field TEXT NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+    scrape_log_id INTEGER REFERENCES scrape_log(id),
+    changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- robots.txt cache - one row per crawled origin (see politeness.js)
+CREATE TABLE IF NOT EXISTS robots_txt (
+    origin TEXT PRIMARY KEY,
+    status INTEGER,                  -- HTTP status; 4xx is stored as an empty body (no rules)
+    body TEXT,
+    fetched_at DATETIME
+);
+
+-- Crawl budget table - requests made per host per Island day
+CREATE TABLE IF NOT EXISTS crawl_budget (
+    host TEXT NOT NULL,
+    day TEXT NOT NULL,               -- YYYY-MM-DD (Europe/Isle_of_Man)
+    requests INTEGER DEFAULT 0,
+    PRIMARY KEY (host, day)
+);
+
+-- HTTP archive table - responses recorded for offline replay (see recorder.js)
+CREATE TABLE IF NOT EXISTS http_archive (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    archive TEXT NOT NULL,           -- SCRAPER_HTTP_ARCHIVE name
+    url TEXT NOT NULL,
+    seq INTEGER NOT NULL,            -- 0 for the first response recorded for this URL, then 1, 2...
+    status INTEGER NOT NULL,
+    headers TEXT,                    -- JSON object
+    body TEXT,
+    recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (archive, url, seq)
+);
+
+-- Pay scales - published public-sector pay bands, loaded with POST /pay-scales (see payScales.js)
+CREATE TABLE IF NOT EXISTS pay_scales (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scheme TEXT NOT NULL,            -- 'civil_service', 'afc', 'teachers' or 'police'
+    grade TEXT NOT NULL,             -- Normalised as by the salary normaliser (e.g. 'Band 6', 'HEO', 'Constable')
+    salary_min REAL NOT NULL,        -- Annual, bottom and top of the band
+    salary_max REAL NOT NULL,
+    effective_from TEXT NOT NULL,    -- YYYY-MM-DD
+    source_url TEXT,                 -- Published scale document
+    loaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(scheme, grade, effective_from)
 );
 
 -- Primary query indexes
@@ -82,11 +247,29 @@ CREATE INDEX IF NOT EXISTS idx_jobs_closing_date ON jobs(closing_date);
 CREATE INDEX IF NOT EXISTS idx_jobs_posted_date ON jobs(posted_date);
 CREATE INDEX IF NOT EXISTS idx_jobs_employer ON jobs(employer);
 CREATE INDEX IF NOT EXISTS idx_jobs_location ON jobs(location);
+CREATE INDEX IF NOT EXISTS idx_jobs_region ON jobs(region, is_active);
+CREATE INDEX IF NOT EXISTS idx_jobs_coordinates ON jobs(latitude, longitude);
 CREATE INDEX IF NOT EXISTS idx_jobs_classification ON jobs(classification);
 CREATE INDEX IF NOT EXISTS idx_jobs_salary ON jobs(salary_min, salary_max);
+CREATE INDEX IF NOT EXISTS idx_jobs_salary_annual ON jobs(salary_annual_min, salary_annual_max);
 CREATE INDEX IF NOT EXISTS idx_jobs_job_type ON jobs(job_type);
+CREATE INDEX IF NOT EXISTS idx_pay_scales_grade ON pay_scales(grade, effective_from);
 
 -- Composite indexes for common filter combinations
 CREATE INDEX IF NOT EXISTS idx_jobs_active_posted ON jobs(is_active, posted_date DESC);
 CREATE INDEX IF NOT EXISTS idx_jobs_active_closing ON jobs(is_active, closing_date);
+CREATE INDEX IF NOT EXISTS idx_jobs_active_closing_at ON jobs(is_active, closing_at);
 CREATE INDEX IF NOT EXISTS idx_jobs_hours_type ON jobs(hours_type);
+CREATE INDEX IF NOT EXISTS idx_jobs_active_last_seen ON jobs(is_active, last_seen_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_fingerprint ON jobs(fingerprint);
+CREATE INDEX IF NOT EXISTS idx_jobs_readvertised_from ON jobs(readvertised_from);
+CREATE INDEX IF NOT EXISTS idx_jobs_source ON jobs(source, is_active);
+
+-- Scrape run lookups
+CREATE INDEX IF NOT EXISTS idx_scrape_log_status ON scrape_log(status, url_type);
+CREATE INDEX IF NOT EXISTS idx_scrape_log_source ON scrape_log(source, status);
+CREATE INDEX IF NOT EXISTS idx_scrape_queue_pending ON scrape_queue(scrape_log_id, status);
+CREATE INDEX IF NOT EXISTS idx_scrape_metrics_source ON scrape_metrics(source, scrape_log_id DESC);
+
+-- Revision history lookups
+CREATE INDEX IF NOT EXISTS idx_job_revisions_job ON job_revisions(job_id, changed_at DESC);
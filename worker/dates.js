@@ -0,0 +1,326 @@
+// Date Parsing for IOM Job Scraper
+// Reads dates as UK adverts write them: day before month ("03/04/2026" is 3 April),
+// ordinals ("31st"), weekday prefixes, closing times ("12 noon on Friday 3 April")
+// and relative phrases ("two weeks from advert date"). Nothing goes through
+// new Date(text), whose reading of numeric dates depends on the runtime. Input
+// that could mean more than one day (a weekday that doesn't match the date, two
+// different dates, a month-first date) is flagged as ambiguous instead of guessed;
+// interview and start dates given alongside the closing date don't count.
+//
+// "Today" is the Island's date (CONFIG.timeZone), never the UTC one: the two
+// differ for the first hour of every BST day. app/dates.js mirrors these helpers.
+
+import { CONFIG } from "./config.js";
+
+const MONTHS = {
+    jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4,
+    may: 5, jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8,
+    sep: 9, sept: 9, september: 9, oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12,
+};
+
+// Sunday first, as Date.getUTCDay()
+const WEEKDAYS = [
+    /^sun(?:day)?$/, /^mon(?:day)?$/, /^tue(?:s|sday)?$/, /^wed(?:nesday)?$/,
+    /^thu(?:r|rs|rsday)?$/, /^fri(?:day)?$/, /^sat(?:urday)?$/,
+];
+
+const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    fourteen: 14, "twenty one": 21, "twenty eight": 28, thirty: 30,
+};
+
+const MONTH_NAME = "jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?";
+const WEEKDAY_NAME = "mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:r|rs|rsday)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?";
+const COUNT = `\\d{1,3}|${Object.keys(NUMBER_WORDS).join("|")}`;
+
+// A clause giving some other date than the closing one ("interviews week commencing
+// 20 April", "start date 1 May"), up to the end of its bracket, list item or sentence
+const OTHER_DATE_CLAUSE = /\b(?:interview\w*|start\w*|commenc\w*|w\/c)\b[^),;]*?(?=[),;]|\.\s|$)/g;
+
+// Absolute dates, tried in order; each match is blanked so later patterns can't reuse its numbers
+const DATE_PATTERNS = [
+    // ISO: 2026-04-03
+    [/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, ([, year, month, day]) => ({ day, month, year })],
+    // 3 April 2026, 3 Apr, 3rd of April (ordinals are already stripped)
+    [new RegExp(`\\b(\\d{1,2})\\s+(?:of\\s+)?(${MONTH_NAME})\\b\\.?(?:,?\\s+(\\d{4}))?`, "g"), ([, day, month, year]) => ({ day, month, year })],
+    // April 3, 2026
+    [new RegExp(`\\b(${MONTH_NAME})\\.?\\s+(\\d{1,2})\\b(?:,?\\s+(\\d{4}))?`, "g"), ([, month, day, year]) => ({ day, month, year })],
+    // 03/04/2026, 3.4.26, 03-04-2026: day first
+    [/\b(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})\b/g, ([, day, , month, year]) => ({ day, month, year, numeric: true })],
+    // 03/04
+    [/\b(\d{1,2})\/(\d{1,2})\b/g, ([, day, month]) => ({ day, month, numeric: true })],
+];
+
+/**
+ * Parse a date as written in a UK job advert
+ * @param {string} text - e.g. "12 noon on Friday 3rd April 2026", "03/04/2026", "two weeks from advert date"
+ * @param {Object} options
+ * @param {string} [options.advertDate] - YYYY-MM-DD the advert was posted; relative phrases
+ *   and dates without a year are read from it
+ * @param {string} [options.today] - YYYY-MM-DD used when there's no advert date (default: islandToday())
+ * @returns {{ date: string|null, time: string|null, ambiguous: boolean }} date as YYYY-MM-DD and
+ *   time as HH:MM (as advertised); date is null when there's no date or it's ambiguous
+ */
+export function parseUkDate(text, { advertDate = null, today = null } = {}) {
+    const result = { date: null, time: null, ambiguous: false };
+    if (!text || typeof text !== "string") return result;
+
+    const reference = advertDate || today || islandToday();
+
+    let rest = ` ${text.toLowerCase().replace(/\s+/g, " ")} `
+        .replace(/\b(\d{1,2})(?:st|nd|rd|th)\b/g, "$1")
+        .replace(/twenty-/g, "twenty ")
+        .replace(OTHER_DATE_CLAUSE, clause => " ".repeat(clause.length));
+    const take = (match) => {
+        rest = rest.slice(0, match.index) + " ".repeat(match[0].length) + rest.slice(match.index + match[0].length);
+    };
+
+    const time = findTime(rest);
+    if (time) {
+        result.time = time.value;
+        take(time.match);
+    }
+
+    // Every absolute date in the text
+    const found = [];
+    for (const [pattern, read] of DATE_PATTERNS) {
+        for (const match of [...rest.matchAll(pattern)]) {
+            found.push(read(match));
+            take(match);
+        }
+    }
+
+    const weekdayMatch = rest.match(new RegExp(`\\b(?:(this|next|coming)\\s+)?(${WEEKDAY_NAME})\\b`));
+    const weekday = weekdayMatch ? WEEKDAYS.findIndex(pattern => pattern.test(weekdayMatch[2])) : null;
+
+    if (found.length > 0) {
+        const dates = new Set();
+        for (const candidate of found) {
+            const resolved = resolveDate(candidate, weekday, reference);
+            if (resolved.ambiguous) result.ambiguous = true;
+            if (resolved.date) dates.add(resolved.date);
+        }
+        if (dates.size > 1) result.ambiguous = true;
+        if (!result.ambiguous && dates.size === 1) result.date = [...dates][0];
+        return result;
+    }
+
+    // Relative to the advert ("within 14 days of this advert", "two weeks from advert date")
+    const relative = rest.match(new RegExp(`\\b(${COUNT})\\s+(days?|weeks?)\\b(?:\\s+(?:from|of|after))?(?:\\s+(?:the|this))?\\s+(advert|advertisement|posting|publication)`))
+        || rest.match(new RegExp(`\\b(?:in|within)\\s+(${COUNT})\\s+(days?|weeks?)\\b`));
+    if (relative) {
+        if (!advertDate) {
+            result.ambiguous = true;
+            return result;
+        }
+        const count = NUMBER_WORDS[relative[1]] ?? Number(relative[1]);
+        result.date = addDays(advertDate, relative[2].startsWith("week") ? count * 7 : count);
+        return result;
+    }
+
+    if (/\btomorrow\b/.test(rest) || /\btoday\b/.test(rest)) {
+        if (!advertDate) {
+            result.ambiguous = true;
+            return result;
+        }
+        result.date = addDays(advertDate, /\btomorrow\b/.test(rest) ? 1 : 0);
+        return result;
+    }
+
+    // A weekday on its own is the next one after the advert; "next Friday", or
+    // "Friday" in an advert posted on a Friday, could be either of two
+    if (weekdayMatch) {
+        const offset = advertDate ? (weekday - dayOfWeek(advertDate) + 7) % 7 : 0;
+        if (!advertDate || weekdayMatch[1] === "next" || offset === 0) {
+            result.ambiguous = true;
+            return result;
+        }
+        result.date = addDays(advertDate, offset);
+    }
+
+    return result;
+}
+
+/**
+ * Today's date on the Island
+ * @param {Date} [now]
+ * @returns {string} YYYY-MM-DD
+ */
+export function islandToday(now = new Date()) {
+    const { year, month, day } = islandParts(now);
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * The instant a date and time on the Island's clock happen
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} [time] - HH:MM, default midnight at the start of the day
+ * @returns {Date}
+ */
+export function islandInstant(date, time = "00:00") {
+    const [year, month, day] = date.split("-").map(Number);
+    const [hour, minute] = time.split(":").map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // The offset at the guess, then again in case a clock change falls in between
+    let instant = wallClock - utcOffsetMs(new Date(wallClock));
+    instant = wallClock - utcOffsetMs(new Date(instant));
+    return new Date(instant);
+}
+
+/**
+ * A date and time on the Island's clock as a UTC timestamp the way SQLite writes
+ * them ("YYYY-MM-DD HH:MM:SS"), so it compares with datetime('now')
+ */
+export function islandTimestamp(date, time) {
+    return islandInstant(date, time).toISOString().replace("T", " ").slice(0, 19);
+}
+
+/**
+ * Read an ISO 8601 date or date-time (schema.org validThrough) on the Island's clock
+ * A time with an offset ("2026-04-03T17:00:00+01:00", "...Z") is converted to
+ * Island time; one without is taken as Island time already. Midnight counts as
+ * no time given, since feeds write date-only closing dates that way.
+ * @param {string} value
+ * @returns {{ date: string|null, time: string|null, at: string|null }} at is the
+ *   closing moment as a UTC timestamp (see islandTimestamp), null without a time
+ */
+export function parseIsoDateTime(value) {
+    const none = { date: null, time: null, at: null };
+    const match = String(value || "").trim()
+        .match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i);
+    if (!match) return none;
+
+    const [, year, month, day, hour, minute, offset] = match;
+    if (!isValidDate(Number(year), Number(month), Number(day))) return none;
+    let date = `${year}-${month}-${day}`;
+    let time = hour === undefined ? null : `${hour}:${minute}`;
+
+    if (time && offset) {
+        const zone = offset.toUpperCase() === "Z" ? "Z" : offset.replace(/^([+-]\d{2}):?(\d{2})$/, "$1:$2");
+        const instant = new Date(`${date}T${time}:00${zone}`);
+        if (Number.isNaN(instant.getTime())) return none;
+        const parts = islandParts(instant);
+        date = `${parts.year}-${parts.month}-${parts.day}`;
+        time = `${parts.hour}:${parts.minute}`;
+    }
+
+    if (!time || time === "00:00") return { date, time: null, at: null };
+    return { date, time, at: islandTimestamp(date, time) };
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+export function addDays(date, days) {
+    const shifted = new Date(`${date}T12:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().split("T")[0];
+}
+
+/**
+ * Day of the week of a YYYY-MM-DD date, Sunday = 0
+ */
+export function dayOfWeek(date) {
+    return new Date(`${date}T12:00:00Z`).getUTCDay();
+}
+
+let islandFormat = null;
+
+/**
+ * Calendar fields of an instant on the Island's clock
+ */
+function islandParts(instant) {
+    islandFormat = islandFormat || new Intl.DateTimeFormat("en-GB", {
+        timeZone: CONFIG.timeZone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        hourCycle: "h23",
+    });
+    return Object.fromEntries(islandFormat.formatToParts(instant).map(part => [part.type, part.value]));
+}
+
+/**
+ * How far the Island's clock is ahead of UTC at an instant
+ */
+function utcOffsetMs(instant) {
+    const parts = islandParts(instant);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - (instant.getTime() - instant.getMilliseconds());
+}
+
+/**
+ * A closing time in the text, as HH:MM
+ */
+function findTime(text) {
+    let match = text.match(/\b(?:12(?:[.:]00)?\s*)?(?:noon|midday)\b/);
+    if (match) return { match, value: "12:00" };
+
+    match = text.match(/\b(?:12(?:[.:]00)?\s*)?midnight\b/);
+    if (match) return { match, value: "23:59" };
+
+    match = text.match(/\b(\d{1,2})(?:[.:](\d{2}))?\s*([ap])\.?m\b\.?/);
+    if (match && Number(match[1]) >= 1 && Number(match[1]) <= 12 && Number(match[2] || 0) < 60) {
+        const hour = (Number(match[1]) % 12) + (match[3] === "p" ? 12 : 0);
+        return { match, value: `${String(hour).padStart(2, "0")}:${match[2] || "00"}` };
+    }
+
+    // 24-hour clock: 17:00, 17.00 (not the start of 03.04.2026)
+    match = text.match(/(?<![\d.:/-])\b([01]?\d|2[0-3])[.:]([0-5]\d)\b(?![.:/-]?\d)(?:\s*(?:hrs|hours|h)\b)?/);
+    if (match) return { match, value: `${match[1].padStart(2, "0")}:${match[2]}` };
+
+    return null;
+}
+
+/**
+ * Turn one found date into YYYY-MM-DD
+ * @returns {{ date: string|null, ambiguous: boolean }}
+ */
+function resolveDate(candidate, weekday, reference) {
+    const month = MONTHS[candidate.month] ?? Number(candidate.month);
+    const day = Number(candidate.day);
+
+    // Day-first can't be right ("04/13/2026") but month-first could: a US-style date, so don't guess
+    if (candidate.numeric && month > 12) {
+        return { date: null, ambiguous: isValidDate(2000, day, month) };
+    }
+
+    let year = candidate.year ? Number(candidate.year) : null;
+    if (year !== null && year < 100) year += 2000;
+
+    if (year === null) {
+        // No year: the one that matches the weekday, or the next occurrence (allowing
+        // for adverts read a little after their closing date)
+        const refYear = Number(reference.slice(0, 4));
+        const years = [refYear - 1, refYear, refYear + 1].filter(y => isValidDate(y, month, day));
+        if (weekday !== null) {
+            const matching = years.filter(y => dayOfWeek(formatDate(y, month, day)) === weekday);
+            if (matching.length === 0) return { date: null, ambiguous: true };
+            year = matching.reduce((best, y) => (Math.abs(y - refYear) < Math.abs(best - refYear) ? y : best));
+        } else {
+            year = years.find(y => formatDate(y, month, day) >= addDays(reference, -60)) ?? null;
+        }
+        if (year === null) return { date: null, ambiguous: false };
+    }
+
+    if (!isValidDate(year, month, day)) return { date: null, ambiguous: false };
+
+    const date = formatDate(year, month, day);
+    if (weekday !== null && dayOfWeek(date) !== weekday) {
+        return { date: null, ambiguous: true };
+    }
+    return { date, ambiguous: false };
+}
+
+function isValidDate(year, month, day) {
+    if (month < 1 || month > 12 || day < 1) return false;
+    return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function formatDate(year, month, day) {
+    return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
@@ -0,0 +1,220 @@
+// Page Fetcher for IOM Job Scraper
+// Fetches pages as an identified crawler and retries transient failures
+// (timeouts, network errors, 429/5xx) with exponential backoff and jitter.
+// WAF blocks are never retried here: hammering a WAF makes it worse, so the
+// caller pauses the run instead (see the cool-down handling in scraper.js).
+// Every request is cleared with the politeness layer first (robots.txt,
+// crawl delay, per-host concurrency and daily budgets; see politeness.js),
+// and can be recorded or replayed from an archive (see recorder.js).
+// Given a stored ETag/Last-Modified it makes a conditional GET, and
+// hashPageContent fingerprints a page for servers that offer neither.
+
+import { CONFIG } from "./config.js";
+import { getRequestHeaders, sleep, sha256Hex, isWafBlockPage } from "./utils.js";
+import { cleanText } from "./html.js";
+import { requestPermit, msUntilBudgetReset } from "./politeness.js";
+import { archivedFetch } from "./recorder.js";
+
+// Statuses worth retrying; other 4xx responses won't change on a retry
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/**
+ * Fetch a single page, retrying transient failures
+ * A result with `retryAfterMs` means we shouldn't try again for longer than
+ * we're prepared to wait in one invocation (the server's Retry-After, the host's
+ * daily budget, or robots.txt being unavailable); the caller should resume later.
+ * A result with `disallowed` is a page robots.txt asks us not to fetch.
+ * A result with `notModified` means the page matches the validators passed in.
+ * @param {Object} env - Cloudflare environment bindings (for the politeness layer's D1 state)
+ * @param {string} url - Page to fetch
+ * @param {Object} options
+ * @param {number} options.maxAttempts - Cap on attempts (each is one subrequest)
+ * @param {string|null} options.etag - ETag from the last fetch (sent as If-None-Match)
+ * @param {string|null} options.lastModified - Last-Modified from the last fetch (sent as If-Modified-Since)
+ * @returns {Promise<{ html: string|null, rawText: string|null, error: string|null, wafBlocked: boolean,
+ *   disallowed: boolean, notModified: boolean, etag: string|null, lastModified: string|null,
+ *   status: number|null, attempts: number, retries: number, subrequests: number, retryAfterMs: number|null }>}
+ *   `subrequests` is attempts plus any robots.txt fetch
+ */
+export async function fetchPage(env, url, { maxAttempts = CONFIG.scraper.fetchMaxAttempts, etag = null, lastModified = null } = {}) {
+    const permit = await requestPermit(env, url);
+    if (!permit.allowed) {
+        return refused(permit.error, permit.subrequests, {
+            disallowed: permit.disallowed,
+            retryAfterMs: permit.retryAfterMs,
+        });
+    }
+
+    const limit = Math.max(1, maxAttempts);
+    let attempts = 0;
+    let result = null;
+
+    try {
+        while (attempts < limit) {
+            if (!(await permit.beforeRequest())) {
+                // Out of budget for today; keep any earlier attempt's error for the log
+                if (attempts === 0) {
+                    return refused(`Daily request budget spent for ${new URL(url).host}`, permit.subrequests, {
+                        retryAfterMs: msUntilBudgetReset(),
+                    });
+                }
+                break;
+            }
+
+            attempts++;
+            result = await fetchOnce(env, url, { etag, lastModified });
+
+            if (!result.retryable) break;
+
+            // A Retry-After beyond what we'll sleep for ends this invocation's attempts
+            const retryAfterMs = result.retryAfterMs;
+            if (retryAfterMs !== null && retryAfterMs > CONFIG.scraper.fetchRetryMaxDelayMs) {
+                console.error(`${url} asked us to retry after ${Math.round(retryAfterMs / 1000)}s; deferring`);
+                break;
+            }
+
+            if (attempts >= limit) break;
+
+            const delay = Math.max(retryAfterMs ?? 0, backoffDelay(attempts));
+            console.log(`  Retrying ${url} in ${delay}ms (attempt ${attempts + 1}/${limit}): ${result.error}`);
+            await sleep(delay);
+        }
+    } finally {
+        permit.release();
+    }
+
+    return {
+        html: result.html,
+        rawText: result.rawText,
+        error: result.error,
+        wafBlocked: result.wafBlocked,
+        disallowed: false,
+        notModified: result.status === 304,
+        etag: result.etag ?? null,
+        lastModified: result.lastModified ?? null,
+        status: result.status,
+        attempts,
+        retries: attempts - 1,
+        subrequests: attempts + permit.subrequests,
+        retryAfterMs: result.retryAfterMs,
+    };
+}
+
+/**
+ * Result for a fetch the politeness layer wouldn't make
+ */
+function refused(error, subrequests, { disallowed = false, retryAfterMs = null } = {}) {
+    return {
+        html: null,
+        rawText: null,
+        error,
+        wafBlocked: false,
+        disallowed,
+        notModified: false,
+        etag: null,
+        lastModified: null,
+        status: null,
+        attempts: 0,
+        retries: 0,
+        subrequests,
+        retryAfterMs,
+    };
+}
+
+/**
+ * Make one request and classify the outcome
+ */
+async function fetchOnce(env, url, { etag, lastModified }) {
+    try {
+        const headers = getRequestHeaders(CONFIG.scraper.userAgent);
+        if (etag) headers["If-None-Match"] = etag;
+        if (lastModified) headers["If-Modified-Since"] = lastModified;
+
+        const response = await archivedFetch(env, url, {
+            method: "GET",
+            headers,
+            redirect: "follow",
+            signal: AbortSignal.timeout(CONFIG.scraper.fetchTimeoutMs),
+        });
+
+        if (response.status === 304) {
+            return { html: null, rawText: null, error: null, wafBlocked: false, status: 304, retryable: false, retryAfterMs: null, etag, lastModified };
+        }
+
+        if (!response.ok) {
+            console.error(`HTTP error ${response.status} for ${url}`);
+            return {
+                html: null,
+                rawText: null,
+                error: `HTTP ${response.status}`,
+                wafBlocked: false,
+                status: response.status,
+                retryable: RETRYABLE_STATUSES.has(response.status),
+                retryAfterMs: parseRetryAfter(response.headers.get("Retry-After")),
+            };
+        }
+
+        const text = await response.text();
+
+        if (isWafBlockPage(text)) {
+            console.error(`WAF blocked request for ${url}`);
+            return { html: null, rawText: text, error: "WAF blocked", wafBlocked: true, status: response.status, retryable: false, retryAfterMs: null };
+        }
+
+        return {
+            html: text,
+            rawText: text,
+            error: null,
+            wafBlocked: false,
+            status: response.status,
+            retryable: false,
+            retryAfterMs: null,
+            etag: response.headers.get("ETag"),
+            lastModified: response.headers.get("Last-Modified"),
+        };
+    } catch (error) {
+        // Timeouts and network failures
+        const message = error.name === "TimeoutError" ? `Timed out after ${CONFIG.scraper.fetchTimeoutMs}ms` : error.message;
+        console.error(`Fetch error for ${url}:`, message);
+        return { html: null, rawText: null, error: message, wafBlocked: false, status: null, retryable: true, retryAfterMs: null };
+    }
+}
+
+/**
+ * Exponential backoff with jitter: a random delay between half and all of
+ * base * 2^(attempt - 1), capped at fetchRetryMaxDelayMs
+ * @param {number} attempt - Attempts made so far (1 for the first retry)
+ */
+export function backoffDelay(attempt) {
+    const { fetchRetryBaseMs, fetchRetryMaxDelayMs } = CONFIG.scraper;
+    const ceiling = Math.min(fetchRetryMaxDelayMs, fetchRetryBaseMs * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @returns {number|null} Milliseconds to wait, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const trimmed = value.trim();
+    if (/^\d+$/.test(trimmed)) {
+        return parseInt(trimmed, 10) * 1000;
+    }
+
+    const date = Date.parse(trimmed);
+    if (Number.isNaN(date)) return null;
+    return Math.max(0, date - Date.now());
+}
+
+/**
+ * Hash a page's visible text, so pages can be compared across fetches
+ * Scripts and styles are dropped first: they carry per-request tokens that
+ * would make every fetch look like a change.
+ * @returns {Promise<string>} SHA-256 hex digest
+ */
+export async function hashPageContent(html) {
+    const text = cleanText(html, { skip: ["script", "style"] });
+    return await sha256Hex(text);
+}
@@ -0,0 +1,415 @@
+// Streaming HTML Extraction for IOM Job Scraper
+// Built on htmlparser2's streaming parser, which runs in Workers and in Node (tests).
+// It tokenises like a browser: unquoted attributes, entities, implied end tags
+// (<p>, <li>, <td>, <tr>...) and nested tables all come out right, unlike regexes.
+//
+// Extraction works like Workers' HTMLRewriter: register selectors, and get called
+// back as matching elements open, receive text, and close. Supported selectors:
+// tag, #id, .class, [attr], [attr=v], [attr~=v], [attr^=v], [attr$=v], [attr*=v],
+// combined with descendant (" ") and child (">") combinators, and comma lists.
+
+import { Parser } from "htmlparser2";
+
+// Block elements that start a new line when HTML is flattened to text
+const BLOCK_BREAKS = {
+    p: "\n\n",
+    h1: "\n\n", h2: "\n\n", h3: "\n\n", h4: "\n\n", h5: "\n\n", h6: "\n\n",
+    div: "\n",
+    li: "\n",
+    tr: "\n",
+};
+
+/**
+ * Walk a document, calling back for every element and text chunk
+ * Elements passed to the callbacks are { name, attrs, parent, depth }, where
+ * `parent` is the enclosing element (null at the top level). Text is decoded
+ * (entities resolved), except inside <script> and <style>, which is raw.
+ * @param {string} html - Document or fragment
+ * @param {Object} callbacks
+ * @param {(element: Object) => void} [callbacks.open]
+ * @param {(text: string, element: Object|null) => void} [callbacks.text]
+ * @param {(element: Object, innerHtml: () => string) => void} [callbacks.close] - innerHtml() slices the source
+ */
+export function walk(html, { open, text, close } = {}) {
+    let current = null;
+    let ending = false;
+
+    const parser = new Parser({
+        onopentag(name, attrs) {
+            const element = {
+                name,
+                attrs,
+                parent: current,
+                depth: current ? current.depth + 1 : 0,
+                contentStart: parser.endIndex + 1,
+            };
+            current = element;
+            open?.(element);
+        },
+        ontext(chunk) {
+            text?.(chunk, current);
+        },
+        onclosetag(name) {
+            const element = current;
+            if (!element) return;
+            // An end tag closes at its start; at the end of input, everything left closes there
+            const contentEnd = ending ? html.length : parser.startIndex;
+            current = element.parent;
+            close?.(element, () => html.slice(element.contentStart, Math.max(element.contentStart, contentEnd)));
+        },
+    }, { decodeEntities: true });
+
+    parser.write(html || "");
+    ending = true;
+    parser.end();
+}
+
+/**
+ * Run selector handlers over a document, HTMLRewriter-style
+ * Each handler's callbacks receive the matching element; `text` gets every text
+ * chunk inside it (nested elements included), and `end` gets its inner HTML.
+ * @param {string} html - Document or fragment
+ * @param {Array<{ selector: string, element?: Function, text?: Function, end?: Function }>} handlers
+ */
+export function scan(html, handlers) {
+    const compiled = handlers.map(handler => ({ ...handler, match: compileSelector(handler.selector) }));
+    // Matching handlers per open element, innermost last
+    const active = [];
+
+    walk(html, {
+        open(element) {
+            const matched = compiled.filter(handler => handler.match(element));
+            element.matched = matched;
+            if (matched.length > 0) active.push(element);
+            for (const handler of matched) handler.element?.(element);
+        },
+        text(chunk) {
+            for (const element of active) {
+                for (const handler of element.matched) handler.text?.(chunk, element);
+            }
+        },
+        close(element, innerHtml) {
+            if (element.matched.length === 0) return;
+            active.splice(active.lastIndexOf(element), 1);
+            for (const handler of element.matched) handler.end?.(element, innerHtml);
+        },
+    });
+}
+
+/**
+ * Collect every element matching a selector
+ * @param {string} html - Document or fragment
+ * @param {string} selector - See the module header for the supported syntax
+ * @returns {Array<{ name: string, attrs: Object, text: string, html: string }>}
+ *   `text` is the element's flattened text (see cleanText), `html` its inner HTML
+ */
+export function selectAll(html, selector) {
+    const results = [];
+    // Matches still open, keyed by element
+    const open = new Map();
+
+    scan(html, [{
+        selector,
+        element(element) {
+            const result = { name: element.name, attrs: element.attrs, text: "", html: "" };
+            open.set(element, result);
+            results.push(result);
+        },
+        end(element, innerHtml) {
+            const result = open.get(element);
+            result.html = innerHtml();
+            result.text = cleanText(result.html);
+            open.delete(element);
+        },
+    }]);
+
+    return results;
+}
+
+/**
+ * The first element matching a selector, or null
+ */
+export function selectFirst(html, selector) {
+    return selectAll(html, selector)[0] || null;
+}
+
+/**
+ * Flatten HTML to a single line of text
+ * Every tag boundary counts as a space, entities are decoded and whitespace is collapsed.
+ * @param {string} html - HTML or plain text
+ * @param {Object} options
+ * @param {string[]} options.skip - Elements whose content is dropped (e.g. script, style)
+ * @returns {string}
+ */
+export function cleanText(html, { skip = [] } = {}) {
+    if (!html) return "";
+
+    const parts = [];
+    walk(html, {
+        open() {
+            parts.push(" ");
+        },
+        text(chunk, element) {
+            if (skip.length > 0 && isInside(element, skip)) return;
+            parts.push(chunk);
+        },
+        close() {
+            parts.push(" ");
+        },
+    });
+
+    return parts.join("").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Flatten HTML to text, keeping its paragraph and line structure
+ * Paragraphs and headings end with a blank line; line breaks, divs, list items
+ * and table rows with a newline. Scripts and styles are dropped.
+ * @param {string} html - HTML fragment
+ * @returns {string|null}
+ */
+export function htmlToText(html) {
+    if (!html) return null;
+
+    const parts = [];
+    walk(html, {
+        open(element) {
+            if (element.name === "br") parts.push("\n");
+        },
+        text(chunk, element) {
+            if (isInside(element, ["script", "style"])) return;
+            parts.push(chunk);
+        },
+        close(element) {
+            if (BLOCK_BREAKS[element.name]) parts.push(BLOCK_BREAKS[element.name]);
+        },
+    });
+
+    return parts.join("")
+        .replace(/\u00a0/g, " ")
+        .replace(/[ \t]+/g, " ")
+        .replace(/\n[ \t]+/g, "\n")
+        .replace(/[ \t]+\n/g, "\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+}
+
+// Inline elements kept as Markdown emphasis
+const MARKDOWN_EMPHASIS = { strong: "**", b: "**", em: "*", i: "*" };
+
+// Link schemes allowed through to Markdown; other links keep only their text
+const SAFE_LINK = /^(?:https?:\/\/|mailto:)/i;
+
+/**
+ * Convert HTML to Markdown, keeping only an allowlist of formatting
+ * Headings, paragraphs, line breaks, (nested) lists, bold, italics and absolute
+ * http(s)/mailto links survive; every other element is reduced to its text, and
+ * scripts and styles are dropped. Text is escaped, so nothing in the page can
+ * inject its own Markdown (or HTML, which the renderer escapes anyway).
+ * @param {string} html - HTML fragment
+ * @returns {string|null}
+ */
+export function htmlToMarkdown(html) {
+    if (!html) return null;
+
+    let out = "";
+    // Line break owed before the next content, and the marker (heading, list item) that starts it
+    let pendingBreak = "";
+    let pendingPrefix = "";
+    const lists = [];
+
+    const breakAtLeast = (text) => {
+        if (text.length > pendingBreak.length) pendingBreak = text;
+    };
+    const flush = () => {
+        if (out) out += pendingBreak;
+        out += pendingPrefix;
+        pendingBreak = "";
+        pendingPrefix = "";
+    };
+    const atLineStart = () => out === "" || /\n[ ]*$|^[ ]*$|(?:^|\n)[ ]*(?:#+|-|\d+\.) $/.test(out);
+
+    walk(html, {
+        open(element) {
+            const { name } = element;
+            if (/^h[1-6]$/.test(name)) {
+                breakAtLeast("\n\n");
+                pendingPrefix = `${"#".repeat(Number(name[1]))} `;
+            } else if (name === "p" || name === "div" || name === "table") {
+                if (!pendingPrefix) breakAtLeast(name === "p" ? "\n\n" : "\n");
+            } else if (name === "ul" || name === "ol") {
+                if (lists.length === 0) breakAtLeast("\n\n");
+                lists.push({ ordered: name === "ol", count: 0 });
+            } else if (name === "li") {
+                const list = lists[lists.length - 1];
+                const marker = list?.ordered ? `${++list.count}.` : "-";
+                breakAtLeast("\n");
+                pendingPrefix = `${"    ".repeat(Math.max(0, lists.length - 1))}${marker} `;
+            } else if (name === "br") {
+                breakAtLeast(pendingBreak ? "\n\n" : "\n");
+            } else if (name === "tr") {
+                breakAtLeast("\n");
+            } else if (MARKDOWN_EMPHASIS[name] || name === "a") {
+                flush();
+                element.markdownStart = out.length;
+            }
+        },
+        text(chunk, element) {
+            if (isInside(element, ["script", "style"])) return;
+
+            let text = chunk.replace(/\s+/g, " ");
+            if (!text.trim()) {
+                // Whitespace between inline content is a space; at a line break it's nothing
+                if (!pendingBreak && !pendingPrefix && out && !out.endsWith(" ")) out += " ";
+                return;
+            }
+
+            flush();
+            text = text.replace(/[\\`*_[\]#<>]/g, "\\$&");
+            if (atLineStart()) {
+                text = text.trimStart()
+                    // Text that would read as a list item marker
+                    .replace(/^(\d+)\.(?= )/, "$1\\.")
+                    .replace(/^([-+])(?= )/, "\\$1");
+            } else if (out.endsWith(" ")) {
+                text = text.trimStart();
+            }
+            out += text;
+        },
+        close(element) {
+            const { name } = element;
+            if (/^h[1-6]$/.test(name) || name === "p") {
+                breakAtLeast("\n\n");
+                pendingPrefix = "";
+            } else if (name === "div" || name === "li" || name === "table") {
+                breakAtLeast("\n");
+            } else if (name === "ul" || name === "ol") {
+                lists.pop();
+                breakAtLeast(lists.length === 0 ? "\n\n" : "\n");
+            } else if (name === "td" || name === "th") {
+                if (out && !out.endsWith(" ")) out += " ";
+            } else if (element.markdownStart !== undefined) {
+                const inner = out.slice(element.markdownStart);
+                const core = inner.trim();
+                // Formatting can't span lines; empty elements leave nothing to wrap
+                if (!core || core.includes("\n")) return;
+
+                const [lead] = inner.match(/^\s*/);
+                const [trail] = inner.match(/\s*$/);
+                let wrapped = core;
+                if (name === "a") {
+                    const href = (element.attrs.href || "").trim();
+                    if (SAFE_LINK.test(href)) {
+                        wrapped = `[${core}](${href.replace(/[()\s<>]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`)})`;
+                    }
+                } else {
+                    wrapped = `${MARKDOWN_EMPHASIS[name]}${core}${MARKDOWN_EMPHASIS[name]}`;
+                }
+                out = out.slice(0, element.markdownStart) + lead + wrapped + trail;
+            }
+        },
+    });
+
+    return out
+        .replace(/[ \t]+\n/g, "\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim() || null;
+}
+
+function isInside(element, names) {
+    for (let node = element; node; node = node.parent) {
+        if (names.includes(node.name)) return true;
+    }
+    return false;
+}
+
+/**
+ * Compile a selector list into a function that tests an element (with its parents)
+ * @returns {(element: Object) => boolean}
+ */
+export function compileSelector(selector) {
+    const alternatives = selector.split(",").map(part => parseComplexSelector(part.trim()));
+    return (element) => alternatives.some(steps => matchesSteps(element, steps, steps.length - 1));
+}
+
+/**
+ * Split "table.table > tr td" into compound steps with the combinator before each
+ */
+function parseComplexSelector(selector) {
+    const steps = [];
+    const tokens = selector.replace(/\s*>\s*/g, " > ").split(/\s+/).filter(Boolean);
+    let combinator = " ";
+
+    for (const token of tokens) {
+        if (token === ">") {
+            combinator = ">";
+            continue;
+        }
+        steps.push({ combinator, test: parseCompound(token) });
+        combinator = " ";
+    }
+
+    if (steps.length === 0) throw new Error(`Empty selector "${selector}"`);
+    return steps;
+}
+
+function matchesSteps(element, steps, index) {
+    if (!element || !steps[index].test(element)) return false;
+    if (index === 0) return true;
+
+    if (steps[index].combinator === ">") {
+        return matchesSteps(element.parent, steps, index - 1);
+    }
+    for (let ancestor = element.parent; ancestor; ancestor = ancestor.parent) {
+        if (matchesSteps(ancestor, steps, index - 1)) return true;
+    }
+    return false;
+}
+
+/**
+ * Parse one compound selector (e.g. a.next[href*="page="]) into a test
+ */
+function parseCompound(compound) {
+    const pattern = /([a-zA-Z][a-zA-Z0-9-]*|\*)|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:([~^$*]?=)(?:"([^"]*)"|'([^']*)'|([^\]]*)))?\]/y;
+    const tests = [];
+    let index = 0;
+
+    while (index < compound.length) {
+        pattern.lastIndex = index;
+        const match = pattern.exec(compound);
+        if (!match) {
+            throw new Error(`Unsupported selector "${compound}"`);
+        }
+        index = pattern.lastIndex;
+
+        const [, tag, id, className, attr, operator, doubleQuoted, singleQuoted, bare] = match;
+        if (tag && tag !== "*") {
+            const name = tag.toLowerCase();
+            tests.push(element => element.name === name);
+        } else if (id) {
+            tests.push(element => element.attrs.id === id);
+        } else if (className) {
+            tests.push(element => (element.attrs.class || "").split(/\s+/).includes(className));
+        } else if (attr) {
+            tests.push(attributeTest(attr.toLowerCase(), operator, doubleQuoted ?? singleQuoted ?? bare));
+        }
+    }
+
+    return (element) => tests.every(test => test(element));
+}
+
+function attributeTest(name, operator, value) {
+    return (element) => {
+        const actual = element.attrs[name];
+        if (actual === undefined) return false;
+        switch (operator) {
+            case undefined: return true;
+            case "=": return actual === value;
+            case "~=": return actual.split(/\s+/).includes(value);
+            case "^=": return actual.startsWith(value);
+            case "$=": return actual.endsWith(value);
+            case "*=": return actual.includes(value);
+            default: return false;
+        }
+    };
+}
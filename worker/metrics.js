@@ -0,0 +1,184 @@
+// Parse-Quality Metrics for IOM Job Scraper
+// Tallies field coverage per scrape/enrichment run so silent parser breakage
+// (e.g. salaries no longer extracted) shows up in /health
+
+import { CONFIG } from "./config.js";
+
+/**
+ * Coverage percentages: column → [count column, denominator column]
+ */
+const COVERAGE = {
+    employer_pct: ["employer_count", "listed_jobs"],
+    classification_pct: ["classification_count", "listed_jobs"],
+    salary_pct: ["salary_count", "detail_jobs"],
+    salary_parsed_pct: ["salary_parsed_count", "detail_jobs"],
+    closing_date_pct: ["closing_date_count", "detail_jobs"],
+    description_pct: ["description_count", "detail_jobs"],
+};
+
+const COUNTERS = [
+    "listed_jobs", "employer_count", "classification_count",
+    "detail_jobs", "salary_count", "salary_parsed_count", "closing_date_count",
+    "description_count", "description_chars",
+];
+
+// Readable names for health issues
+const METRIC_LABELS = {
+    employer_pct: "Employer coverage",
+    classification_pct: "Classification coverage",
+    salary_pct: "Salary text coverage",
+    salary_parsed_pct: "Salary parse coverage",
+    closing_date_pct: "Closing date coverage",
+    description_pct: "Description coverage",
+    avg_description_length: "Average description length",
+};
+
+/**
+ * Create an empty in-memory tally for a run
+ */
+export function emptyTally() {
+    return Object.fromEntries(COUNTERS.map(counter => [counter, 0]));
+}
+
+/**
+ * Count field coverage for jobs parsed from a listing page
+ */
+export function tallyListing(tally, jobs) {
+    for (const job of jobs) {
+        tally.listed_jobs++;
+        if (job.employer) tally.employer_count++;
+        if (job.classification) tally.classification_count++;
+    }
+}
+
+/**
+ * Count field coverage for one parsed detail page
+ * @param {Object} fields - Column values from buildDetailFields
+ */
+export function tallyDetail(tally, fields) {
+    tally.detail_jobs++;
+    if (fields.salary_text) tally.salary_count++;
+    if ((fields.salary_annual_min ?? fields.salary_annual_max ?? null) !== null) tally.salary_parsed_count++;
+    if (fields.closing_date) tally.closing_date_count++;
+    if (fields.description) {
+        tally.description_count++;
+        tally.description_chars += fields.description.length;
+    }
+}
+
+/**
+ * Add a tally to the run's scrape_metrics row and reset it
+ * Runs span several invocations, so counts accumulate across flushes
+ */
+export async function flushMetrics(env, logId, source, tally) {
+    if (!logId || COUNTERS.every(counter => !tally[counter])) return;
+
+    try {
+        await env.DB.prepare(`
+            INSERT INTO scrape_metrics (scrape_log_id, source, ${COUNTERS.join(", ")})
+            VALUES (?, ?, ${COUNTERS.map(() => "?").join(", ")})
+            ON CONFLICT(scrape_log_id) DO UPDATE SET
+                ${COUNTERS.map(c => `${c} = ${c} + excluded.${c}`).join(",\n                ")}
+        `).bind(logId, source ?? null, ...COUNTERS.map(counter => tally[counter])).run();
+
+        for (const counter of COUNTERS) tally[counter] = 0;
+    } catch (error) {
+        console.error("Error saving scrape metrics:", error.message);
+    }
+}
+
+/**
+ * Compute the coverage percentages for a finished run
+ */
+export async function finaliseMetrics(env, logId) {
+    if (!logId) return;
+
+    const pct = ([count, total]) => `CASE WHEN ${total} > 0 THEN ROUND(100.0 * ${count} / ${total}, 1) END`;
+
+    try {
+        await env.DB.prepare(`
+            UPDATE scrape_metrics SET
+                ${Object.entries(COVERAGE).map(([column, ratio]) => `${column} = ${pct(ratio)}`).join(",\n                ")},
+                avg_description_length = CASE WHEN description_count > 0
+                    THEN ROUND(1.0 * description_chars / description_count) END,
+                finalised_at = CURRENT_TIMESTAMP
+            WHERE scrape_log_id = ?
+        `).bind(logId).run();
+    } catch (error) {
+        console.error("Error finalising scrape metrics:", error.message);
+    }
+}
+
+/**
+ * Compare each source's latest run against its trailing average
+ * A metric is flagged when it drops sharply: percentages by more than
+ * metricsMaxPctDrop points, average description length by more than
+ * metricsMaxLengthDrop of its average. Runs with too few jobs are ignored.
+ * @returns {Promise<{ runs: Array, flags: Array }>}
+ */
+export async function getParseQuality(env) {
+    const {
+        metricsTrailingRuns,
+        metricsMinTrailingRuns,
+        metricsMinSample,
+        metricsMaxPctDrop,
+        metricsMaxLengthDrop,
+    } = CONFIG.scraper;
+
+    const sources = await env.DB.prepare(`
+        SELECT DISTINCT source FROM scrape_metrics WHERE finalised_at IS NOT NULL
+    `).all();
+
+    const runs = [];
+    const flags = [];
+
+    for (const { source } of sources.results || []) {
+        const recent = await env.DB.prepare(`
+            SELECT * FROM scrape_metrics
+            WHERE source IS ? AND finalised_at IS NOT NULL
+            ORDER BY scrape_log_id DESC
+            LIMIT ?
+        `).bind(source, metricsTrailingRuns + 1).all();
+
+        const [latest, ...trailing] = recent.results || [];
+        if (!latest) continue;
+
+        runs.push(summariseRun(latest));
+
+        for (const [metric, [, total]] of [...Object.entries(COVERAGE), ["avg_description_length", [null, "description_count"]]]) {
+            if (latest[metric] === null || latest[total] < metricsMinSample) continue;
+
+            const history = trailing.filter(row => row[metric] !== null && row[total] >= metricsMinSample);
+            if (history.length < metricsMinTrailingRuns) continue;
+
+            const average = history.reduce((sum, row) => sum + row[metric], 0) / history.length;
+            const dropped = metric === "avg_description_length"
+                ? latest[metric] < average * (1 - metricsMaxLengthDrop)
+                : average - latest[metric] > metricsMaxPctDrop;
+
+            if (dropped) {
+                flags.push({
+                    source,
+                    scrapeLogId: latest.scrape_log_id,
+                    metric,
+                    label: METRIC_LABELS[metric],
+                    value: latest[metric],
+                    trailingAverage: Math.round(average * 10) / 10,
+                    trailingRuns: history.length,
+                });
+            }
+        }
+    }
+
+    return { runs, flags };
+}
+
+function summariseRun(row) {
+    return {
+        scrapeLogId: row.scrape_log_id,
+        source: row.source,
+        listedJobs: row.listed_jobs,
+        detailJobs: row.detail_jobs,
+        ...Object.fromEntries(Object.keys(METRIC_LABELS).map(metric => [metric, row[metric]])),
+    };
+}
@@ -0,0 +1,14 @@
+-- Migration 0001: field-level job change history
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0001_job_revisions.sql
+
+CREATE TABLE IF NOT EXISTS job_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id INTEGER NOT NULL REFERENCES jobs(id),
+    field TEXT NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+    scrape_log_id INTEGER REFERENCES scrape_log(id),
+    changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_revisions_job ON job_revisions(job_id, changed_at DESC);
@@ -0,0 +1,9 @@
+-- Migration 0002: re-advertisement detection
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0002_readvertisements.sql
+
+ALTER TABLE jobs ADD COLUMN fingerprint TEXT;
+ALTER TABLE jobs ADD COLUMN readvertised_from INTEGER;
+ALTER TABLE jobs ADD COLUMN readvertise_count INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_fingerprint ON jobs(fingerprint);
+CREATE INDEX IF NOT EXISTS idx_jobs_readvertised_from ON jobs(readvertised_from);
@@ -0,0 +1,36 @@
+-- Migration 0003: resumable, checkpointed scrape runs
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0003_resumable_scrapes.sql
+
+ALTER TABLE scrape_log ADD COLUMN phase TEXT;
+ALTER TABLE scrape_log ADD COLUMN next_url TEXT;
+ALTER TABLE scrape_log ADD COLUMN cursor_failures INTEGER DEFAULT 0;
+ALTER TABLE scrape_log ADD COLUMN pages_fetched INTEGER DEFAULT 0;
+ALTER TABLE scrape_log ADD COLUMN details_total INTEGER DEFAULT 0;
+ALTER TABLE scrape_log ADD COLUMN details_done INTEGER DEFAULT 0;
+ALTER TABLE scrape_log ADD COLUMN details_failed INTEGER DEFAULT 0;
+ALTER TABLE scrape_log ADD COLUMN fetch_attempts INTEGER DEFAULT 0;
+ALTER TABLE scrape_log ADD COLUMN fetch_successes INTEGER DEFAULT 0;
+ALTER TABLE scrape_log ADD COLUMN waf_blocks INTEGER DEFAULT 0;
+ALTER TABLE scrape_log ADD COLUMN fetch_errors INTEGER DEFAULT 0;
+ALTER TABLE scrape_log ADD COLUMN invocations INTEGER DEFAULT 0;
+ALTER TABLE scrape_log ADD COLUMN updated_at DATETIME;
+
+CREATE TABLE IF NOT EXISTS scrape_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scrape_log_id INTEGER NOT NULL REFERENCES scrape_log(id),
+    job_id INTEGER NOT NULL REFERENCES jobs(id),
+    url TEXT NOT NULL,
+    status TEXT DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME,
+    UNIQUE (scrape_log_id, job_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scrape_log_status ON scrape_log(status, url_type);
+CREATE INDEX IF NOT EXISTS idx_scrape_queue_pending ON scrape_queue(scrape_log_id, status);
+
+-- Runs started before this migration have no cursor and cannot be resumed
+UPDATE scrape_log SET status = 'failed', error_message = 'Interrupted by upgrade'
+WHERE status = 'running';
@@ -0,0 +1,12 @@
+-- Migration 0004: closed-job detection (expired / withdrawn / filled)
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0004_closed_reason.sql
+
+ALTER TABLE jobs ADD COLUMN closed_reason TEXT;
+ALTER TABLE jobs ADD COLUMN closed_at DATETIME;
+ALTER TABLE jobs ADD COLUMN last_seen_at DATETIME;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_active_last_seen ON jobs(is_active, last_seen_at);
+
+-- Jobs already closed by markExpiredJobs were closed on closing_date
+UPDATE jobs SET closed_reason = 'expired', closed_at = updated_at
+WHERE is_active = 0 AND closed_reason IS NULL;
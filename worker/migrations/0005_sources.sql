@@ -0,0 +1,9 @@
+-- Migration 0005: pluggable job sources
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0005_sources.sql
+
+-- Existing rows all came from services.gov.im
+ALTER TABLE jobs ADD COLUMN source TEXT DEFAULT 'govim';
+ALTER TABLE scrape_log ADD COLUMN source TEXT DEFAULT 'govim';
+
+CREATE INDEX IF NOT EXISTS idx_jobs_source ON jobs(source, is_active);
+CREATE INDEX IF NOT EXISTS idx_scrape_log_source ON scrape_log(source, status);
@@ -0,0 +1,33 @@
+-- Migration 0006: parse-quality metrics per scrape run
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0006_scrape_metrics.sql
+
+CREATE TABLE IF NOT EXISTS scrape_metrics (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scrape_log_id INTEGER NOT NULL UNIQUE REFERENCES scrape_log(id),
+    source TEXT,                     -- NULL for standalone enrichment (all sources)
+
+    -- Counts, accumulated across a run's invocations
+    listed_jobs INTEGER DEFAULT 0,
+    employer_count INTEGER DEFAULT 0,
+    classification_count INTEGER DEFAULT 0,
+    detail_jobs INTEGER DEFAULT 0,
+    salary_count INTEGER DEFAULT 0,
+    salary_parsed_count INTEGER DEFAULT 0,
+    closing_date_count INTEGER DEFAULT 0,
+    description_count INTEGER DEFAULT 0,
+    description_chars INTEGER DEFAULT 0,
+
+    -- Coverage percentages (0-100), computed when the run finishes
+    employer_pct REAL,
+    classification_pct REAL,
+    salary_pct REAL,
+    salary_parsed_pct REAL,
+    closing_date_pct REAL,
+    description_pct REAL,
+    avg_description_length REAL,
+
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finalised_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_scrape_metrics_source ON scrape_metrics(source, scrape_log_id DESC);
@@ -0,0 +1,4 @@
+-- Migration 0007: separate changed and unchanged jobs in scrape_log
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0007_jobs_unchanged.sql
+
+ALTER TABLE scrape_log ADD COLUMN jobs_unchanged INTEGER DEFAULT 0;
@@ -0,0 +1,7 @@
+-- Migration 0008: store error counts and phase timings per scrape run
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0008_batched_writes.sql
+
+ALTER TABLE scrape_log ADD COLUMN store_errors INTEGER DEFAULT 0;
+ALTER TABLE scrape_log ADD COLUMN fetch_ms INTEGER DEFAULT 0;
+ALTER TABLE scrape_log ADD COLUMN parse_ms INTEGER DEFAULT 0;
+ALTER TABLE scrape_log ADD COLUMN store_ms INTEGER DEFAULT 0;
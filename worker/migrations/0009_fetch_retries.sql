@@ -0,0 +1,6 @@
+-- Migration 0009: fetch retry counts and WAF cool-downs per scrape run
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0009_fetch_retries.sql
+
+ALTER TABLE scrape_log ADD COLUMN fetch_retries INTEGER DEFAULT 0;
+ALTER TABLE scrape_log ADD COLUMN cooldowns INTEGER DEFAULT 0;
+ALTER TABLE scrape_log ADD COLUMN cooldown_until DATETIME;
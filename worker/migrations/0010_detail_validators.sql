@@ -0,0 +1,9 @@
+-- Migration 0010: remember how each detail page was last fetched, so unchanged pages can be skipped
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0010_detail_validators.sql
+
+ALTER TABLE jobs ADD COLUMN detail_hash TEXT;
+ALTER TABLE jobs ADD COLUMN detail_etag TEXT;
+ALTER TABLE jobs ADD COLUMN detail_last_modified TEXT;
+ALTER TABLE jobs ADD COLUMN detail_checked_at DATETIME;
+
+ALTER TABLE scrape_log ADD COLUMN details_unchanged INTEGER DEFAULT 0;
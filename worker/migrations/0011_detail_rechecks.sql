@@ -0,0 +1,4 @@
+-- Migration 0011: count re-checked detail pages whose fields changed
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0011_detail_rechecks.sql
+
+ALTER TABLE scrape_log ADD COLUMN details_changed INTEGER DEFAULT 0;
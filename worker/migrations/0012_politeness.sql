@@ -0,0 +1,16 @@
+-- Migration 0012: robots.txt cache and per-host daily request counts
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0012_politeness.sql
+
+CREATE TABLE IF NOT EXISTS robots_txt (
+    origin TEXT PRIMARY KEY,
+    status INTEGER,
+    body TEXT,
+    fetched_at DATETIME
+);
+
+CREATE TABLE IF NOT EXISTS crawl_budget (
+    host TEXT NOT NULL,
+    day TEXT NOT NULL,
+    requests INTEGER DEFAULT 0,
+    PRIMARY KEY (host, day)
+);
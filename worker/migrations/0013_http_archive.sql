@@ -0,0 +1,14 @@
+-- Migration 0013: recorded HTTP responses for offline replay (SCRAPER_HTTP_MODE)
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0013_http_archive.sql
+
+CREATE TABLE IF NOT EXISTS http_archive (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    archive TEXT NOT NULL,
+    url TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    status INTEGER NOT NULL,
+    headers TEXT,
+    body TEXT,
+    recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (archive, url, seq)
+);
@@ -0,0 +1,18 @@
+-- Migration 0014: first-class fields from linked (jobtrain) JobPosting adverts
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0014_jobtrain_fields.sql
+
+ALTER TABLE jobs ADD COLUMN salary_currency TEXT;
+ALTER TABLE jobs ADD COLUMN employment_types TEXT;
+ALTER TABLE jobs ADD COLUMN industry TEXT;
+ALTER TABLE jobs ADD COLUMN external_id TEXT;
+ALTER TABLE jobs ADD COLUMN direct_apply INTEGER;
+ALTER TABLE jobs ADD COLUMN external_url TEXT;
+
+-- Enrichment used to append the jobtrain link to the description; move it to external_url
+UPDATE jobs
+SET external_url = substr(description,
+        instr(description, char(10) || char(10) || '---' || char(10) || char(10) || 'For more details and to apply, visit:' || char(10))
+        + length(char(10) || char(10) || '---' || char(10) || char(10) || 'For more details and to apply, visit:' || char(10))),
+    description = substr(description, 1,
+        instr(description, char(10) || char(10) || '---' || char(10) || char(10) || 'For more details and to apply, visit:' || char(10)) - 1)
+WHERE instr(description, char(10) || char(10) || '---' || char(10) || char(10) || 'For more details and to apply, visit:' || char(10)) > 0;
@@ -0,0 +1,5 @@
+-- Migration 0015: keep each description's formatting as sanitised Markdown
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0015_description_markdown.sql
+-- Then backfill existing jobs from their stored pages with POST /reparse
+
+ALTER TABLE jobs ADD COLUMN description_markdown TEXT;
@@ -0,0 +1,7 @@
+-- Migration 0016: sections found in the description (see sections.js)
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0016_description_sections.sql
+-- Then fill them (and empty qualifications/experience/benefits/how_to_apply) for existing jobs with POST /reparse
+
+ALTER TABLE jobs ADD COLUMN responsibilities TEXT;
+ALTER TABLE jobs ADD COLUMN essential_criteria TEXT;
+ALTER TABLE jobs ADD COLUMN desirable_criteria TEXT;
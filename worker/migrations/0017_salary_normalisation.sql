@@ -0,0 +1,34 @@
+-- Migration 0017: normalised salaries (see salary.js)
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0017_salary_normalisation.sql
+-- The backfill below annualises the amounts already stored, so salary filters keep
+-- working straight away. Those amounts came from the old parser (which could read a
+-- grade or hours as money); run POST /reparse afterwards to re-read them properly.
+
+ALTER TABLE jobs ADD COLUMN salary_annual_min REAL;
+ALTER TABLE jobs ADD COLUMN salary_annual_max REAL;
+ALTER TABLE jobs ADD COLUMN salary_pro_rata INTEGER;
+ALTER TABLE jobs ADD COLUMN salary_grade TEXT;
+ALTER TABLE jobs ADD COLUMN salary_spine_min INTEGER;
+ALTER TABLE jobs ADD COLUMN salary_spine_max INTEGER;
+ALTER TABLE jobs ADD COLUMN salary_confidence REAL;
+ALTER TABLE jobs ADD COLUMN hours_per_week REAL;
+
+-- Full-time equivalents as in salary.js: 37.5 hours and 5 days a week, 52 weeks a year
+UPDATE jobs SET
+    salary_annual_min = CASE salary_type
+        WHEN 'annual' THEN salary_min
+        WHEN 'hourly' THEN ROUND(salary_min * 37.5 * 52)
+        WHEN 'daily' THEN ROUND(salary_min * 5 * 52)
+        WHEN 'weekly' THEN ROUND(salary_min * 52)
+        WHEN 'monthly' THEN ROUND(salary_min * 12)
+    END,
+    salary_annual_max = CASE salary_type
+        WHEN 'annual' THEN salary_max
+        WHEN 'hourly' THEN ROUND(salary_max * 37.5 * 52)
+        WHEN 'daily' THEN ROUND(salary_max * 5 * 52)
+        WHEN 'weekly' THEN ROUND(salary_max * 52)
+        WHEN 'monthly' THEN ROUND(salary_max * 12)
+    END
+WHERE salary_min IS NOT NULL OR salary_max IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_salary_annual ON jobs(salary_annual_min, salary_annual_max);
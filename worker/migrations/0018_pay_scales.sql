@@ -0,0 +1,21 @@
+-- Migration 0018: public-sector pay scales for grade-only salaries (see payScales.js)
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0018_pay_scales.sql
+-- No scales are seeded: load each scheme's published revisions with POST /pay-scales,
+-- then run POST /reparse so grade-only jobs pick them up.
+
+CREATE TABLE IF NOT EXISTS pay_scales (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scheme TEXT NOT NULL,
+    grade TEXT NOT NULL,
+    salary_min REAL NOT NULL,
+    salary_max REAL NOT NULL,
+    effective_from TEXT NOT NULL,
+    source_url TEXT,
+    loaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(scheme, grade, effective_from)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pay_scales_grade ON pay_scales(grade, effective_from);
+
+ALTER TABLE jobs ADD COLUMN salary_scheme TEXT;
+ALTER TABLE jobs ADD COLUMN salary_pay_scale_id INTEGER REFERENCES pay_scales(id);
@@ -0,0 +1,7 @@
+-- Migration 0019: closing times and ambiguous closing dates (see dates.js)
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0019_closing_time.sql
+-- Closing dates were read with new Date() before, which takes "03/04/2026" as
+-- 4 March in some runtimes; run POST /reparse afterwards to read them again.
+
+ALTER TABLE jobs ADD COLUMN closing_time TEXT;
+ALTER TABLE jobs ADD COLUMN closing_date_ambiguous INTEGER;
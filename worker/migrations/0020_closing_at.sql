@@ -0,0 +1,8 @@
+-- Migration 0020: closing timestamps on the Island's clock (see dates.js)
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0020_closing_at.sql
+-- closing_at can't be worked out in SQL (it depends on BST), so run POST /reparse
+-- afterwards to fill it for jobs whose advert gives a closing time.
+
+ALTER TABLE jobs ADD COLUMN closing_at DATETIME;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_active_closing_at ON jobs(is_active, closing_at);
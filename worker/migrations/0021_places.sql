@@ -0,0 +1,12 @@
+-- Migration 0021: gazetteer places for job locations (see places.js)
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0021_places.sql
+-- Then fill them for existing jobs with POST /reparse
+
+ALTER TABLE jobs ADD COLUMN place TEXT;
+ALTER TABLE jobs ADD COLUMN parish TEXT;
+ALTER TABLE jobs ADD COLUMN region TEXT;
+ALTER TABLE jobs ADD COLUMN latitude REAL;
+ALTER TABLE jobs ADD COLUMN longitude REAL;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_region ON jobs(region, is_active);
+CREATE INDEX IF NOT EXISTS idx_jobs_coordinates ON jobs(latitude, longitude);
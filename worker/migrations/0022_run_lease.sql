@@ -0,0 +1,4 @@
+-- Migration 0022: lease a scrape run to the invocation advancing it (see claimRun in scraper.js)
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0022_run_lease.sql
+
+ALTER TABLE scrape_log ADD COLUMN lease_until DATETIME;
@@ -0,0 +1,15 @@
+-- Migration 0023: give every posting in a re-advertisement chain the chain's readvertise_count
+-- Run with: wrangler d1 execute iom-jobs --file=./migrations/0023_readvertise_count.sql
+-- Earlier postings kept the count from when they were linked; the latest posting's is the chain's
+
+WITH RECURSIVE later(root, id) AS (
+    SELECT id, id FROM jobs WHERE id IN (SELECT readvertised_from FROM jobs)
+    UNION
+    SELECT later.root, jobs.id FROM jobs JOIN later ON jobs.readvertised_from = later.id
+)
+UPDATE jobs
+SET readvertise_count = (
+    SELECT MAX(j.readvertise_count) FROM later JOIN jobs j ON j.id = later.id
+    WHERE later.root = jobs.id
+)
+WHERE id IN (SELECT readvertised_from FROM jobs);
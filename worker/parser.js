@@ -1,7 +1,9 @@
 // HTML Parser for IOM Government Job Search
 // Extracts job listings from the search results page
 
-import { cleanText, parseDate, generateJobGuid } from "./utils.js";
+import { generateJobGuid } from "./utils.js";
+import { parseUkDate, parseIsoDateTime } from "./dates.js";
+import { walk, scan, selectAll, selectFirst, cleanText, htmlToText, htmlToMarkdown } from "./html.js";
 
 /**
  * Extract jobtrain.co.uk URL from description text
@@ -44,136 +46,435 @@ export function isJobtrainRedirect(text) {
     return hasJobtrainUrl && isShort;
 }
 
+/**
+ * Check if a description is just a pointer to an advert elsewhere
+ * (short text containing a link), so a linked advert's description should replace it
+ * @param {string} text - Description text
+ * @returns {boolean}
+ */
+export function isLinkOnlyDescription(text) {
+    if (!text) return false;
+    return /https?:\/\//i.test(text) && text.length < 500;
+}
+
+/**
+ * Check whether text says the vacancy has been filled or closed early
+ * Only explicit status wording counts: advert copy such as "a varied role
+ * filled with new challenges" must never close a live vacancy.
+ * @param {string} text - Description or status text (see extractStatusText)
+ * @returns {boolean} True if the vacancy is no longer open
+ */
+export function isVacancyFilled(text) {
+    if (!text) return false;
+
+    const patterns = [
+        /\b(?:this|the)\s+(?:vacancy|position|post|role|job)\s+has\s+(?:now\s+)?been\s+filled\b/i,
+        /\bno\s+longer\s+accepting\s+applications\b/i,
+    ];
+
+    return patterns.some(pattern => pattern.test(text));
+}
+
+// Page elements that carry a notice about the vacancy rather than advert copy
+const STATUS_SELECTOR = "[role=alert], [role=status], .alert, .status, .notice, .message, h1, h2";
+
+/**
+ * Text of a page's status notices and headings, for isVacancyFilled
+ * @param {string} html - Detail page HTML
+ * @returns {string}
+ */
+export function extractStatusText(html) {
+    if (!html) return "";
+    return selectAll(html, STATUS_SELECTOR).map(element => element.text).filter(Boolean).join("\n");
+}
+
+// schema.org employmentType values → the job_type wording used elsewhere
+const EMPLOYMENT_TYPE_LABELS = {
+    FULL_TIME: "full-time",
+    PART_TIME: "part-time",
+    CONTRACTOR: "contract",
+    TEMPORARY: "temporary",
+    INTERN: "internship",
+    VOLUNTEER: "volunteer",
+    PER_DIEM: "per diem",
+    OTHER: "other",
+};
+
+// schema.org QuantitativeValue unitText → salary_type
+const SALARY_UNIT_TYPES = {
+    HOUR: "hourly",
+    DAY: "daily",
+    WEEK: "weekly",
+    MONTH: "monthly",
+    YEAR: "annual",
+};
+
 /**
  * Parse jobtrain.co.uk page content
- * Extracts job details from JSON-LD structured data
+ * Extracts job details from the JSON-LD JobPosting (see parseJobPosting),
+ * falling back to the page's description container
  * @param {string} html - HTML content of the jobtrain page
  * @returns {Object} Parsed job details
  */
 export function parseJobtrainDetail(html) {
+    const detail = parseJobPosting(html);
+
+    // Fallback: Try to extract from page content if JSON-LD failed
+    if (!detail.description) {
+        // Look for job description container
+        const containers = ['[class*="JT-text"]', 'div[class*="job-description"]', 'div[class*="description"]'];
+
+        for (const selector of containers) {
+            const container = selectFirst(html, selector);
+            if (container) {
+                detail.description = htmlToText(container.html);
+                detail.description_markdown = htmlToMarkdown(container.html);
+                break;
+            }
+        }
+    }
+
+    return detail;
+}
+
+/**
+ * Parse a schema.org JobPosting from any job page
+ * Reads JSON-LD first, then microdata (itemtype=".../JobPosting"); fields the
+ * posting doesn't have are null
+ * @param {string} html - Page HTML
+ * @returns {Object} Parsed job details (same fields as parseJobtrainDetail)
+ */
+export function parseJobPosting(html) {
     const detail = {
         description: null,
+        description_markdown: null,
         salary: null,
+        salary_min: null,
+        salary_max: null,
+        salary_type: null,
+        salary_currency: null,
         employer: null,
         location: null,
         job_type: null,
+        employment_types: null,
         closing_date: null,
+        closing_time: null,
+        closing_at: null,
         posted_date: null,
         title: null,
+        direct_apply: null,
+        external_id: null,
+        industry: null,
+        qualifications: null,
+        experience: null,
     };
 
-    // Extract JSON-LD structured data (most reliable source)
-    const jsonLdPattern = /<script[^>]*type="application\/ld\+json"[^>]*>([\s\S]*?)<\/script>/gi;
-    let match;
+    const posting = findJsonLdJobPosting(html) || parseMicrodataJobPosting(html);
+    if (!posting) return detail;
 
-    while ((match = jsonLdPattern.exec(html)) !== null) {
-        try {
-            const jsonStr = match[1].trim();
-            const data = JSON.parse(jsonStr);
-
-            // Check if this is a JobPosting schema
-            if (data["@type"] === "JobPosting") {
-                // Extract description - it's HTML formatted
-                if (data.description) {
-                    detail.description = cleanHtmlDescription(data.description);
-                }
+    // Extract description - it's HTML formatted
+    if (typeof posting.description === "string") {
+        detail.description = htmlToText(posting.description);
+        detail.description_markdown = htmlToMarkdown(posting.description);
+    }
 
-                // Extract other fields
-                if (data.baseSalary) {
-                    detail.salary = cleanText(data.baseSalary);
-                }
+    detail.title = schemaText(posting.title);
+    detail.employer = schemaText(posting.hiringOrganization);
 
-                if (data.title) {
-                    detail.title = cleanText(data.title);
-                }
+    Object.assign(detail, parseBaseSalary(posting.baseSalary));
 
-                if (data.employmentType) {
-                    detail.job_type = data.employmentType.toLowerCase();
-                }
+    const employmentTypes = toArray(posting.employmentType)
+        .filter(type => typeof type === "string" && type.trim())
+        .map(type => type.trim().toUpperCase().replace(/[\s-]+/g, "_"));
+    if (employmentTypes.length > 0) {
+        detail.employment_types = employmentTypes;
+        detail.job_type = employmentTypes
+            .map(type => EMPLOYMENT_TYPE_LABELS[type] || type.toLowerCase().replace(/_/g, " "))
+            .join(", ");
+    }
 
-                if (data.validThrough) {
-                    detail.closing_date = data.validThrough.split("T")[0];
-                }
+    // validThrough may carry a closing time and offset; keep them (on the Island's clock)
+    if (typeof posting.validThrough === "string") {
+        const closing = parseIsoDateTime(posting.validThrough);
+        detail.closing_date = closing.date;
+        detail.closing_time = closing.time;
+        detail.closing_at = closing.at;
+    }
 
-                if (data.datePosted) {
-                    detail.posted_date = data.datePosted;
-                }
+    if (typeof posting.datePosted === "string") {
+        detail.posted_date = posting.datePosted.split("T")[0];
+    }
 
-                if (data.hiringOrganization?.name) {
-                    detail.employer = data.hiringOrganization.name;
-                }
+    const locations = toArray(posting.jobLocation)
+        .map(place => {
+            const addr = place?.address;
+            if (!addr) return null;
+            if (typeof addr === "string") return cleanText(addr);
+            const parts = [addr.addressLocality, addr.addressRegion, addr.postalCode]
+                .map(part => (typeof part === "string" ? cleanText(part) : null))
+                .filter(Boolean);
+            return parts.length > 0 ? parts.join(", ") : null;
+        })
+        .filter(Boolean);
+    if (locations.length > 0) {
+        detail.location = locations.join("; ");
+    }
 
-                if (data.jobLocation?.address) {
-                    const addr = data.jobLocation.address;
-                    const parts = [addr.addressLocality, addr.addressRegion, addr.postalCode].filter(Boolean);
-                    if (parts.length > 0) {
-                        detail.location = parts.join(", ");
-                    }
-                }
+    // directApply is a boolean, but some boards send it as a string
+    if (typeof posting.directApply === "boolean") {
+        detail.direct_apply = posting.directApply;
+    } else if (/^(true|false)$/i.test(posting.directApply || "")) {
+        detail.direct_apply = posting.directApply.toLowerCase() === "true";
+    }
 
-                break; // Found JobPosting, no need to continue
-            }
+    // identifier is a PropertyValue ({ name, value }) or a bare string
+    const identifier = Array.isArray(posting.identifier) ? posting.identifier[0] : posting.identifier;
+    const identifierValue = identifier && typeof identifier === "object" ? identifier.value : identifier;
+    if (identifierValue !== undefined && identifierValue !== null && identifierValue !== "") {
+        detail.external_id = String(identifierValue).trim();
+    }
+
+    const industries = toArray(posting.industry).map(schemaText).filter(Boolean);
+    if (industries.length > 0) {
+        detail.industry = industries.join(", ");
+    }
+
+    detail.qualifications = schemaRichText(posting.qualifications ?? posting.educationRequirements);
+    detail.experience = typeof posting.experienceRequirements === "object" && posting.experienceRequirements?.monthsOfExperience
+        ? formatMonthsOfExperience(posting.experienceRequirements.monthsOfExperience)
+        : schemaRichText(posting.experienceRequirements);
+
+    return detail;
+}
+
+/**
+ * Shape a parsed JobPosting (see parseJobPosting) as a source adapter's detail
+ * The structured fields go in additional_info, which buildDetailFields maps onto
+ * their own jobs columns
+ * @param {Object} posting - Parsed JobPosting fields
+ * @param {string} url - The advert page's URL
+ * @returns {{ description: string|null, description_markdown: string|null, apply_url: string|null, additional_info: Object }}
+ */
+export function jobPostingDetail(posting, url) {
+    const { description, description_markdown, ...fields } = posting;
+    const additionalInfo = Object.fromEntries(
+        Object.entries(fields).filter(([, value]) => value !== null && value !== undefined)
+    );
+
+    return {
+        description,
+        description_markdown,
+        // directApply means the application form is on the advert page itself
+        apply_url: fields.direct_apply ? url : null,
+        additional_info: additionalInfo,
+    };
+}
+
+/**
+ * Find the first JobPosting in a page's JSON-LD blocks
+ * @returns {Object|null}
+ */
+function findJsonLdJobPosting(html) {
+    for (const script of selectAll(html, 'script[type="application/ld+json"]')) {
+        try {
+            const posting = findJobPosting(JSON.parse(script.html.trim()));
+            if (posting) return posting;
         } catch (e) {
-            // JSON parse error, continue to next match
+            // JSON parse error, continue to the next block
             console.log("Failed to parse JSON-LD:", e.message);
         }
     }
 
-    // Fallback: Try to extract from page content if JSON-LD failed
-    if (!detail.description) {
-        // Look for job description container
-        const descPatterns = [
-            /<div[^>]*class="[^"]*JT-text[^"]*"[^>]*>([\s\S]*?)<\/div>\s*<\/div>\s*<\/div>/i,
-            /<div[^>]*class="[^"]*job-description[^"]*"[^>]*>([\s\S]*?)<\/div>/i,
-            /<div[^>]*class="[^"]*description[^"]*"[^>]*>([\s\S]*?)<\/div>/i,
-        ];
-
-        for (const pattern of descPatterns) {
-            const descMatch = html.match(pattern);
-            if (descMatch) {
-                detail.description = cleanHtmlDescription(descMatch[1]);
-                break;
-            }
+    return null;
+}
+
+const JOB_POSTING_TYPE = /^https?:\/\/schema\.org\/JobPosting\/?$/i;
+
+/**
+ * Read a microdata JobPosting into the same shape as its JSON-LD equivalent
+ * Nested itemscopes (hiringOrganization, jobLocation, baseSalary...) become
+ * objects; other properties take their content/datetime/href/src attribute or
+ * their inner HTML. A property given more than once becomes an array.
+ * @returns {Object|null}
+ */
+function parseMicrodataJobPosting(html) {
+    let root = null;
+    let rootElement = null;
+    let done = false;
+
+    const addProp = (scope, name, value) => {
+        if (scope[name] === undefined) {
+            scope[name] = value;
+        } else {
+            scope[name] = [...toArray(scope[name]), value];
         }
+    };
+
+    walk(html, {
+        open(element) {
+            if (done) return;
+            const { attrs } = element;
+
+            // The JobPosting element itself
+            if (!rootElement) {
+                if ("itemscope" in attrs && JOB_POSTING_TYPE.test((attrs.itemtype || "").trim())) {
+                    root = { "@type": "JobPosting" };
+                    rootElement = element;
+                    element.scope = root;
+                }
+                return;
+            }
+
+            const parentScope = element.parent.scope;
+            const props = (attrs.itemprop || "").split(/\s+/).filter(Boolean);
+            element.scope = parentScope;
+
+            if ("itemscope" in attrs) {
+                element.scope = { "@type": (attrs.itemtype || "").split("/").filter(Boolean).pop() || null };
+                for (const prop of props) addProp(parentScope, prop, element.scope);
+            } else if (props.length > 0) {
+                const value = attrs.content ?? attrs.datetime ?? attrs.href ?? attrs.src;
+                element.props = props;
+                element.value = value === undefined ? null : cleanText(value);
+            }
+        },
+        close(element, innerHtml) {
+            if (done || !rootElement) return;
+            if (element === rootElement) {
+                done = true;
+                return;
+            }
+            for (const prop of element.props || []) {
+                addProp(element.parent.scope, prop, element.value ?? innerHtml().trim());
+            }
+        },
+    });
+
+    return root;
+}
+
+/**
+ * Absolute http(s) links on a page: anchor hrefs, then bare URLs in the text
+ * @param {string} html - Page HTML
+ * @returns {string[]} Unique URLs in page order
+ */
+export function extractLinks(html) {
+    if (!html) return [];
+
+    const links = selectAll(html, "a[href]")
+        .map(anchor => anchor.attrs.href.trim())
+        .filter(href => /^https?:\/\//i.test(href));
+
+    const textPattern = /https?:\/\/[^\s<>"']+/gi;
+    const text = cleanText(html, { skip: ["script", "style"] });
+    let match;
+    while ((match = textPattern.exec(text)) !== null) {
+        links.push(match[0].replace(/[.,;:!?)]+$/, ""));
     }
 
-    return detail;
+    return [...new Set(links)];
+}
+
+/**
+ * Find a JobPosting in parsed JSON-LD (a single object, an array, or an @graph)
+ * @returns {Object|null}
+ */
+function findJobPosting(data) {
+    for (const node of toArray(data)) {
+        if (!node || typeof node !== "object") continue;
+        if (toArray(node["@type"]).includes("JobPosting")) return node;
+        const nested = node["@graph"] ? findJobPosting(node["@graph"]) : null;
+        if (nested) return nested;
+    }
+    return null;
+}
+
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Plain text from a schema.org value: a string, or a Thing with a name
+ */
+function schemaText(value) {
+    if (typeof value === "string") return cleanText(value) || null;
+    if (value && typeof value === "object" && typeof value.name === "string") return cleanText(value.name) || null;
+    return null;
 }
 
 /**
- * Clean HTML description to plain text
- * @param {string} html - HTML string
- * @returns {string} Cleaned plain text
+ * Multi-line text from a schema.org value that may hold HTML, a list of
+ * strings, or credential objects (credentialCategory/name/description)
  */
-function cleanHtmlDescription(html) {
-    if (!html) return null;
-
-    let text = html
-        // Convert common block elements to newlines
-        .replace(/<\/p>/gi, "\n\n")
-        .replace(/<br\s*\/?>/gi, "\n")
-        .replace(/<\/div>/gi, "\n")
-        .replace(/<\/li>/gi, "\n")
-        .replace(/<\/h[1-6]>/gi, "\n\n")
-        // Remove all remaining HTML tags
-        .replace(/<[^>]+>/g, "")
-        // Decode common HTML entities
-        .replace(/&nbsp;/gi, " ")
-        .replace(/&amp;/gi, "&")
-        .replace(/&lt;/gi, "<")
-        .replace(/&gt;/gi, ">")
-        .replace(/&quot;/gi, '"')
-        .replace(/&#39;/gi, "'")
-        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
-        .replace(/&#(\d+);/gi, (_, dec) => String.fromCharCode(parseInt(dec, 10)))
-        // Clean up whitespace
-        .replace(/[ \t]+/g, " ")
-        .replace(/\n[ \t]+/g, "\n")
-        .replace(/[ \t]+\n/g, "\n")
-        .replace(/\n{3,}/g, "\n\n")
-        .trim();
-
-    return text;
+function schemaRichText(value) {
+    const parts = toArray(value)
+        .map(item => {
+            if (typeof item === "string") return htmlToText(item);
+            if (item && typeof item === "object") {
+                const text = item.description || item.name || item.credentialCategory;
+                return typeof text === "string" ? htmlToText(text) : null;
+            }
+            return null;
+        })
+        .filter(Boolean);
+    return parts.length > 0 ? parts.join("\n") : null;
+}
+
+function formatMonthsOfExperience(months) {
+    const count = Number(months);
+    if (!Number.isFinite(count) || count <= 0) return null;
+    if (count % 12 === 0) {
+        const years = count / 12;
+        return `${years} year${years === 1 ? "" : "s"} of experience`;
+    }
+    return `${count} month${count === 1 ? "" : "s"} of experience`;
+}
+
+/**
+ * Read a JobPosting baseSalary: either display text, or a MonetaryAmount whose
+ * value is a number or a QuantitativeValue ({ value | minValue/maxValue, unitText })
+ * @returns {{ salary: string|null, salary_min: number|null, salary_max: number|null,
+ *   salary_type: string|null, salary_currency: string|null }}
+ */
+function parseBaseSalary(baseSalary) {
+    const result = { salary: null, salary_min: null, salary_max: null, salary_type: null, salary_currency: null };
+    if (!baseSalary) return result;
+
+    if (typeof baseSalary === "string") {
+        result.salary = cleanText(baseSalary) || null;
+        return result;
+    }
+    if (typeof baseSalary !== "object") return result;
+
+    const amount = baseSalary.value;
+    const quantity = amount && typeof amount === "object" ? amount : { value: amount };
+    const number = (value) => {
+        const parsed = typeof value === "string" ? parseFloat(value.replace(/[£$€,\s]/g, "")) : value;
+        return typeof parsed === "number" && Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+    };
+
+    const min = number(quantity.minValue) ?? number(quantity.value);
+    const max = number(quantity.maxValue) ?? number(quantity.value) ?? min;
+    const unit = String(quantity.unitText || baseSalary.unitText || "").toUpperCase();
+
+    result.salary_currency = typeof baseSalary.currency === "string" ? baseSalary.currency.toUpperCase() : null;
+    result.salary_type = SALARY_UNIT_TYPES[unit] || null;
+    if (min === null) return result;
+
+    result.salary_min = Math.min(min, max);
+    result.salary_max = Math.max(min, max);
+
+    // Display text in the same style as gov.im's salary field
+    const symbol = { GBP: "£", EUR: "€", USD: "$" }[result.salary_currency] ?? "";
+    const format = (value) => `${symbol}${value.toLocaleString("en-GB", { minimumFractionDigits: Number.isInteger(value) ? 0 : 2, maximumFractionDigits: 2 })}`;
+    const range = result.salary_min === result.salary_max
+        ? format(result.salary_min)
+        : `${format(result.salary_min)} - ${format(result.salary_max)}`;
+    const per = { annual: "per annum", hourly: "per hour", daily: "per day", weekly: "per week", monthly: "per month" }[result.salary_type];
+    result.salary = per ? `${range} ${per}` : range;
+
+    return result;
 }
 
 /**
@@ -207,51 +508,74 @@ export function parseJobListings(html) {
  */
 function parseGroupedJobListings(html) {
     const jobs = [];
+    let classification = null;
+    let cells = null;
+
+    scan(html, [
+        {
+            // Classification headers: <h2 id=Header_xxx>Classification Name</h2>
+            selector: "h2[id^=Header_]",
+            end(element, innerHtml) {
+                classification = cleanText(innerHtml()).toUpperCase();
+            },
+        },
+        {
+            // Job rows in the table that follows each header
+            selector: "table.table tr",
+            element() {
+                cells = [];
+            },
+            end() {
+                const job = classification ? parseListingRow(cells, classification) : null;
+                if (job) jobs.push(job);
+            },
+        },
+        {
+            selector: "table.table tr > td",
+            end(element, innerHtml) {
+                cells.push(innerHtml());
+            },
+        },
+    ]);
 
-    // Pattern to find classification headers: <h2 id=Header_xxx>Classification Name</h2>
-    // Followed by a table with job rows
-    const sectionPattern = /<h2[^>]*id=Header_[^>]*>([^<]+)<\/h2>[\s\S]*?<table[^>]*class="table"[^>]*>([\s\S]*?)<\/table>/gi;
-
-    let sectionMatch;
-    while ((sectionMatch = sectionPattern.exec(html)) !== null) {
-        const classification = cleanText(sectionMatch[1]).toUpperCase();
-        const tableHtml = sectionMatch[2];
-
-        // Parse job rows from this table
-        // Skip header row, find data rows with viewjob links
-        const rowPattern = /<tr>[\s\S]*?<td>(\d+)<\/td>[\s\S]*?<a[^>]*href="([^"]*viewjob[^"]*)"[^>]*>([^<]+)<\/a>[\s\S]*?<td>([^<]*)<\/td>[\s\S]*?<td>([^<]*)<\/td>[\s\S]*?<\/tr>/gi;
-
-        let rowMatch;
-        while ((rowMatch = rowPattern.exec(tableHtml)) !== null) {
-            const jobId = rowMatch[1];
-            const url = rowMatch[2];
-            const title = cleanText(rowMatch[3]);
-            const employer = cleanText(rowMatch[4]);
-            const hours = cleanText(rowMatch[5]);
-
-            // Determine hours_type from hours text
-            let hoursType = null;
-            const hoursLower = hours.toLowerCase();
-            if (hoursLower.includes("full time") || hoursLower.includes("full-time")) {
-                hoursType = "full-time";
-            } else if (hoursLower.includes("part time") || hoursLower.includes("part-time")) {
-                hoursType = "part-time";
-            }
+    return jobs;
+}
 
-            jobs.push({
-                title,
-                employer: employer || null,
-                classification,
-                hours_option: hours || null,
-                hours_type: hoursType,
-                source_url: normalizeUrl(url),
-                guid: generateJobGuid(url),
-                scraped_at: new Date().toISOString(),
-            });
-        }
+/**
+ * Read one listing row: | ID | <a href="viewjob?Id=...">Title</a> | Employer | Hours |
+ * The header row (and anything else without a numeric ID and a viewjob link) gives null.
+ * @param {string[]} cells - Inner HTML of the row's cells
+ */
+function parseListingRow(cells, classification) {
+    if (cells.length < 4 || !/^\d+$/.test(cleanText(cells[0]))) return null;
+
+    const link = selectFirst(cells[1], "a[href*=viewjob]");
+    if (!link) return null;
+
+    const url = link.attrs.href;
+    const title = link.text;
+    const employer = cleanText(cells[2]);
+    const hours = cleanText(cells[3]);
+
+    // Determine hours_type from hours text
+    let hoursType = null;
+    const hoursLower = hours.toLowerCase();
+    if (hoursLower.includes("full time") || hoursLower.includes("full-time")) {
+        hoursType = "full-time";
+    } else if (hoursLower.includes("part time") || hoursLower.includes("part-time")) {
+        hoursType = "part-time";
     }
 
-    return jobs;
+    return {
+        title,
+        employer: employer || null,
+        classification,
+        hours_option: hours || null,
+        hours_type: hoursType,
+        source_url: normalizeUrl(url),
+        guid: generateJobGuid(url),
+        scraped_at: new Date().toISOString(),
+    };
 }
 
 /**
@@ -260,16 +584,15 @@ function parseGroupedJobListings(html) {
 function parseJobLinks(html) {
     const jobs = [];
 
-    // Look for links that might be job listings
-    const linkPattern = /<a[^>]*href=["']([^"']*(?:job|vacancy|position|career)[^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi;
-    const matches = [...html.matchAll(linkPattern)];
-
     // Track seen URLs to avoid duplicates
     const seenUrls = new Set();
 
-    for (const match of matches) {
-        const url = match[1];
-        const linkText = cleanText(match[2]);
+    // Look for links that might be job listings
+    for (const link of selectAll(html, "a[href]")) {
+        const url = link.attrs.href;
+        const linkText = link.text;
+
+        if (!/job|vacancy|position|career/i.test(url)) continue;
 
         // Skip navigation/filter links and page elements
         if (linkText.length < 5 || linkText.length > 200) continue;
@@ -307,69 +630,54 @@ function parseJobLinks(html) {
 export function parseJobDetail(html) {
     const detail = {
         description: null,
+        description_markdown: null,
         apply_url: null,
         additional_info: {},
     };
 
-    // Extract all table rows and process cell pairs
-    // The gov.im pages use: <tr><td>Label</td><td>Value</td><td>Label</td><td>Value</td></tr>
-    // Or sometimes: <th>Label</th><td>Value</td>
+    // Each row's own cells (<td> or <th>), read in label/value pairs. Rows of a
+    // table nested inside a cell are read separately from the row holding them.
+    const rows = [];
 
-    // Pattern 1: Extract all <td> contents from rows
-    const rowPattern = /<tr[^>]*>([\s\S]*?)<\/tr>/gi;
-    const cellPattern = /<t[dh][^>]*>([\s\S]*?)<\/t[dh]>/gi;
+    scan(html, [
+        {
+            selector: "tr",
+            element() {
+                rows.push([]);
+            },
+            end() {
+                const cells = rows.pop();
+                for (let i = 0; i < cells.length - 1; i += 2) {
+                    const rawKey = cells[i].text;
+                    const value = cells[i + 1].text;
 
-    let rowMatch;
-    while ((rowMatch = rowPattern.exec(html)) !== null) {
-        const rowHtml = rowMatch[1];
-        const cells = [];
-        let cellMatch;
+                    if (!rawKey || !value) continue;
 
-        // Reset cellPattern lastIndex for each row
-        cellPattern.lastIndex = 0;
-        while ((cellMatch = cellPattern.exec(rowHtml)) !== null) {
-            cells.push(cleanText(cellMatch[1]));
-        }
-
-        // Process cells in pairs (label, value)
-        for (let i = 0; i < cells.length - 1; i += 2) {
-            const rawKey = cells[i];
-            const value = cells[i + 1];
-
-            if (!rawKey || !value) continue;
-
-            const key = rawKey.toLowerCase().replace(/[:\s]+/g, "_").replace(/_+$/, "");
-
-            // Map to standard field names
-            mapFieldToDetail(detail, key, rawKey, value);
-        }
-    }
-
-    // Fallback: Try th/td pattern if no data found
-    if (Object.keys(detail.additional_info).length === 0) {
-        const thTdPattern = /<th[^>]*>([^<]+)<\/th>\s*<td[^>]*>([\s\S]*?)<\/td>/gi;
-        let match;
-        while ((match = thTdPattern.exec(html)) !== null) {
-            const rawKey = cleanText(match[1]);
-            const value = cleanText(match[2]);
-            const key = rawKey.toLowerCase().replace(/[:\s]+/g, "_").replace(/_+$/, "");
-            mapFieldToDetail(detail, key, rawKey, value);
-        }
-    }
+                    const key = rawKey.toLowerCase().replace(/[:\s]+/g, "_").replace(/_+$/, "");
 
-    // Extract apply URL
-    const applyPatterns = [
-        /<a[^>]*class="[^"]*apply[^"]*"[^>]*href=["']([^"']+)["']/i,
-        /<a[^>]*href=["']([^"']+)["'][^>]*>(?:[^<]*apply[^<]*)<\/a>/i,
-        /<a[^>]*href=["']([^"']*apply[^"']*)["']/i,
-    ];
-
-    for (const pattern of applyPatterns) {
-        const applyMatch = html.match(pattern);
-        if (applyMatch) {
-            detail.apply_url = normalizeUrl(applyMatch[1]);
-            break;
-        }
+                    // Map to standard field names
+                    mapFieldToDetail(detail, key, rawKey, value, cells[i + 1].html);
+                }
+            },
+        },
+        {
+            selector: "tr > td, tr > th",
+            end(element, innerHtml) {
+                const cellHtml = innerHtml();
+                rows[rows.length - 1].push({ text: cleanText(cellHtml), html: cellHtml });
+            },
+        },
+    ]);
+
+    // Extract apply URL: a link styled as an apply button, then one saying
+    // "apply", then one pointing at an apply page
+    const links = selectAll(html, "a[href]");
+    const applyLink = links.find(link => /apply/i.test(link.attrs.class || ""))
+        || links.find(link => /apply/i.test(link.text))
+        || links.find(link => /apply/i.test(link.attrs.href));
+
+    if (applyLink) {
+        detail.apply_url = normalizeUrl(applyLink.attrs.href);
     }
 
     return detail;
@@ -377,8 +685,9 @@ export function parseJobDetail(html) {
 
 /**
  * Map a parsed field to the detail object
+ * @param {string} valueHtml - The value cell's HTML, for fields kept with their formatting
  */
-function mapFieldToDetail(detail, key, rawKey, value) {
+function mapFieldToDetail(detail, key, rawKey, value, valueHtml) {
     if (!key || !value) return;
 
     // Store raw label for display
@@ -414,7 +723,9 @@ function mapFieldToDetail(detail, key, rawKey, value) {
         case "end_date":
         case "closing_date":
         case "deadline":
-            detail.additional_info.closing_date = parseDate(value);
+            // The text is kept so the date can be read again against the advert date (see buildDetailFields)
+            detail.additional_info.closing_date = parseUkDate(value).date;
+            detail.additional_info.closing_date_text = value;
             break;
         case "start_date":
             detail.additional_info.start_date = value;
@@ -423,6 +734,7 @@ function mapFieldToDetail(detail, key, rawKey, value) {
         case "description":
         case "job_description":
             detail.description = value;
+            detail.description_markdown = htmlToMarkdown(valueHtml);
             break;
         case "reference_id":
         case "reference":
@@ -485,24 +797,19 @@ export function parsePagination(html) {
         hasMore: false,
     };
 
-    // Look for "next" link
-    const nextPatterns = [
-        /<a[^>]*class="[^"]*next[^"]*"[^>]*href=["']([^"']+)["']/i,
-        /<a[^>]*href=["']([^"']+)["'][^>]*>(?:next|›|»|>)/i,
-        /<a[^>]*href=["']([^"']+page=\d+[^"']*)["'][^>]*rel=["']next["']/i,
-    ];
+    // Look for a "next" link: by class, then by its text, then rel=next
+    const links = selectAll(html, "a[href]");
+    const nextLink = links.find(link => /next/i.test(link.attrs.class || ""))
+        || links.find(link => /^(?:next|›|»|>)/i.test(link.text))
+        || links.find(link => /^next$/i.test(link.attrs.rel || "") && /page=\d+/.test(link.attrs.href));
 
-    for (const pattern of nextPatterns) {
-        const match = html.match(pattern);
-        if (match) {
-            pagination.nextUrl = normalizeUrl(match[1]);
-            pagination.hasMore = true;
-            break;
-        }
+    if (nextLink) {
+        pagination.nextUrl = normalizeUrl(nextLink.attrs.href);
+        pagination.hasMore = true;
     }
 
     // Try to extract page numbers
-    const pageMatch = html.match(/page\s*(\d+)\s*of\s*(\d+)/i);
+    const pageMatch = cleanText(html, { skip: ["script", "style"] }).match(/page\s*(\d+)\s*of\s*(\d+)/i);
     if (pageMatch) {
         pagination.currentPage = parseInt(pageMatch[1], 10);
         pagination.totalPages = parseInt(pageMatch[2], 10);
@@ -0,0 +1,68 @@
+// Pay Scales for IOM Job Scraper
+// Published public-sector pay scales (civil service, Agenda for Change, teachers,
+// police), loaded by an admin from the official scale documents. Each revision has
+// an effective-from date; a grade-only salary ("AfC Band 6") resolves to the band
+// in force on the day it's looked up. No scales are shipped: the Island's
+// (IOM Government, Manx Care, DESC, Isle of Man Constabulary) are loaded by an
+// admin, and a grade only resolves once its scheme's scales have been loaded.
+
+import { normaliseGrade } from "./salary.js";
+
+/**
+ * Load one revision of a scheme's pay scale
+ * Grades already loaded for the same scheme and date are replaced, so a
+ * corrected revision can be loaded again.
+ * @param {Object} revision - { scheme, effective_from, source_url, grades: [{ grade, salary_min, salary_max }] }
+ * @returns {Promise<number>} Grades written
+ */
+export async function loadPayScaleRevision(env, revision) {
+    const statements = revision.grades.map(band => env.DB.prepare(`
+        INSERT INTO pay_scales (scheme, grade, salary_min, salary_max, effective_from, source_url)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(scheme, grade, effective_from) DO UPDATE SET
+            salary_min = excluded.salary_min,
+            salary_max = excluded.salary_max,
+            source_url = excluded.source_url,
+            loaded_at = CURRENT_TIMESTAMP
+    `).bind(
+        revision.scheme,
+        normaliseGrade(band.grade),
+        band.salary_min,
+        band.salary_max ?? band.salary_min,
+        revision.effective_from,
+        revision.source_url ?? null
+    ));
+
+    await env.DB.batch(statements);
+    return statements.length;
+}
+
+/**
+ * Find the pay band for a grade on a date
+ * Without a scheme the grade must be loaded for exactly one scheme, since
+ * "Grade 4" or "Band 6" means different pay in different schemes.
+ * @param {string|null} scheme - Pay scheme (see PAY_SCHEMES in salary.js), if known
+ * @param {string} grade - Grade as normalised by the salary normaliser
+ * @param {string} onDate - YYYY-MM-DD; the latest revision effective by then is used
+ * @returns {Promise<Object|null>} pay_scales row, or null if it can't be resolved
+ */
+export async function findPayScale(env, scheme, grade, onDate) {
+    if (scheme) {
+        return await env.DB.prepare(`
+            SELECT * FROM pay_scales
+            WHERE scheme = ? AND grade = ? AND effective_from <= ?
+            ORDER BY effective_from DESC
+            LIMIT 1
+        `).bind(scheme, grade, onDate).first();
+    }
+
+    const result = await env.DB.prepare(`
+        SELECT * FROM pay_scales
+        WHERE grade = ? AND effective_from <= ?
+        ORDER BY effective_from DESC
+    `).bind(grade, onDate).all();
+
+    const rows = result.results || [];
+    const schemes = new Set(rows.map(row => row.scheme));
+    return schemes.size === 1 ? rows[0] : null;
+}
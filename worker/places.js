@@ -0,0 +1,142 @@
+// Place Names for IOM Job Scraper
+// A small bundled gazetteer of the Island's towns, villages, parishes and major
+// workplaces, used to turn a job's free-text location ("Noble's Hospital, Strang,
+// Braddan") into one canonical place with its parish, region and coordinates.
+// Coordinates are the middle of the place to about 100 m, plenty for "within
+// 10 km of Ramsey" on an island 50 km long.
+
+// Broad parts of the Island, as people describe where they live and commute from
+export const REGIONS = ["north", "south", "east", "west"];
+
+// Kilometres per degree of latitude (and of longitude at the equator)
+export const KM_PER_DEGREE = 111.195;
+
+// Kinds of place, most specific first: a workplace beats the village it's in,
+// a village beats the postal town written after it ("Onchan, Douglas")
+const KIND_RANK = { site: 0, village: 1, town: 2, parish: 3 };
+
+// [name, kind, parish, region, lat, lng, aliases]
+// Towns are their own parish here; the ancient parishes are listed for adverts
+// that give nothing more precise ("Braddan", "Malew")
+const GAZETTEER = [
+    ["Douglas", "town", "Douglas", "east", 54.1523, -4.4861],
+    ["Ramsey", "town", "Ramsey", "north", 54.3222, -4.3837],
+    ["Peel", "town", "Peel", "west", 54.2210, -4.6920],
+    ["Castletown", "town", "Castletown", "south", 54.0743, -4.6530],
+
+    ["Onchan", "village", "Onchan", "east", 54.1738, -4.4548],
+    ["Port Erin", "village", "Rushen", "south", 54.0848, -4.7508],
+    ["Port St Mary", "village", "Rushen", "south", 54.0738, -4.7386],
+    ["Laxey", "village", "Lonan", "east", 54.2320, -4.4018],
+    ["Baldrine", "village", "Lonan", "east", 54.2023, -4.4284],
+    ["Ballasalla", "village", "Malew", "south", 54.0972, -4.6240],
+    ["Ballabeg", "village", "Arbory", "south", 54.0990, -4.6814],
+    ["Colby", "village", "Arbory", "south", 54.0967, -4.7087],
+    ["Kirk Michael", "village", "Michael", "west", 54.2850, -4.5873],
+    ["St John's", "village", "German", "west", 54.1993, -4.6355],
+    ["Foxdale", "village", "Patrick", "west", 54.1686, -4.6350],
+    ["Dalby", "village", "Patrick", "west", 54.1703, -4.7226],
+    ["Glen Maye", "village", "Patrick", "west", 54.1908, -4.7118],
+    ["Union Mills", "village", "Braddan", "east", 54.1627, -4.5300],
+    ["Strang", "village", "Braddan", "east", 54.1689, -4.5127],
+    ["Crosby", "village", "Marown", "east", 54.1822, -4.5660],
+    ["Glen Vine", "village", "Marown", "east", 54.1778, -4.5494],
+    ["Santon", "village", "Santon", "south", 54.1125, -4.5680],
+    ["Sulby", "village", "Lezayre", "north", 54.3050, -4.4850],
+    ["Ballaugh", "village", "Ballaugh", "north", 54.3101, -4.5406],
+    ["Jurby", "village", "Jurby", "north", 54.3520, -4.5245],
+    ["Andreas", "village", "Andreas", "north", 54.3665, -4.4370],
+    ["Bride", "village", "Bride", "north", 54.3850, -4.3940],
+    ["Maughold", "village", "Maughold", "north", 54.2970, -4.3133],
+
+    ["Braddan", "parish", "Braddan", "east", 54.1640, -4.5220],
+    ["Marown", "parish", "Marown", "east", 54.1750, -4.5700],
+    ["Lonan", "parish", "Lonan", "east", 54.2200, -4.4300],
+    ["Malew", "parish", "Malew", "south", 54.0950, -4.6300],
+    ["Arbory", "parish", "Arbory", "south", 54.1000, -4.6900],
+    ["Rushen", "parish", "Rushen", "south", 54.0800, -4.7500],
+    ["Patrick", "parish", "Patrick", "west", 54.1800, -4.6900],
+    ["German", "parish", "German", "west", 54.2100, -4.6500],
+    ["Michael", "parish", "Michael", "west", 54.2800, -4.5800],
+    ["Lezayre", "parish", "Lezayre", "north", 54.3000, -4.4300],
+
+    ["Noble's Hospital", "site", "Braddan", "east", 54.1705, -4.5145],
+    ["Ramsey Cottage Hospital", "site", "Ramsey", "north", 54.3166, -4.3870],
+    ["Ballamona", "site", "Braddan", "east", 54.1640, -4.5190],
+    ["Isle of Man Airport", "site", "Malew", "south", 54.0833, -4.6239, ["Ronaldsway"]],
+    ["Isle of Man Prison", "site", "Jurby", "north", 54.3560, -4.5230, ["Jurby Prison"]],
+    ["Isle of Man Business Park", "site", "Braddan", "east", 54.1595, -4.5025, ["Cooil Road"]],
+    ["Tromode", "site", "Braddan", "east", 54.1690, -4.4890],
+    ["Balthane", "site", "Malew", "south", 54.0925, -4.6170],
+    ["King William's College", "site", "Malew", "south", 54.0856, -4.6330],
+    ["Castle Rushen High School", "site", "Castletown", "south", 54.0770, -4.6590],
+    ["Queen Elizabeth II High School", "site", "Peel", "west", 54.2180, -4.6860, ["QEII High School", "QE2 High School"]],
+    ["Ballakermeen High School", "site", "Douglas", "east", 54.1570, -4.4940],
+    ["University College Isle of Man", "site", "Douglas", "east", 54.1590, -4.4850, ["UCM"]],
+].map(([name, kind, parish, region, lat, lng, aliases = []]) => ({
+    name, kind, parish, region, lat, lng,
+    names: [name, ...aliases].map(normaliseText),
+    patterns: [name, ...aliases].map(namePattern),
+}));
+
+/**
+ * Resolve a free-text job location to a place in the gazetteer
+ * The most specific place named wins. When the location names several places
+ * of that kind ("Douglas or Ramsey") no single place is chosen, but their
+ * shared parish and region are kept.
+ * @param {string|null} text - Location as advertised
+ * @returns {{ place: string|null, parish: string|null, region: string|null, latitude: number|null, longitude: number|null }}
+ */
+export function resolvePlace(text) {
+    const result = { place: null, parish: null, region: null, latitude: null, longitude: null };
+    if (!text) return result;
+
+    const normalised = normaliseText(text);
+    const found = GAZETTEER.filter(entry => entry.patterns.some(pattern => pattern.test(normalised)));
+    if (found.length === 0) return result;
+
+    const rank = Math.min(...found.map(entry => KIND_RANK[entry.kind]));
+    const best = found.filter(entry => KIND_RANK[entry.kind] === rank);
+
+    if (best.length === 1) {
+        const [entry] = best;
+        return { place: entry.name, parish: entry.parish, region: entry.region, latitude: entry.lat, longitude: entry.lng };
+    }
+
+    const shared = key => (new Set(best.map(entry => entry[key])).size === 1 ? best[0][key] : null);
+    result.parish = shared("parish");
+    result.region = shared("region");
+    return result;
+}
+
+/**
+ * Find a gazetteer place by its name or an alias ("Ramsey", "Nobles Hospital")
+ * @returns {{ name: string, kind: string, parish: string, region: string, lat: number, lng: number }|null}
+ */
+export function findPlace(name) {
+    const normalised = normaliseText(name || "");
+    return GAZETTEER.find(entry => entry.names.includes(normalised)) || null;
+}
+
+/**
+ * Whole-word pattern for a place name, matched against normalised text
+ * A town followed by a street word is an address ("Peel Road, Douglas"), not the town
+ */
+function namePattern(name) {
+    const words = normaliseText(name).split(" ").join("\\s+");
+    return new RegExp(`(?:^|\\s)${words}(?=$|\\s)(?!\\s+(?:road|rd|street|st|hill|lane|avenue|terrace|promenade|crescent)\\b)`);
+}
+
+/**
+ * Lower-case, with apostrophes dropped, list separators kept as " , " and other
+ * punctuation as spaces, so "Noble's", "Nobles" and "NOBLES" all read the same
+ */
+function normaliseText(text) {
+    return text.toLowerCase()
+        .replace(/['’`]/g, "")
+        .replace(/\bsaint\b/g, "st")
+        .replace(/[,;/|&()]+/g, " , ")
+        .replace(/[^a-z0-9,]+/g, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+}
@@ -0,0 +1,310 @@
+// Crawl Politeness for IOM Job Scraper
+// Every page fetch asks here first (see fetchPage). Per host this:
+//   - fetches robots.txt, caches it in D1, and honours its Disallow/Allow rules
+//   - spaces requests by the larger of Crawl-delay and requestDelayMs
+//   - allows at most maxConcurrentPerHost requests in flight
+//   - stops at hostDailyRequestBudget requests per Island day (CONFIG.timeZone)
+// Spacing and concurrency are tracked per isolate; the daily budget is in D1
+// so it holds across invocations. Replayed requests never reach the host, so
+// they skip spacing and the budget (robots.txt rules still apply).
+
+import { CONFIG } from "./config.js";
+import { sleep, isWafBlockPage } from "./utils.js";
+import { archivedFetch, isReplaying } from "./recorder.js";
+import { islandToday, islandInstant, addDays } from "./dates.js";
+
+// Parsed robots.txt by origin, so each isolate reads D1 at most once per TTL
+const robotsMemo = new Map();
+
+// origin → { active, waiting: [], lastRequestAt }
+const hostState = new Map();
+
+/**
+ * Ask to fetch a URL
+ * An allowed permit holds one of the host's concurrency slots until release();
+ * call beforeRequest() before each attempt to wait for the host's crawl delay
+ * and charge the attempt to its daily budget.
+ * @param {Object} env - Cloudflare environment bindings (DB is optional; without it nothing is cached)
+ * @param {string} url - Page about to be fetched
+ * @returns {Promise<{ allowed: boolean, error: string|null, disallowed: boolean, retryAfterMs: number|null,
+ *   subrequests: number, beforeRequest: Function, release: Function }>}
+ *   `subrequests` counts robots.txt fetches made while checking
+ */
+export async function requestPermit(env, url) {
+    const replaying = isReplaying(env);
+    const { origin, pathname, search } = new URL(url);
+    const robots = await getRobots(env, origin);
+    const denied = (error, extra = {}) => ({
+        allowed: false,
+        error,
+        disallowed: false,
+        retryAfterMs: null,
+        subrequests: robots.subrequests,
+        beforeRequest: async () => false,
+        release: () => {},
+        ...extra,
+    });
+
+    if (robots.unavailable) {
+        // RFC 9309: if robots.txt can't be read, assume everything is disallowed for now
+        return denied(`robots.txt unavailable for ${origin} (${robots.error})`, {
+            retryAfterMs: CONFIG.scraper.robotsRetryMinutes * 60 * 1000,
+        });
+    }
+
+    if (!isAllowed(robots.rules, pathname + search)) {
+        console.error(`robots.txt disallows ${url}`);
+        return denied("Disallowed by robots.txt", { disallowed: true });
+    }
+
+    const delayMs = Math.max(CONFIG.scraper.requestDelayMs, (robots.crawlDelay || 0) * 1000);
+    const state = await acquireSlot(origin);
+    let released = false;
+
+    return {
+        allowed: true,
+        error: null,
+        disallowed: false,
+        retryAfterMs: null,
+        subrequests: robots.subrequests,
+        // Resolves false if the host's daily budget is spent
+        beforeRequest: async () => {
+            if (replaying) return true;
+            if (!(await chargeBudget(env, new URL(url).host))) {
+                return false;
+            }
+            const waitMs = state.lastRequestAt + delayMs - Date.now();
+            if (waitMs > 0) {
+                await sleep(waitMs);
+            }
+            state.lastRequestAt = Date.now();
+            return true;
+        },
+        release: () => {
+            if (released) return;
+            released = true;
+            releaseSlot(state);
+        },
+    };
+}
+
+/**
+ * Milliseconds until the daily budgets reset (midnight on the Island)
+ */
+export function msUntilBudgetReset() {
+    const now = new Date();
+    return islandInstant(addDays(islandToday(now), 1)).getTime() - now.getTime();
+}
+
+/**
+ * Take one of a host's concurrency slots, waiting for one to free up if needed
+ */
+async function acquireSlot(origin) {
+    let state = hostState.get(origin);
+    if (!state) {
+        state = { active: 0, waiting: [], lastRequestAt: 0 };
+        hostState.set(origin, state);
+    }
+
+    if (state.active < CONFIG.scraper.maxConcurrentPerHost) {
+        state.active++;
+    } else {
+        // releaseSlot hands its slot straight to the next waiter
+        await new Promise(resolve => state.waiting.push(resolve));
+    }
+    return state;
+}
+
+function releaseSlot(state) {
+    const next = state.waiting.shift();
+    if (next) {
+        next();
+    } else {
+        state.active--;
+    }
+}
+
+/**
+ * Count a request against the host's budget for today
+ * @returns {Promise<boolean>} false if the budget was already spent
+ */
+async function chargeBudget(env, host) {
+    if (!env?.DB) return true;
+
+    const day = islandToday();
+    const result = await env.DB.prepare(`
+        INSERT INTO crawl_budget (host, day, requests) VALUES (?, ?, 1)
+        ON CONFLICT(host, day) DO UPDATE SET requests = requests + 1
+        WHERE requests < ?
+    `).bind(host, day, CONFIG.scraper.hostDailyRequestBudget).run();
+
+    if ((result.meta?.changes || 0) === 0) {
+        console.error(`Daily request budget (${CONFIG.scraper.hostDailyRequestBudget}) spent for ${host}`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Get the robots.txt rules for an origin: memo, then D1, then the site itself
+ * A fresh fetch failing falls back to a stale copy when there is one.
+ * @returns {Promise<{ rules: Array, crawlDelay: number|null, unavailable: boolean, error: string|null, subrequests: number }>}
+ */
+async function getRobots(env, origin) {
+    const ttlMs = CONFIG.scraper.robotsCacheHours * 60 * 60 * 1000;
+    const memo = robotsMemo.get(origin);
+    if (memo && Date.now() - memo.fetchedAt < ttlMs) {
+        return { ...memo.robots, unavailable: false, error: null, subrequests: 0 };
+    }
+
+    const cached = env?.DB
+        ? await env.DB.prepare("SELECT body, fetched_at FROM robots_txt WHERE origin = ?").bind(origin).first()
+        : null;
+    const cachedAt = cached ? new Date(`${cached.fetched_at.replace(" ", "T")}Z`).getTime() : 0;
+    if (cached && Date.now() - cachedAt < ttlMs) {
+        const robots = parseRobotsTxt(cached.body, robotsAgentToken());
+        robotsMemo.set(origin, { robots, fetchedAt: cachedAt });
+        return { ...robots, unavailable: false, error: null, subrequests: 0 };
+    }
+
+    const fetched = await fetchRobotsTxt(env, origin);
+    if (fetched.body === null) {
+        if (cached) {
+            console.error(`Using stale robots.txt for ${origin}: ${fetched.error}`);
+            const robots = parseRobotsTxt(cached.body, robotsAgentToken());
+            return { ...robots, unavailable: false, error: null, subrequests: 1 };
+        }
+        return { rules: [], crawlDelay: null, unavailable: true, error: fetched.error, subrequests: 1 };
+    }
+
+    if (env?.DB) {
+        await env.DB.prepare(`
+            INSERT INTO robots_txt (origin, status, body, fetched_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(origin) DO UPDATE SET
+                status = excluded.status, body = excluded.body, fetched_at = excluded.fetched_at
+        `).bind(origin, fetched.status, fetched.body).run();
+    }
+
+    const robots = parseRobotsTxt(fetched.body, robotsAgentToken());
+    robotsMemo.set(origin, { robots, fetchedAt: Date.now() });
+    return { ...robots, unavailable: false, error: null, subrequests: 1 };
+}
+
+/**
+ * Fetch an origin's robots.txt
+ * A 4xx means there are no rules (stored as an empty body); 5xx, WAF pages and
+ * network errors mean we couldn't tell (body null).
+ */
+async function fetchRobotsTxt(env, origin) {
+    try {
+        const response = await archivedFetch(env, `${origin}/robots.txt`, {
+            headers: { "User-Agent": CONFIG.scraper.userAgent, "Accept": "text/plain,*/*;q=0.8" },
+            redirect: "follow",
+            signal: AbortSignal.timeout(CONFIG.scraper.fetchTimeoutMs),
+        });
+
+        if (response.status >= 400 && response.status < 500) {
+            return { status: response.status, body: "", error: null };
+        }
+        if (!response.ok) {
+            return { status: response.status, body: null, error: `HTTP ${response.status}` };
+        }
+
+        const body = await response.text();
+        if (isWafBlockPage(body)) {
+            return { status: response.status, body: null, error: "WAF blocked" };
+        }
+        return { status: response.status, body, error: null };
+    } catch (error) {
+        return { status: null, body: null, error: error.message };
+    }
+}
+
+/**
+ * The robots.txt product token for our User-Agent (e.g. "IOM-Job-Scraper")
+ */
+function robotsAgentToken() {
+    return CONFIG.scraper.userAgent.split("/")[0].trim().toLowerCase();
+}
+
+/**
+ * Parse robots.txt into the rules that apply to one user agent
+ * Groups naming the agent are used if there are any, otherwise the "*" groups.
+ * @param {string} text - robots.txt body
+ * @param {string} agentToken - Lowercase product token
+ * @returns {{ rules: Array<{ allow: boolean, pattern: string }>, crawlDelay: number|null }}
+ */
+export function parseRobotsTxt(text, agentToken) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of (text || "").split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, "").trim();
+        const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+        if (!match) continue;
+
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (field === "user-agent") {
+            // Consecutive User-agent lines share one group
+            if (!lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+
+        lastWasAgent = false;
+        if (!current) continue;
+
+        if ((field === "allow" || field === "disallow") && value) {
+            current.rules.push({ allow: field === "allow", pattern: value });
+        } else if (field === "crawl-delay") {
+            const seconds = parseFloat(value);
+            if (!Number.isNaN(seconds)) current.crawlDelay = seconds;
+        }
+    }
+
+    // Product tokens match exactly, ignoring case (RFC 9309 2.2.1): a group for "iom" isn't ours
+    const named = groups.filter(group => group.agents.includes(agentToken.toLowerCase()));
+    const applicable = named.length > 0 ? named : groups.filter(group => group.agents.includes("*"));
+    const delays = applicable.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+    return {
+        rules: applicable.flatMap(group => group.rules),
+        crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+    };
+}
+
+/**
+ * Check a path (with query string) against robots rules
+ * The longest matching pattern wins; Allow wins a tie. robots.txt itself is always allowed.
+ */
+export function isAllowed(rules, path) {
+    if (path === "/robots.txt") return true;
+
+    let best = null;
+    for (const rule of rules) {
+        if (!patternMatches(rule.pattern, path)) continue;
+        if (!best || rule.pattern.length > best.pattern.length
+            || (rule.pattern.length === best.pattern.length && rule.allow)) {
+            best = rule;
+        }
+    }
+
+    return best ? best.allow : true;
+}
+
+/**
+ * Match a robots path pattern (* wildcards, $ end anchor) from the start of a path
+ */
+function patternMatches(pattern, path) {
+    const anchored = pattern.endsWith("$");
+    const body = anchored ? pattern.slice(0, -1) : pattern;
+    const regex = body.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+    return new RegExp(`^${regex}${anchored ? "$" : ""}`).test(path);
+}
@@ -1,5 +1,7 @@
 // LLM Prompts for IOM Job Scraper — Text-to-SQL
 
+import { islandToday, addDays, dayOfWeek } from "./dates.js";
+
 /**
  * System prompt for SQL generation
  */
@@ -21,25 +23,48 @@ Table: jobs
 - title TEXT — job title
 - employer TEXT — hiring organisation
 - location TEXT — work location (e.g. "Douglas", "Onchan")
+- place TEXT — the town, village or site the location names (e.g. "Douglas", "Noble's Hospital"); NULL when it names none or several
+- parish TEXT — parish of the place (the four towns are their own), e.g. 'Braddan', 'Malew'
+- region TEXT — part of the Island: 'north', 'south', 'east' or 'west'
+- latitude REAL, longitude REAL — coordinates of the place
 - classification TEXT — job category (e.g. "EDUCATION", "HEALTH AND SOCIAL CARE", "INFORMATION TECHNOLOGY")
 - job_type TEXT — contract type (e.g. "Permanent", "Fixed Term")
 - hours_type TEXT — "full-time" or "part-time"
-- salary_min REAL — minimum salary (numeric, pounds sterling)
-- salary_max REAL — maximum salary (numeric, pounds sterling)
+- industry TEXT — sector from the linked jobtrain advert (often NULL)
+- salary_min REAL — minimum pay as advertised, per salary_type period (NULL for "up to" salaries)
+- salary_max REAL — maximum pay as advertised, per salary_type period (NULL for "from" salaries)
+- salary_type TEXT — pay period: 'annual', 'hourly', 'daily', 'weekly' or 'monthly'
+- salary_annual_min REAL, salary_annual_max REAL — full-time yearly equivalents in pounds (hourly rates annualised)
+- salary_pro_rata INTEGER — 1 if the salary is pro rata (paid in proportion to hours)
+- salary_grade TEXT — pay grade or band (e.g. "HEO", "Band 6", "Grade 5")
+- salary_scheme TEXT — pay scheme of the grade: 'civil_service', 'afc' (NHS Agenda for Change), 'teachers', 'police'
+- salary_pay_scale_id INTEGER — set when the salary amounts were looked up from the grade's published pay scale
+- hours_per_week REAL — contracted weekly hours, when stated
 - salary_text TEXT — original salary description string
 - posted_date TEXT — date posted (YYYY-MM-DD), may be NULL for older records
-- closing_date TEXT — application deadline (YYYY-MM-DD)
+- closing_date TEXT — application deadline (YYYY-MM-DD); NULL when the advert's date was ambiguous
+- closing_time TEXT — time of day applications close (HH:MM, Isle of Man time), when given
+- closing_at DATETIME — closing_date and closing_time as a UTC timestamp ('YYYY-MM-DD HH:MM:SS'); NULL without a closing time
 - is_active INTEGER — 1 = open, 0 = closed
+- closed_reason TEXT — why a closed job closed: 'expired' (closing date passed), 'withdrawn' (taken down early), 'filled'; NULL while open
+- source TEXT — job board the listing came from ('govim' = services.gov.im)
 - source_url TEXT — link to the original listing
 - summary TEXT — short description
 - description TEXT — full job description
+- responsibilities TEXT — the advert's duties section (NULL if it has none)
+- essential_criteria TEXT — the advert's essential criteria / requirements section (NULL if it has none)
+- desirable_criteria TEXT — the advert's desirable criteria section (NULL if it has none)
+- qualifications TEXT, experience TEXT — required qualifications and experience (often NULL)
+- benefits TEXT — what the employer offers (often NULL)
+- how_to_apply TEXT — application instructions (often NULL)
 - scraped_at TEXT — ISO 8601 timestamp when the job was first scraped (always populated)
+- readvertise_count INTEGER — number of earlier postings of the same role (0 = first advert; high values suggest a hard-to-fill post)
 
 ## Rules
 1. Always filter is_active = 1 unless the user explicitly asks about closed/expired jobs
-2. Use LIKE with % wildcards for text search (title, employer, location, summary, description)
+2. Use LIKE with % wildcards for text search (title, employer, location, summary, description). For requirements, duties or benefits, search the matching section columns too, OR'd with description since they are often NULL
 3. Only search classification when the user explicitly mentions a category (e.g. "IT jobs", "health jobs"). For specific roles like "software developer" or "nurse", search title and summary — do NOT broaden to the whole classification
-4. salary_min and salary_max are numeric REALs — use >, <, >=, <= for comparisons
+4. Compare pay with salary_annual_min / salary_annual_max (numeric REALs), so hourly and annual salaries compare fairly; either may be NULL, so use COALESCE(salary_annual_max, salary_annual_min) for "paying over" and COALESCE(salary_annual_min, salary_annual_max) for "paying under"
 5. Dates are TEXT in YYYY-MM-DD format — compare with >, <, =, BETWEEN
 6. posted_date may be NULL for older records — always use COALESCE(posted_date, date(scraped_at)) when filtering or sorting by posted date
 7. Use date('{{TODAY_DATE}}') for today, date('{{TOMORROW_DATE}}') for tomorrow
@@ -47,7 +72,8 @@ Table: jobs
 9. For "this year": COALESCE(posted_date, date(scraped_at)) >= '{{YEAR_START}}'
 10. For "this month": COALESCE(posted_date, date(scraped_at)) >= date('{{TODAY_DATE}}', 'start of month')
 11. ORDER BY COALESCE(posted_date, date(scraped_at)) DESC is a sensible default; use closing_date ASC for "closing soon"
-12. Return only the SQL query — no explanation, no markdown fences
+12. For a part of the Island ("jobs in the north") use region; for a town or village ("jobs in Ramsey") use location LIKE, which also matches addresses
+13. Return only the SQL query — no explanation, no markdown fences
 
 ## Examples
 
@@ -55,7 +81,7 @@ User: nursing jobs
 SELECT * FROM jobs WHERE is_active = 1 AND (title LIKE '%nurse%' OR title LIKE '%nursing%' OR summary LIKE '%nurse%' OR summary LIKE '%nursing%') ORDER BY COALESCE(posted_date, date(scraped_at)) DESC LIMIT 20
 
 User: jobs over 40k
-SELECT * FROM jobs WHERE is_active = 1 AND salary_min >= 40000 ORDER BY salary_max DESC LIMIT 20
+SELECT * FROM jobs WHERE is_active = 1 AND COALESCE(salary_annual_max, salary_annual_min) >= 40000 ORDER BY COALESCE(salary_annual_max, salary_annual_min) DESC LIMIT 20
 
 User: how many IT jobs
 SELECT COUNT(*) as count FROM jobs WHERE is_active = 1 AND (title LIKE '%IT%' OR classification LIKE '%INFORMATION TECHNOLOGY%' OR summary LIKE '%IT%')
@@ -73,7 +99,7 @@ User: latest jobs
 SELECT * FROM jobs WHERE is_active = 1 ORDER BY COALESCE(posted_date, date(scraped_at)) DESC LIMIT 20
 
 User: health and social care jobs paying over 30k
-SELECT * FROM jobs WHERE is_active = 1 AND classification LIKE '%HEALTH%SOCIAL%CARE%' AND salary_min >= 30000 ORDER BY salary_max DESC LIMIT 20
+SELECT * FROM jobs WHERE is_active = 1 AND classification LIKE '%HEALTH%SOCIAL%CARE%' AND COALESCE(salary_annual_max, salary_annual_min) >= 30000 ORDER BY COALESCE(salary_annual_max, salary_annual_min) DESC LIMIT 20
 
 User: how many software dev jobs this year
 SELECT COUNT(*) as count FROM jobs WHERE COALESCE(posted_date, date(scraped_at)) >= '{{YEAR_START}}' AND (title LIKE '%software%' OR title LIKE '%developer%' OR summary LIKE '%software%' OR summary LIKE '%developer%')
@@ -116,26 +142,30 @@ ${JSON.stringify(results, null, 2)}
 Provide a concise, helpful answer based on these results.`;
 }
 
+/**
+ * The dates prompts are written against, on the Island's calendar
+ * @returns {{ today: string, tomorrow: string, weekStart: string, yearStart: string }} YYYY-MM-DD dates;
+ *   weekStart is this week's Monday
+ */
+export function getPromptDates(now = new Date()) {
+    const today = islandToday(now);
+    return {
+        today,
+        tomorrow: addDays(today, 1),
+        weekStart: addDays(today, -((dayOfWeek(today) + 6) % 7)),
+        yearStart: `${today.slice(0, 4)}-01-01`,
+    };
+}
+
 /**
  * Inject date placeholders into a prompt
  */
 export function injectDates(prompt) {
-    const now = new Date();
-    const today = now.toISOString().split("T")[0];
-
-    const tomorrow = new Date(now);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    const tomorrowStr = tomorrow.toISOString().split("T")[0];
-
-    const weekStart = new Date(now);
-    weekStart.setDate(weekStart.getDate() - weekStart.getDay() + 1); // Monday
-    const weekStartStr = weekStart.toISOString().split("T")[0];
-
-    const yearStart = `${now.getFullYear()}-01-01`;
+    const { today, tomorrow, weekStart, yearStart } = getPromptDates();
 
     return prompt
         .replace(/\{\{TODAY_DATE\}\}/g, today)
-        .replace(/\{\{TOMORROW_DATE\}\}/g, tomorrowStr)
-        .replace(/\{\{WEEK_START\}\}/g, weekStartStr)
+        .replace(/\{\{TOMORROW_DATE\}\}/g, tomorrow)
+        .replace(/\{\{WEEK_START\}\}/g, weekStart)
         .replace(/\{\{YEAR_START\}\}/g, yearStart);
 }
@@ -0,0 +1,135 @@
+// Re-advertisement Detection for IOM Job Scraper
+// Links re-posted vacancies (new viewjob?Id=, same role) to their earlier postings
+
+import { sha256Hex } from "./utils.js";
+
+// Maximum number of earlier postings to walk back through
+const MAX_CHAIN_LENGTH = 20;
+
+/**
+ * Normalise text for fingerprinting
+ * Strips URLs, digits (dates, ids, closing times) and punctuation so that
+ * cosmetic differences between postings don't change the fingerprint
+ */
+export function normaliseForFingerprint(text) {
+    if (!text) return "";
+
+    return String(text)
+        .toLowerCase()
+        .replace(/https?:\/\/\S+/g, " ")
+        .replace(/\b(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\b/g, " ")
+        .replace(/\b(?:mon|tues?|wed(?:nes)?|thu(?:rs)?|fri|sat(?:ur)?|sun)(?:day)?\b/g, " ")
+        .replace(/\d+(?:st|nd|rd|th)?/g, " ")
+        .replace(/[^a-z\s]/g, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+/**
+ * Compute a re-advertisement fingerprint for a job
+ * Combines title, employer, reference and normalised description
+ * @param {Object} job - Job fields (title, employer, reference, description)
+ * @returns {Promise<string|null>} SHA-256 hex digest, or null if there is no description yet
+ */
+export async function fingerprintJob(job) {
+    if (!job || !job.title || !job.description) return null;
+
+    const input = [
+        normaliseForFingerprint(job.title),
+        normaliseForFingerprint(job.employer),
+        (job.reference || "").toLowerCase().replace(/\s+/g, ""),
+        normaliseForFingerprint(job.description),
+    ].join("|");
+
+    return await sha256Hex(input);
+}
+
+/**
+ * Link a job to the most recent earlier posting with the same fingerprint
+ * Every posting in the chain keeps the same readvertise_count (times the role
+ * has been re-advertised), so the count reads the same from any of them.
+ * @returns {Promise<number|null>} ID of the earlier posting, or null if none found
+ */
+export async function linkReadvertisement(env, jobId, fingerprint) {
+    if (!jobId || !fingerprint) return null;
+
+    try {
+        const previous = await env.DB.prepare(`
+            SELECT id, readvertise_count FROM jobs
+            WHERE fingerprint = ? AND id < ?
+            ORDER BY id DESC
+            LIMIT 1
+        `).bind(fingerprint, jobId).first();
+
+        if (!previous) return null;
+
+        await env.DB.batch([
+            env.DB.prepare("UPDATE jobs SET readvertised_from = ? WHERE id = ?").bind(previous.id, jobId),
+            // The new posting and every earlier one it links back to
+            env.DB.prepare(`
+                WITH RECURSIVE chain(id) AS (
+                    SELECT ?
+                    UNION
+                    SELECT jobs.readvertised_from FROM jobs JOIN chain ON jobs.id = chain.id
+                    WHERE jobs.readvertised_from IS NOT NULL
+                )
+                UPDATE jobs SET readvertise_count = ?
+                WHERE id IN (SELECT id FROM chain)
+            `).bind(jobId, (previous.readvertise_count || 0) + 1),
+        ]);
+
+        console.log(`  ↺ Job ${jobId} is a re-advertisement of job ${previous.id}`);
+        return previous.id;
+    } catch (error) {
+        console.error(`Error linking re-advertisement for job ${jobId}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Get earlier postings of the same role (newest first) and later ones (oldest first)
+ * @param {Object} job - Job row (needs id and readvertised_from)
+ * @returns {Promise<{ previous: Array, later: Array }>}
+ */
+export async function getReadvertisements(env, job) {
+    const stmt = env.DB.prepare(`
+        SELECT id, title, employer, posted_date, closing_date, scraped_at, is_active, source_url, readvertised_from
+        FROM jobs WHERE id = ?
+    `);
+
+    // Walk back through the chain of earlier postings
+    const previous = [];
+    const seen = new Set([job.id]);
+    let nextId = job.readvertised_from;
+    while (nextId && !seen.has(nextId) && previous.length < MAX_CHAIN_LENGTH) {
+        seen.add(nextId);
+        const row = await stmt.bind(nextId).first();
+        if (!row) break;
+        previous.push(row);
+        nextId = row.readvertised_from;
+    }
+
+    // Walk forward through later postings that point back along the chain
+    const laterStmt = env.DB.prepare(`
+        SELECT id, title, employer, posted_date, closing_date, scraped_at, is_active, source_url, readvertised_from
+        FROM jobs WHERE readvertised_from = ?
+        ORDER BY id ASC
+    `);
+    const later = [];
+    let fromIds = [job.id];
+    while (fromIds.length > 0 && later.length < MAX_CHAIN_LENGTH) {
+        const found = [];
+        for (const fromId of fromIds) {
+            const result = await laterStmt.bind(fromId).all();
+            found.push(...(result.results || []).filter(row => !seen.has(row.id)));
+        }
+        for (const row of found) seen.add(row.id);
+        later.push(...found);
+        fromIds = found.map(row => row.id);
+    }
+
+    return {
+        previous: previous.map(({ readvertised_from, ...row }) => row),
+        later: later.slice(0, MAX_CHAIN_LENGTH).map(({ readvertised_from, ...row }) => row),
+    };
+}
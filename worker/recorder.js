@@ -0,0 +1,93 @@
+// HTTP Record/Replay for IOM Job Scraper
+// Every scraper request (pages and robots.txt) goes through archivedFetch.
+// With SCRAPER_HTTP_MODE=record, responses are saved to the http_archive table
+// under SCRAPER_HTTP_ARCHIVE; with SCRAPER_HTTP_MODE=replay they are served from
+// it and nothing goes to the network. See scripts/http-archive.js for moving
+// archives between the production and local databases.
+
+import { getHttpArchiveConfig } from "./config.js";
+
+// Replay position per archive+URL, so a URL fetched several times during the
+// recorded run replays its responses in the same order
+const replayPositions = new Map();
+
+// Recorded headers we don't want to keep (the stored body is already decoded)
+const SKIPPED_HEADERS = ["set-cookie", "content-encoding", "content-length", "transfer-encoding"];
+
+/**
+ * Whether requests are being served from a recorded archive
+ */
+export function isReplaying(env) {
+    return getHttpArchiveConfig(env).mode === "replay";
+}
+
+/**
+ * fetch(), recorded or replayed according to SCRAPER_HTTP_MODE
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch() options
+ * @returns {Promise<Response>}
+ */
+export async function archivedFetch(env, url, init = {}) {
+    const { mode, archive } = getHttpArchiveConfig(env);
+
+    if (mode === "replay") {
+        return await replayResponse(env, archive, url);
+    }
+
+    const response = await fetch(url, init);
+    if (mode !== "record") {
+        return response;
+    }
+
+    // Read the body once to store it, then hand back an equivalent response
+    const body = await response.text();
+    const headers = Object.fromEntries(
+        [...response.headers].filter(([name]) => !SKIPPED_HEADERS.includes(name.toLowerCase()))
+    );
+
+    try {
+        await env.DB.prepare(`
+            INSERT INTO http_archive (archive, url, seq, status, headers, body)
+            SELECT ?, ?, COALESCE(MAX(seq) + 1, 0), ?, ?, ?
+            FROM http_archive WHERE archive = ? AND url = ?
+        `).bind(archive, url, response.status, JSON.stringify(headers), body, archive, url).run();
+    } catch (error) {
+        console.error(`Error recording ${url}:`, error.message);
+    }
+
+    return new Response(nullBodyStatus(response.status) ? null : body, { status: response.status, headers });
+}
+
+/**
+ * Serve the next recorded response for a URL
+ * Once a URL's recordings are used up its last one keeps being served.
+ * URLs that were never recorded get a 404, so a replay can't reach the network.
+ */
+async function replayResponse(env, archive, url) {
+    const key = `${archive}|${url}`;
+    const position = replayPositions.get(key) || 0;
+
+    const row = await env.DB.prepare(`
+        SELECT status, headers, body FROM http_archive
+        WHERE archive = ? AND url = ? AND seq <= ?
+        ORDER BY seq DESC
+        LIMIT 1
+    `).bind(archive, url, position).first();
+
+    if (!row) {
+        console.error(`Replay miss: ${url} is not in archive "${archive}"`);
+        return new Response(`Not in archive "${archive}"`, { status: 404, headers: { "X-Replay-Miss": "1" } });
+    }
+
+    replayPositions.set(key, position + 1);
+    return new Response(nullBodyStatus(row.status) ? null : row.body, {
+        status: row.status,
+        headers: JSON.parse(row.headers || "{}"),
+    });
+}
+
+// Response() rejects a body for these statuses
+function nullBodyStatus(status) {
+    return status === 204 || status === 304;
+}
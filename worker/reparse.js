@@ -0,0 +1,152 @@
+// Re-parsing of Stored Detail Pages for IOM Job Scraper
+// Runs the current parsers over jobs.raw_html so parser fixes can be backfilled
+// without refetching anything from the source sites
+
+import { CONFIG } from "./config.js";
+import { TRACKED_FIELDS } from "./revisions.js";
+import { buildDetailFields, saveJobDetails, DESCRIPTION_SECTION_COLUMNS } from "./scraper.js";
+import { DEFAULT_SOURCE_ID, getSource } from "./sources/index.js";
+import { isLinkOnlyDescription } from "./parser.js";
+
+/**
+ * Re-parse stored raw_html for a batch of jobs and update their structured columns
+ * Jobs are processed in id order; call again with `id_from: next_id` until `complete` is true.
+ *
+ * Jobs whose stored page links to an advert elsewhere (gov.im → jobtrain or a
+ * career site) keep their apply URL and what was merged from the linked advert,
+ * and keep their description if the stored page's is only a pointer: the linked
+ * page isn't stored, so re-parsing would replace the full advert with the pointer text.
+ *
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {Object} options - { id_from, id_to, classification, source, dry_run, limit }
+ * @returns {Promise<Object>} Report with counts, per-field change totals and changed jobs
+ */
+export async function reparseJobs(env, options = {}) {
+    const limit = options.limit || CONFIG.scraper.reparseBatchSize;
+    const dryRun = options.dry_run === true;
+
+    const where = ["raw_html IS NOT NULL"];
+    const params = [];
+    if (options.id_from !== undefined) {
+        where.push("id >= ?");
+        params.push(options.id_from);
+    }
+    if (options.id_to !== undefined) {
+        where.push("id <= ?");
+        params.push(options.id_to);
+    }
+    if (options.classification) {
+        where.push("classification LIKE ?");
+        params.push(`%${options.classification}%`);
+    }
+    if (options.source) {
+        where.push("source = ?");
+        params.push(options.source);
+    }
+
+    // Fetch one extra row to know whether another batch follows
+    const result = await env.DB.prepare(`
+        SELECT id, source, source_url, readvertised_from, posted_date, additional_info, description_markdown, raw_html, ${TRACKED_FIELDS.join(", ")}
+        FROM jobs
+        WHERE ${where.join(" AND ")}
+        ORDER BY id ASC
+        LIMIT ?
+    `).bind(...params, limit + 1).all();
+
+    const rows = result.results || [];
+    const batch = rows.slice(0, limit);
+
+    const report = {
+        success: true,
+        dry_run: dryRun,
+        scanned: batch.length,
+        updated: 0,
+        unchanged: 0,
+        failed: 0,
+        fields_changed: {},
+        jobs: [],
+        errors: [],
+        next_id: rows.length > limit ? rows[limit].id : null,
+        complete: rows.length <= limit,
+    };
+
+    for (const job of batch) {
+        try {
+            const outcome = await reparseJob(env, job, dryRun);
+            if (outcome.changes.length === 0 && !outcome.additionalInfoChanged && !outcome.markdownChanged) {
+                report.unchanged++;
+                continue;
+            }
+
+            report.updated++;
+            // The Markdown copy isn't a revision-tracked field, but count it so backfills show up
+            const fields = outcome.changes.map(change => change.field);
+            if (outcome.markdownChanged) fields.push("description_markdown");
+            for (const field of fields) {
+                report.fields_changed[field] = (report.fields_changed[field] || 0) + 1;
+            }
+            report.jobs.push({
+                id: job.id,
+                title: job.title,
+                fields,
+                ...(dryRun ? { changes: outcome.changes } : {}),
+            });
+        } catch (error) {
+            console.error(`Error re-parsing job ${job.id}:`, error.message);
+            report.failed++;
+            report.errors.push({ id: job.id, error: error.message });
+        }
+    }
+
+    console.log(`Re-parse${dryRun ? " (dry run)" : ""}: ${report.scanned} scanned, ${report.updated} changed, ${report.unchanged} unchanged, ${report.failed} failed`);
+    return report;
+}
+
+/**
+ * Re-parse one job's stored page
+ * @returns {Promise<{ changes: Array, additionalInfoChanged: boolean, markdownChanged: boolean }>}
+ */
+async function reparseJob(env, job, dryRun) {
+    const source = getSource(job.source) || getSource(DEFAULT_SOURCE_ID);
+    const details = source.parseDetail(job.raw_html, job.source_url);
+    details.additional_info = details.additional_info || {};
+
+    const existingInfo = parseAdditionalInfo(job.additional_info);
+    const linkedUrl = source.linkedDetailUrl?.(details) || null;
+    const linked = Boolean(linkedUrl);
+    details.external_url = linkedUrl;
+    if (linked) {
+        // Keep what enrichment merged in from the linked page, including its
+        // description when it replaced a pointer-only one
+        if (!details.description || isLinkOnlyDescription(details.description)) {
+            delete details.description;
+            delete details.description_markdown;
+        }
+        delete details.apply_url;
+        details.additional_info = { ...existingInfo, ...details.additional_info };
+    }
+
+    const { additionalInfo } = buildDetailFields(details);
+    const additionalInfoChanged = JSON.stringify(additionalInfo) !== JSON.stringify(existingInfo);
+    const markdownChanged = "description_markdown" in details
+        && (details.description_markdown || null) !== (job.description_markdown || null);
+
+    // Nothing to write: skip so updated_at isn't bumped
+    const changes = await saveJobDetails(env, job, details, {
+        rawHtml: job.raw_html,
+        overwrite: linked ? [] : ["description", "description_markdown", ...DESCRIPTION_SECTION_COLUMNS, "apply_url", "external_url"],
+        dryRun,
+        skipUnchanged: !additionalInfoChanged && !markdownChanged,
+    });
+
+    return { changes, additionalInfoChanged, markdownChanged };
+}
+
+function parseAdditionalInfo(json) {
+    if (!json) return {};
+    try {
+        return JSON.parse(json);
+    } catch {
+        return {};
+    }
+}
@@ -0,0 +1,112 @@
+// Job Revision Tracking for IOM Job Scraper
+// Records field-level changes to jobs across scrapes so history is never lost
+
+/**
+ * Fields whose changes are recorded in job_revisions
+ */
+export const TRACKED_FIELDS = [
+    "title", "employer", "location", "place", "parish", "region", "latitude", "longitude",
+    "salary_text", "salary_min", "salary_max", "salary_type",
+    "salary_annual_min", "salary_annual_max", "salary_pro_rata", "salary_grade",
+    "salary_spine_min", "salary_spine_max", "hours_per_week",
+    "job_type", "classification", "hours_option", "hours_type",
+    "closing_date", "closing_time", "closing_at", "start_date",
+    "summary", "description",
+    "reference", "contact_name", "contact_email", "contact_phone",
+    "qualifications", "experience", "benefits", "how_to_apply",
+    "responsibilities", "essential_criteria", "desirable_criteria",
+    "salary_currency", "employment_types", "industry", "external_id", "direct_apply",
+    "apply_url", "external_url",
+];
+
+/**
+ * Normalise a column value for comparison and storage
+ * D1 returns REALs as numbers, so compare everything as trimmed text
+ */
+function normaliseValue(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    return text === "" ? null : text;
+}
+
+/**
+ * Compare an existing job row against incoming values
+ * Incoming nulls are treated as "keep existing" (matching the COALESCE updates),
+ * except for fields listed in `overwrite` which are written unconditionally.
+ * @param {Object} existing - Current row from the jobs table
+ * @param {Object} incoming - Values about to be written
+ * @param {Object} options - { overwrite: string[] }
+ * @returns {Array<{ field: string, old_value: string|null, new_value: string|null }>}
+ */
+export function diffJobFields(existing, incoming, { overwrite = [] } = {}) {
+    if (!existing || !incoming) return [];
+
+    const changes = [];
+    for (const field of TRACKED_FIELDS) {
+        if (!(field in incoming)) continue;
+
+        const newValue = normaliseValue(incoming[field]);
+        if (newValue === null && !overwrite.includes(field)) continue;
+
+        const oldValue = normaliseValue(existing[field]);
+        if (oldValue !== newValue) {
+            changes.push({ field, old_value: oldValue, new_value: newValue });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Build the inserts that persist field changes for a job
+ * Callers run them in the same D1 batch as the job's own update
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {number} jobId - Job ID
+ * @param {Array} changes - Output of diffJobFields
+ * @param {number|null} scrapeLogId - scrape_log row that observed the change
+ * @returns {Array} Bound D1 statements (empty when there are no changes)
+ */
+export function buildRevisionStatements(env, jobId, changes, scrapeLogId = null) {
+    if (!jobId || !changes || changes.length === 0) return [];
+
+    const stmt = env.DB.prepare(`
+        INSERT INTO job_revisions (job_id, field, old_value, new_value, scrape_log_id, changed_at)
+        VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `);
+
+    return changes.map(change =>
+        stmt.bind(jobId, change.field, change.old_value, change.new_value, scrapeLogId ?? null)
+    );
+}
+
+/**
+ * Get the change timeline for a job, newest first
+ * Changes observed by the same scrape are grouped into a single entry
+ * @returns {Array<{ changed_at: string, scrape_log_id: number|null, url_type: string|null, changes: Array }>}
+ */
+export async function getJobHistory(env, jobId) {
+    const result = await env.DB.prepare(`
+        SELECT r.field, r.old_value, r.new_value, r.scrape_log_id, r.changed_at, l.url_type
+        FROM job_revisions r
+        LEFT JOIN scrape_log l ON l.id = r.scrape_log_id
+        WHERE r.job_id = ?
+        ORDER BY r.changed_at DESC, r.id ASC
+    `).bind(jobId).all();
+
+    const timeline = [];
+    for (const row of result.results || []) {
+        let entry = timeline[timeline.length - 1];
+        if (!entry || entry.changed_at !== row.changed_at || entry.scrape_log_id !== row.scrape_log_id) {
+            entry = {
+                changed_at: row.changed_at,
+                scrape_log_id: row.scrape_log_id,
+                url_type: row.url_type || null,
+                changes: [],
+            };
+            timeline.push(entry);
+        }
+        entry.changes.push({ field: row.field, old_value: row.old_value, new_value: row.new_value });
+    }
+
+    return timeline;
+}
@@ -0,0 +1,227 @@
+// Salary Normalisation for IOM Job Scraper
+// Reads salary text as advertised ("£25,000 - £28,000 per annum pro rata",
+// "Grade HEO, SCP 24-28", "Up to £14.50 per hour, 20 hours per week") into
+// stated amounts, a pay period and full-time annual equivalents that can be
+// filtered and sorted on. Grade, band and spine-point numbers, hours and
+// percentages are never read as money. Each result carries a confidence score
+// (0-1) for its amounts, lowered for anything guessed.
+
+import { CONFIG } from "./config.js";
+
+// Pay period wording, checked in order; abbreviations can follow the amount directly ("£450pw")
+const PERIOD_PATTERNS = [
+    ["hourly", /\b(?:per|an|a|each)\s+hour\b|\bhourly\b|\/\s*(?:hr|hour)\b|(?<![a-z])p\.?\s*h\b/i],
+    ["daily", /\b(?:per|a|each)\s+day\b|\bdaily\b|\/\s*day\b|(?<![a-z])p\.?\s*d\b/i],
+    ["weekly", /\b(?:per|a|each)\s+week\b|\bweekly\b|\/\s*(?:wk|week)\b|(?<![a-z])p\.?\s*w\b/i],
+    ["monthly", /\b(?:per|a|each)\s+(?:calendar\s+)?month\b|\bmonthly\b|\/\s*month\b|(?<![a-z])p\.?\s*c\.?\s*m\b/i],
+    ["annual", /\b(?:per|an|a|each)\s+(?:annum|year)\b|(?<![a-z])p\.?\s*a\b\.?|\bannual(?:ly)?\b|\byearly\b|\/\s*(?:yr|year|annum)\b/i],
+];
+
+// Plausible amounts for each period; anything outside is probably misread
+const PLAUSIBLE = {
+    hourly: [3, 250],
+    daily: [20, 2000],
+    weekly: [100, 6000],
+    monthly: [400, 25000],
+    annual: [5000, 300000],
+};
+
+// IOM Government grade codes (Administrative Assistant/Officer, Executive Officers,
+// Professional/Scientific/Officer scales) and the teachers' main and upper pay scales
+const GRADE_CODE = /\b(AA|AO|EO|HEO|SEO|PO\s?\d{1,2}|SO\s?\d|OS\s?\d{1,2}|MPS|UPS)\b/;
+
+// Police ranks, read as grades only when the text says it's police pay
+const POLICE_RANK = /\b(chief inspector|inspector|sergeant|constable)\b/i;
+
+// Pay scheme wording, checked in order; grades are looked up in pay_scales by scheme
+export const PAY_SCHEMES = [
+    ["afc", /\b(?:afc|agenda for change|nhs)\b/i],
+    ["teachers", /\bteach(?:er|ers|ing)\b|\b(?:main|upper) pay scale\b|\b(?:MPS|UPS)\b/i],
+    ["police", /\bpolice\b/i],
+    ["civil_service", /\bcs\b|\bcivil service\b|\bofficer grade\b|\b(?:AA|AO|EO|HEO|SEO)\b/i],
+];
+
+/**
+ * Normalise advertised salary text
+ * @param {string} text - Salary as advertised
+ * @param {Object} options
+ * @param {string} [options.hoursText] - The job's hours (e.g. "37.5 hours per week"), used when the salary doesn't say
+ * @returns {{ min: number|null, max: number|null, type: string|null, currency: string|null,
+ *   annual_min: number|null, annual_max: number|null, pro_rata: boolean, hours_per_week: number|null,
+ *   grade: string|null, scheme: string|null, spine_min: number|null, spine_max: number|null, confidence: number|null }}
+ *   min/max are the stated amounts for `type`'s period; "up to" leaves min null and "from"
+ *   leaves max null. annual_min/annual_max are full-time yearly equivalents. scheme is the
+ *   pay scheme the text names (see PAY_SCHEMES), if any. confidence is null when no amount was found.
+ */
+export function normaliseSalary(text, { hoursText = null } = {}) {
+    const result = {
+        min: null,
+        max: null,
+        type: null,
+        currency: null,
+        annual_min: null,
+        annual_max: null,
+        pro_rata: false,
+        hours_per_week: null,
+        grade: null,
+        scheme: null,
+        spine_min: null,
+        spine_max: null,
+        confidence: null,
+    };
+    if (!text || typeof text !== "string") return result;
+
+    // Blank out what isn't money as it's recognised, so its numbers can't be read as amounts
+    let rest = text.replace(/\s+/g, " ");
+    const take = (pattern) => {
+        const match = rest.match(pattern);
+        if (match) rest = rest.slice(0, match.index) + " ".repeat(match[0].length) + rest.slice(match.index + match[0].length);
+        return match;
+    };
+
+    result.pro_rata = /\bpro[\s-]?rata\b|\bfte\b|\bfull[\s-]time equivalent\b/i.test(rest);
+
+    const spine = take(/\b(?:spinal\s+(?:column\s+)?points?|scale\s+points?|points?|scp|sp)\s*:?\s*(\d{1,2})(?:\s*(?:-|–|—|to)\s*(\d{1,2}))?\b/i);
+    if (spine) {
+        result.spine_min = Number(spine[1]);
+        result.spine_max = Number(spine[2] ?? spine[1]);
+    }
+
+    result.scheme = PAY_SCHEMES.find(([, pattern]) => pattern.test(rest))?.[0] ?? null;
+    const grade = take(/\b(band|grade|officer scale)\s*:?\s*([A-Za-z]{0,3}\s?\d{1,2}[a-d]?)\b/i)
+        || take(GRADE_CODE)
+        || (result.scheme === "police" ? take(POLICE_RANK) : null);
+    if (grade) result.grade = normaliseGrade(grade[0]);
+
+    const hours = take(/(?<![£\d.,])\b(\d{1,2}(?:\.\d{1,2})?)\s*(?:hours|hrs|hr|h)\b(?:\s*(?:per|a|each|\/)\s*(?:week|wk)|\s*p\.?\s*w\b|\s*weekly)?/i);
+    result.hours_per_week = parseHours(hours) ?? parseHours(hoursText?.match(/\b(\d{1,2}(?:\.\d{1,2})?)\s*(?:hours|hrs|hr|h)\b/i));
+
+    const amounts = findAmounts(rest);
+    const period = PERIOD_PATTERNS.find(([, pattern]) => pattern.test(rest));
+    if (amounts.length === 0) return result;
+
+    let confidence = 1;
+    result.currency = amounts.some(amount => amount.currency) ? "GBP" : null;
+    if (!result.currency) confidence -= 0.2;
+
+    // The first amount, and a second joined to it as a range ("£25,000 - £28,000", "£12 to £14")
+    const range = [amounts[0]];
+    if (amounts[1] && /^\s*(?:-|–|—|to|and|rising to)\s*$/i.test(rest.slice(amounts[0].end, amounts[1].start))) {
+        range.push(amounts[1]);
+    }
+    if (amounts.length > range.length) confidence -= 0.1;
+
+    // "£25-30k": the k applies to both ends
+    if (range.length === 2 && range[1].thousands && !range[0].thousands && range[0].value < 1000) {
+        range[0].value *= 1000;
+    }
+
+    const values = range.map(amount => amount.value).sort((a, b) => a - b);
+    result.min = values[0];
+    result.max = values[values.length - 1];
+
+    const before = rest.slice(0, amounts[0].start);
+    const after = rest.slice(amounts[0].end);
+    if (range.length === 1 && /\b(?:up\s*to|max(?:imum)?(?:\s+of)?|not exceeding)\s*£?\s*$/i.test(before)) {
+        result.min = null;
+    } else if (range.length === 1 && (/\b(?:from|starting(?:\s+(?:at|from))?|min(?:imum)?(?:\s+of)?|at least|in excess of|over)\s*£?\s*$/i.test(before) || /^\+/.test(after))) {
+        result.max = null;
+    } else if (/\b(?:circa|c\.|approx(?:imately)?\.?|around)\s*£?\s*$/i.test(before)) {
+        confidence -= 0.1;
+    }
+
+    if (period) {
+        result.type = period[0];
+    } else {
+        // No period given: judge by size
+        const typical = result.max ?? result.min;
+        result.type = typical >= PLAUSIBLE.annual[0] ? "annual" : typical <= 100 ? "hourly" : null;
+        confidence -= result.type === "annual" ? 0.2 : 0.4;
+    }
+
+    if (result.type) {
+        const [low, high] = PLAUSIBLE[result.type];
+        if (values.some(value => value < low || value > high)) confidence -= 0.5;
+        result.annual_min = annualise(result.min, result.type);
+        result.annual_max = annualise(result.max, result.type);
+    }
+
+    result.confidence = Math.round(Math.max(0, Math.min(1, confidence)) * 100) / 100;
+    return result;
+}
+
+/**
+ * Write a grade the way the normaliser reports it, so pay_scales rows and
+ * advertised grades compare equal ("band  6" → "Band 6", "po 3" → "PO3")
+ * @param {string} grade
+ * @returns {string}
+ */
+export function normaliseGrade(grade) {
+    const text = grade.replace(/\s+/g, " ").trim();
+    const labelled = text.match(/^(band|grade|officer scale)\s*:?\s*(.+)$/i);
+    if (labelled) {
+        return `${labelled[1][0].toUpperCase()}${labelled[1].slice(1).toLowerCase()} ${labelled[2].replace(/\s/g, "").toUpperCase()}`;
+    }
+    if (new RegExp(`^${GRADE_CODE.source}$`, "i").test(text)) {
+        return text.replace(/\s/g, "").toUpperCase();
+    }
+    return text.toLowerCase().replace(/\b\w/g, char => char.toUpperCase());
+}
+
+/**
+ * Full-time yearly equivalent of an amount paid per `type` period
+ * Hourly and daily rates assume a full-time week (salaryFullTimeHours, 5 days).
+ * @returns {number|null}
+ */
+export function annualise(value, type) {
+    if (value === null || value === undefined || !type) return null;
+
+    const { salaryFullTimeHours, salaryWeeksPerYear } = CONFIG.scraper;
+    const perYear = {
+        hourly: salaryFullTimeHours * salaryWeeksPerYear,
+        daily: 5 * salaryWeeksPerYear,
+        weekly: salaryWeeksPerYear,
+        monthly: 12,
+        annual: 1,
+    }[type];
+
+    return perYear ? Math.round(value * perYear) : null;
+}
+
+/**
+ * Money amounts in the text, in order
+ * An amount needs a £/GBP, a k suffix, pence or thousands; bare years and numbers
+ * followed by a unit that isn't money (%, days, weeks...) are skipped.
+ */
+function findAmounts(text) {
+    const amounts = [];
+    const pattern = /(£|gbp\s?)?\s?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?(\s?k\b)?/gi;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const [whole, currency, digits, pence, thousands] = match;
+        const after = text.slice(match.index + whole.length);
+        if (/^\s*(?:%|per\s?cent\b|days?\b|weeks?\b|months?\b|years?\b|yrs?\b|mins?\b|minutes?\b)/i.test(after)) continue;
+
+        let value = Number(digits.replace(/,/g, "") + (pence ? `.${pence}` : ""));
+        const isYear = !currency && !digits.includes(",") && value >= 1990 && value <= 2100;
+        if (!currency && !thousands && ((value < 1000 && !pence) || isYear)) continue;
+        if (thousands) value *= 1000;
+
+        amounts.push({
+            value,
+            currency: Boolean(currency),
+            thousands: Boolean(thousands),
+            start: match.index + whole.indexOf(currency || digits),
+            end: match.index + whole.length,
+        });
+    }
+
+    return amounts;
+}
+
+function parseHours(match) {
+    if (!match) return null;
+    const hours = Number(match[1]);
+    return hours > 0 && hours <= 60 ? hours : null;
+}
@@ -1,264 +1,652 @@
-// Job Scraper Module for IOM Government Jobs
+// Job Scraper Module for IOM Job Sources
 // Fetches, parses, and stores job listings with real-time updates
+// Source-specific URLs and markup live in ./sources/ adapters
 
 import { CONFIG } from "./config.js";
-import { parseJobListings, parseJobDetail, parsePagination, extractJobtrainUrl, isJobtrainRedirect, parseJobtrainDetail } from "./parser.js";
-import { getBrowserHeaders, sleep, generateJobGuid, parseSalaryRange } from "./utils.js";
+import { isVacancyFilled, extractStatusText, isLinkOnlyDescription } from "./parser.js";
+import { sleep, sha256Hex } from "./utils.js";
+import { extractSections } from "./sections.js";
+import { normaliseSalary, annualise } from "./salary.js";
+import { parseUkDate, islandToday, islandTimestamp } from "./dates.js";
+import { findPayScale } from "./payScales.js";
+import { resolvePlace } from "./places.js";
+import { fetchPage, hashPageContent } from "./fetcher.js";
+import { isReplaying } from "./recorder.js";
+import { DEFAULT_SOURCE_ID, getSource, getSourceForUrl } from "./sources/index.js";
+import { TRACKED_FIELDS, diffJobFields, buildRevisionStatements } from "./revisions.js";
+import { fingerprintJob, linkReadvertisement } from "./readvertise.js";
+import { emptyTally, tallyListing, tallyDetail, flushMetrics, finaliseMetrics } from "./metrics.js";
 
 /**
- * Main scraping function - fetches and stores jobs with real-time updates
- * Scrapes by classification to properly categorize jobs
+ * Main scraping function - starts a scrape run, or resumes the one in progress
+ * A run persists its cursor in scrape_log/scrape_queue, so each invocation does
+ * as much as the subrequest budget allows and the next one carries on.
  * @param {Object} env - Cloudflare environment bindings
  * @param {boolean} forceFullScrape - Force full scrape even if DB has data
- * @returns {Object} Scrape results
+ * @param {string} sourceId - Source adapter to scrape (see sources/index.js)
+ * @returns {Object} Scrape results, with `complete: false` while work remains
  */
-export async function scrapeJobs(env, forceFullScrape = false) {
+export async function scrapeJobs(env, forceFullScrape = false, sourceId = DEFAULT_SOURCE_ID) {
     const startTime = new Date();
-    let logId = null;
-    let totalFound = 0;
-    let totalInserted = 0;
-    let totalUpdated = 0;
-
-    // Track fetch statistics for error detection
-    let fetchAttempts = 0;
-    let fetchSuccesses = 0;
-    let wafBlocks = 0;
-    let fetchErrors = 0;
-    let sampleHtml = null;  // Store first HTML response for debugging
+    let run = null;
 
     try {
-        // Determine if this is a first run (empty database)
-        const isFirstRun = await isEmptyDatabase(env);
-        const useFullListing = forceFullScrape || isFirstRun;
+        run = await queueScrape(env, sourceId, forceFullScrape);
+    } catch (error) {
+        console.error("Scrape error:", error);
+        return { success: false, complete: true, error: error.message };
+    }
 
-        const urlType = useFullListing ? "full" : "recent";
-        console.log(`Starting ${urlType} scrape...`);
+    return await advanceRun(env, run, startTime);
+}
 
-        // Log scrape start
-        logId = await logScrapeStart(env, urlType);
+/**
+ * Get the scrape run for a source, creating one (without doing any work yet) if none is running
+ * Queued runs are picked up by continueScrape (cron ticks or /scrape/continue)
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {string} sourceId - Source adapter to scrape
+ * @param {boolean} forceFullScrape - Force full scrape even if the source has jobs already
+ * @returns {Object} The source's active or new run
+ */
+export async function queueScrape(env, sourceId = DEFAULT_SOURCE_ID, forceFullScrape = false) {
+    const source = getSource(sourceId);
+    if (!source || source.listingUrl("recent") === null) {
+        throw new Error(`Unknown or unlistable source: ${sourceId}`);
+    }
 
-        // Use single URL without classification filter - classification is extracted from page headers
-        // This is much more efficient: 1-5 requests vs 45+ requests
-        const baseParams = useFullListing
-            ? `AreaId=&ClassificationId=&SearchText=&LastThreeDays=False&JobHoursOption=`
-            : `AreaId=&ClassificationId=&SearchText=&LastThreeDays=True&JobHoursOption=`;
+    const activeRun = await getActiveRun(env, source.id);
+    if (activeRun) {
+        console.log(`Resuming ${activeRun.source} ${activeRun.url_type} scrape run ${activeRun.id} (phase: ${activeRun.phase})`);
+        return activeRun;
+    }
 
-        let currentUrl = `${CONFIG.scraper.baseUrl}?${baseParams}`;
-        let pageCount = 0;
-        const maxPages = 50; // Allow more pages since we're not filtering by classification
+    // Determine if this is a first run (no jobs from this source yet)
+    const isFirstRun = await isEmptyDatabase(env, source.id);
+    const urlType = forceFullScrape || isFirstRun ? "full" : "recent";
+    console.log(`Starting ${source.id} ${urlType} scrape...`);
 
-        while (currentUrl && pageCount < maxPages) {
-            pageCount++;
-            console.log(`Page ${pageCount}: ${currentUrl}`);
+    return await createRun(env, source.id, urlType, source.listingUrl(urlType));
+}
 
-            fetchAttempts++;
-            const result = await fetchPage(currentUrl);
+/**
+ * Continue the scrape run in progress, if any (cron ticks and /scrape/continue)
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Object} Scrape results, or `{ complete: true }` if nothing is pending
+ */
+export async function continueScrape(env) {
+    const startTime = new Date();
+    const run = await getActiveRun(env);
+    if (!run) {
+        const cooling = await getCoolingRun(env);
+        if (cooling) {
+            return {
+                success: true,
+                complete: false,
+                runId: cooling.id,
+                resumeAt: cooling.cooldown_until,
+                message: `${cooling.source} scrape run ${cooling.id} is cooling down until ${cooling.cooldown_until} UTC`,
+            };
+        }
+        const leased = await getLeasedRun(env);
+        if (leased) {
+            return leasedRunResult(leased);
+        }
+        return { success: true, complete: true, message: "No scrape in progress" };
+    }
 
-            // Capture first response for debugging (even if blocked)
-            if (sampleHtml === null && result.rawText) {
-                sampleHtml = result.rawText;
-            }
+    console.log(`Continuing ${run.source} ${run.url_type} scrape run ${run.id} (phase: ${run.phase})`);
+    return await advanceRun(env, run, startTime);
+}
 
-            if (!result.html) {
-                if (result.wafBlocked) {
-                    wafBlocks++;
-                } else {
-                    fetchErrors++;
-                }
-                console.error(`Failed to fetch page ${pageCount}: ${result.error}`);
-                break;
-            }
+/**
+ * Run one step of a scrape, recording unexpected errors against the run
+ * The run is leased to this invocation first: the continuation cron fires in the
+ * same minute as the start cron, and /scrape/continue can overlap either, and two
+ * invocations advancing one run would fetch the same pages and overwrite each
+ * other's cursor.
+ */
+async function advanceRun(env, run, startTime) {
+    if (!(await claimRun(env, run))) {
+        console.log(`Scrape run ${run.id} is being advanced by another invocation`);
+        return leasedRunResult(run);
+    }
 
-            fetchSuccesses++;
-            // Parser extracts classification from <h2> headers on the page
-            const jobs = parseJobListings(result.html);
+    try {
+        return await runScrapeStep(env, run, startTime);
+    } catch (error) {
+        console.error("Scrape error:", error);
+        failRun(run, error.message);
+        await saveRun(env, run);
 
-            totalFound += jobs.length;
+        return {
+            success: false,
+            complete: true,
+            runId: run.id,
+            error: error.message,
+            stats: getRunStats(run, startTime),
+        };
+    } finally {
+        await releaseRun(env, run);
+    }
+}
 
-            // IMMEDIATELY save jobs to database
-            if (jobs.length > 0) {
-                const { inserted, updated } = await storeJobsBasic(env, jobs);
-                totalInserted += inserted;
-                totalUpdated += updated;
-                console.log(`Page ${pageCount}: ${jobs.length} found, ${inserted} new, ${updated} updated`);
+/**
+ * Result for a run another invocation is advancing
+ */
+function leasedRunResult(run) {
+    return {
+        success: true,
+        complete: false,
+        runId: run.id,
+        busy: true,
+        message: `${run.source} scrape run ${run.id} is being advanced by another invocation`,
+    };
+}
 
-                // Update scrape log with progress
-                await updateScrapeProgress(env, logId, totalFound, totalInserted, totalUpdated);
-            }
+/**
+ * Advance a scrape run as far as this invocation's subrequest budget allows
+ * Phases: listing (follow pagination) → enrichment (drain detail queue) → done
+ */
+async function runScrapeStep(env, run, startTime) {
+    // A run paused after a WAF block or a long Retry-After waits out its cool-down
+    if (isCoolingDown(run)) {
+        console.log(`Scrape run ${run.id} is cooling down until ${run.cooldown_until} UTC`);
+        return {
+            success: true,
+            complete: false,
+            runId: run.id,
+            resumeAt: run.cooldown_until,
+            message: `Scrape paused until ${run.cooldown_until} UTC (cool-down ${run.cooldowns}/${CONFIG.scraper.maxCooldowns})`,
+            stats: getRunStats(run, startTime),
+        };
+    }
+    run.cooldown_until = null;
+
+    // Cloudflare limits subrequests per invocation (~50), so stop short and resume later
+    const budget = { remaining: CONFIG.scraper.subrequestBudget };
+    run.invocations++;
 
-            // Check for next page
-            const pagination = parsePagination(result.html);
-            if (pagination.hasMore && pagination.nextUrl) {
-                currentUrl = pagination.nextUrl;
-                await sleep(CONFIG.scraper.requestDelayMs);
+    if (run.phase === "listing") {
+        await runListingPhase(env, run, budget);
+    }
+
+    if (run.phase === "enrichment") {
+        await runEnrichmentPhase(env, run, budget);
+    }
+
+    if (run.phase === "complete") {
+        // Mark expired jobs
+        await markExpiredJobs(env);
+        run.status = "success";
+        run.phase = "done";
+    }
+
+    await saveRun(env, run);
+
+    const complete = run.phase === "done";
+    const duration = (new Date() - startTime) / 1000;
+
+    if (run.status === "failed") {
+        return {
+            success: false,
+            complete,
+            runId: run.id,
+            error: run.error_message,
+            stats: getRunStats(run, startTime),
+        };
+    }
+
+    if (complete) {
+        console.log(`Scrape run ${run.id} completed: ${run.jobs_inserted} new, ${run.jobs_updated} changed, ${run.jobs_unchanged} unchanged`);
+    } else if (run.cooldown_until) {
+        console.log(`Scrape run ${run.id} paused after ${duration}s (phase: ${run.phase}), cooling down until ${run.cooldown_until} UTC`);
+    } else {
+        console.log(`Scrape run ${run.id} paused after ${duration}s (phase: ${run.phase}), will resume on next invocation`);
+    }
+
+    if (!complete && run.cooldown_until) {
+        return {
+            success: true,
+            complete,
+            runId: run.id,
+            resumeAt: run.cooldown_until,
+            message: `Scrape paused until ${run.cooldown_until} UTC (cool-down ${run.cooldowns}/${CONFIG.scraper.maxCooldowns})`,
+            stats: getRunStats(run, startTime),
+        };
+    }
+
+    return {
+        success: true,
+        complete,
+        runId: run.id,
+        message: complete
+            ? `Scraped ${run.jobs_found} jobs`
+            : `Scrape in progress (${run.phase}): ${run.jobs_found} jobs found, ${run.details_done}/${run.details_total} details fetched`,
+        stats: getRunStats(run, startTime),
+    };
+}
+
+/**
+ * Listing phase - follow result pages from the saved cursor
+ */
+async function runListingPhase(env, run, budget) {
+    const source = getSource(run.source);
+
+    while (run.next_url && budget.remaining > 0 && run.pages_fetched < CONFIG.scraper.maxListingPages) {
+        const pageNumber = run.pages_fetched + 1;
+        console.log(`Page ${pageNumber}: ${run.next_url}`);
+
+        const maxAttempts = Math.min(CONFIG.scraper.fetchMaxAttempts, budget.remaining);
+        run.fetch_attempts++;
+        const result = await timed(run, "fetch_ms", () => fetchPage(env, run.next_url, { maxAttempts }));
+        budget.remaining -= result.subrequests;
+        run.fetch_retries += result.retries;
+
+        // Capture first response for debugging (even if blocked)
+        if (!run.sample_html && result.rawText) {
+            run.sample_html = result.rawText;
+        }
+
+        if (!result.html) {
+            if (result.wafBlocked) {
+                run.waf_blocks++;
             } else {
-                currentUrl = null;
+                run.fetch_errors++;
+            }
+            console.error(`Failed to fetch page ${pageNumber}: ${result.error}`);
+
+            // robots.txt asks us not to crawl this page, so the rest of the listing is out of reach
+            if (result.disallowed) {
+                run.next_url = null;
+                run.listing_truncated = true;
+                break;
             }
-        }
 
-        console.log(`Listing scrape complete: ${totalFound} jobs found`);
-        console.log(`Fetch stats: ${fetchSuccesses}/${fetchAttempts} succeeded, ${wafBlocks} WAF blocks, ${fetchErrors} errors`);
+            // Blocked or told to back off: pause with the cursor in place and resume later
+            if (needsCoolDown(result)) {
+                if (!coolDownRun(run, result)) {
+                    console.error(`Giving up on listing at page ${pageNumber} after ${run.cooldowns} cool-downs`);
+                    run.next_url = null;
+                    run.listing_truncated = true;
+                }
+                break;
+            }
 
-        // Skip enrichment if we've used many subrequests (Cloudflare limit is ~50)
-        // Enrichment can be run separately via /enrich endpoint
-        const skipEnrichment = fetchAttempts >= 40;
-        if (skipEnrichment) {
-            console.log(`Skipping enrichment due to high subrequest count (${fetchAttempts}). Run /enrich separately.`);
+            // Leave the cursor in place so the next invocation retries this page,
+            // unless it keeps failing
+            run.cursor_failures++;
+            if (run.cursor_failures >= CONFIG.scraper.maxCursorFailures) {
+                console.error(`Giving up on listing after ${run.cursor_failures} failures at page ${pageNumber}`);
+                run.next_url = null;
+                run.listing_truncated = true;
+            }
+            break;
         }
 
-        // Check for WAF blocking pattern - if we had WAF blocks and no successful fetches with jobs
-        if (wafBlocks > 0 && fetchSuccesses === 0) {
-            const errorMsg = `All fetch attempts were blocked by WAF (${wafBlocks} blocks)`;
-            console.error(errorMsg);
-            await logScrapeComplete(env, logId, totalFound, totalInserted, totalUpdated, "failed", errorMsg, sampleHtml);
-            return {
-                success: false,
-                error: errorMsg,
-                stats: { found: 0, inserted: 0, updated: 0, wafBlocks, fetchErrors },
-            };
+        run.cursor_failures = 0;
+        run.fetch_successes++;
+        run.pages_fetched++;
+
+        const pageUrl = run.next_url;
+        const { jobs, pagination } = await timed(run, "parse_ms", () => {
+            const parsed = source.parseListing(result.html, pageUrl);
+            for (const job of parsed) {
+                job.guid = source.guid(job);
+                job.source = source.id;
+            }
+            return { jobs: parsed, pagination: source.parsePagination(result.html, pageUrl) };
+        });
+        tallyListing(run.metrics, jobs);
+        run.jobs_found += jobs.length;
+
+        // IMMEDIATELY save jobs to database
+        if (jobs.length > 0) {
+            const { inserted, updated, unchanged, errors } = await timed(run, "store_ms", () => storeJobsBasic(env, jobs, run.id));
+            run.jobs_inserted += inserted;
+            run.jobs_updated += updated;
+            run.jobs_unchanged += unchanged;
+            run.store_errors += errors.length;
+            console.log(`Page ${pageNumber}: ${jobs.length} found, ${inserted} new, ${updated} changed, ${unchanged} unchanged, ${errors.length} failed`);
         }
 
-        // Check for high failure rate (more than 50% of first-page fetches failed)
-        const failureRate = fetchAttempts > 0 ? (wafBlocks + fetchErrors) / fetchAttempts : 0;
-        if (failureRate > 0.5 && totalFound === 0) {
-            const errorMsg = `High fetch failure rate (${Math.round(failureRate * 100)}%) with 0 jobs found. WAF blocks: ${wafBlocks}, errors: ${fetchErrors}`;
-            console.error(errorMsg);
-            await logScrapeComplete(env, logId, totalFound, totalInserted, totalUpdated, "failed", errorMsg, sampleHtml);
-            return {
-                success: false,
-                error: errorMsg,
-                stats: { found: 0, inserted: 0, updated: 0, wafBlocks, fetchErrors },
-            };
+        // Checkpoint the cursor at the next page
+        run.next_url = pagination.hasMore && pagination.nextUrl ? pagination.nextUrl : null;
+        await saveRun(env, run);
+
+        if (run.next_url) {
+            await pause(env);
         }
+    }
 
-        // Check for parser failure - page loaded but found no jobs (likely HTML structure changed)
-        if (fetchSuccesses > 0 && totalFound === 0) {
-            const errorMsg = `Parser found 0 jobs despite ${fetchSuccesses} successful page fetches. HTML structure may have changed. Check sample_html for debugging.`;
-            console.error(errorMsg);
-            await logScrapeComplete(env, logId, totalFound, totalInserted, totalUpdated, "failed", errorMsg, sampleHtml);
-            return {
-                success: false,
-                error: errorMsg,
-                stats: { found: 0, inserted: 0, updated: 0, wafBlocks, fetchErrors, fetchSuccesses },
-            };
+    if (run.next_url && run.pages_fetched >= CONFIG.scraper.maxListingPages) {
+        console.error(`Stopping listing at page limit (${CONFIG.scraper.maxListingPages})`);
+        run.next_url = null;
+        run.listing_truncated = true;
+    }
+
+    if (!run.next_url) {
+        await finishListingPhase(env, run);
+    }
+}
+
+/**
+ * Validate the completed listing and queue detail pages for enrichment
+ */
+async function finishListingPhase(env, run) {
+    console.log(`Listing scrape complete: ${run.jobs_found} jobs found`);
+    console.log(`Fetch stats: ${run.fetch_successes}/${run.fetch_attempts} succeeded, ${run.waf_blocks} WAF blocks, ${run.fetch_errors} errors`);
+
+    // Check for WAF blocking pattern - if we had WAF blocks and no successful fetches with jobs
+    if (run.waf_blocks > 0 && run.fetch_successes === 0) {
+        failRun(run, `All fetch attempts were blocked by WAF (${run.waf_blocks} blocks)`);
+        return;
+    }
+
+    // Check for high failure rate (more than 50% of first-page fetches failed)
+    const failureRate = run.fetch_attempts > 0 ? (run.waf_blocks + run.fetch_errors) / run.fetch_attempts : 0;
+    if (failureRate > 0.5 && run.jobs_found === 0) {
+        failRun(run, `High fetch failure rate (${Math.round(failureRate * 100)}%) with 0 jobs found. WAF blocks: ${run.waf_blocks}, errors: ${run.fetch_errors}`);
+        return;
+    }
+
+    // Check for parser failure - page loaded but found no jobs (likely HTML structure changed)
+    if (run.fetch_successes > 0 && run.jobs_found === 0) {
+        failRun(run, `Parser found 0 jobs despite ${run.fetch_successes} successful page fetches. HTML structure may have changed. Check sample_html for debugging.`);
+        return;
+    }
+
+    // Jobs absent from a complete full listing have been taken down
+    if (run.url_type === "full" && !run.listing_truncated) {
+        await markWithdrawnJobs(env, run);
+    }
+
+    // Queue detail pages for this source's jobs that need them
+    const queued = await env.DB.prepare(`
+        INSERT OR IGNORE INTO scrape_queue (scrape_log_id, job_id, url)
+        SELECT ?, id, source_url FROM jobs
+        WHERE source = ? AND ${NEEDS_DETAILS_WHERE}
+        ORDER BY scraped_at DESC
+        LIMIT ?
+    `).bind(run.id, run.source, CONFIG.scraper.maxDetailsPerRun).run();
+
+    // Then revisit already-enriched active jobs that are due a re-check, so edits
+    // (amended closing dates, salaries) are picked up; changes land in job_revisions
+    const rechecks = await env.DB.prepare(`
+        INSERT OR IGNORE INTO scrape_queue (scrape_log_id, job_id, url)
+        SELECT ?, id, source_url FROM jobs
+        WHERE source = ? AND is_active = 1 AND source_url IS NOT NULL
+          AND ${RECHECK_DUE_WHERE}
+        ORDER BY ${RECHECK_ORDER}
+        LIMIT ?
+    `).bind(
+        run.id,
+        run.source,
+        CONFIG.scraper.recheckAfterDays,
+        islandToday(),
+        CONFIG.scraper.recheckClosingSoonDays,
+        CONFIG.scraper.recheckClosingSoonHours,
+        islandToday(),
+        CONFIG.scraper.recheckClosingSoonDays,
+        CONFIG.scraper.maxRechecksPerRun
+    ).run();
+
+    const queuedRechecks = rechecks.meta?.changes || 0;
+    run.details_total = (queued.meta?.changes || 0) + queuedRechecks;
+    run.phase = "enrichment";
+    console.log(`Queued ${run.details_total} jobs for detail enrichment (${queuedRechecks} re-checks)`);
+}
+
+/**
+ * Enrichment phase - drain the run's detail queue within the remaining budget
+ */
+async function runEnrichmentPhase(env, run, budget) {
+    // A detail fetch can take two subrequests when it follows a jobtrain link
+    const batchSize = Math.floor(budget.remaining / 2);
+
+    const pending = batchSize > 0 ? await env.DB.prepare(`
+        SELECT q.id AS queue_id, q.attempts, j.id, j.source, j.source_url, j.readvertised_from, j.posted_date,
+               ${[...DETAIL_VALIDATORS, ...TRACKED_FIELDS].map(f => `j.${f}`).join(", ")}
+        FROM scrape_queue q
+        JOIN jobs j ON j.id = q.job_id
+        WHERE q.scrape_log_id = ? AND q.status = 'pending'
+        ORDER BY q.id
+        LIMIT ?
+    `).bind(run.id, batchSize).all() : { results: [] };
+
+    const items = pending.results || [];
+    console.log(`Enriching ${items.length} queued jobs (${run.details_done}/${run.details_total} done)`);
+
+    const updateQueue = env.DB.prepare(`
+        UPDATE scrape_queue
+        SET status = ?, attempts = attempts + 1, last_error = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `);
+
+    // Fetch and parse each page, then write the whole batch at once
+    const entries = [];
+    let abandoned = false;
+    for (const item of items) {
+        if (budget.remaining < 2) break;
+
+        const maxAttempts = Math.min(CONFIG.scraper.fetchMaxAttempts, Math.floor(budget.remaining / 2));
+        const result = await enrichJob(env, item, run.id, run, { maxAttempts });
+        budget.remaining -= result.fetches;
+        run.fetch_retries += result.retries;
+
+        // Blocked or told to back off: leave the item queued (without using up
+        // an attempt) and pause the run
+        if (needsCoolDown(result)) {
+            if (result.wafBlocked) run.waf_blocks++;
+            abandoned = !coolDownRun(run, result);
+            break;
         }
 
-        // Fetch detailed info for jobs that need it (unless we've hit subrequest limits)
-        if (!skipEnrichment) {
-            await enrichJobDetails(env, logId);
+        let status = "done";
+        if (result.disallowed) {
+            status = "failed";
+        } else if (!result.enriched) {
+            // Retry on a later invocation until attempts run out
+            status = item.attempts + 1 >= CONFIG.scraper.maxDetailAttempts ? "failed" : "pending";
         }
+        entries.push({ item, result, status });
 
-        // Mark expired jobs
-        await markExpiredJobs(env);
+        // Rate limit
+        await pause(env);
+    }
 
-        // Log completion
-        await logScrapeComplete(env, logId, totalFound, totalInserted, totalUpdated, "success", null, sampleHtml);
+    const failures = await timed(run, "store_ms", () => writeGroups(env, entries.map(({ item, result, status }) => ({
+        key: item.queue_id,
+        statements: [
+            ...(result.write?.statements || []),
+            updateQueue.bind(status, result.error, item.queue_id),
+        ],
+    }))));
+
+    for (const { item, result, status } of entries) {
+        const storeError = failures.get(item.queue_id);
+        if (storeError) {
+            // The detail write and its queue update were rolled back together
+            const retryStatus = item.attempts + 1 >= CONFIG.scraper.maxDetailAttempts ? "failed" : "pending";
+            await updateQueue.bind(retryStatus, `store failed: ${storeError}`, item.queue_id).run();
+            run.store_errors++;
+            if (retryStatus === "failed") run.details_failed++;
+            continue;
+        }
 
-        const duration = (new Date() - startTime) / 1000;
-        console.log(`Scrape completed in ${duration}s: ${totalInserted} inserted, ${totalUpdated} updated`);
+        if (status === "done") {
+            run.details_done++;
+            if (result.unchanged) {
+                run.details_unchanged++;
+                continue;
+            }
+            // An edit, as opposed to a first fill of an empty field
+            if (result.write.changes.some(change => change.old_value !== null)) {
+                run.details_changed++;
+            }
+            tallyDetail(run.metrics, result.fields);
+            await afterDetailsWritten(env, item, result.write);
+        } else if (status === "failed") {
+            run.details_failed++;
+        }
+    }
 
-        return {
-            success: true,
-            message: `Scraped ${totalFound} jobs`,
-            stats: {
-                found: totalFound,
-                inserted: totalInserted,
-                updated: totalUpdated,
-                duration: `${duration.toFixed(1)}s`,
-                fetchAttempts,
-                fetchSuccesses,
-                wafBlocks,
-                fetchErrors,
-            },
-        };
-    } catch (error) {
-        console.error("Scrape error:", error);
+    if (abandoned) {
+        const dropped = await env.DB.prepare(`
+            UPDATE scrape_queue
+            SET status = 'failed', last_error = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE scrape_log_id = ? AND status = 'pending'
+        `).bind(`abandoned after ${run.cooldowns} cool-downs`, run.id).run();
+        run.details_failed += dropped.meta?.changes || 0;
+        console.error(`Abandoned ${dropped.meta?.changes || 0} queued detail pages after ${run.cooldowns} cool-downs`);
+    }
 
-        if (logId) {
-            await logScrapeComplete(env, logId, totalFound, totalInserted, totalUpdated, "failed", error.message, sampleHtml);
-        }
+    const remaining = await env.DB.prepare(`
+        SELECT COUNT(*) AS count FROM scrape_queue
+        WHERE scrape_log_id = ? AND status = 'pending'
+    `).bind(run.id).first();
 
-        return {
-            success: false,
-            error: error.message,
-            stats: { found: totalFound, inserted: totalInserted, updated: totalUpdated, wafBlocks, fetchErrors },
-        };
+    if ((remaining?.count || 0) === 0) {
+        console.log(`Enrichment complete: ${run.details_done}/${run.details_total} enriched, ${run.details_failed} failed`);
+        run.phase = "complete";
     }
 }
 
 /**
- * Check if the jobs table is empty
+ * Mark a run as failed and finished
  */
-async function isEmptyDatabase(env) {
-    try {
-        const result = await env.DB.prepare("SELECT COUNT(*) as count FROM jobs").first();
-        return result.count === 0;
-    } catch (error) {
-        console.error("Error checking database:", error);
-        return true;
+function failRun(run, errorMessage) {
+    console.error(errorMessage);
+    run.status = "failed";
+    run.error_message = errorMessage;
+    run.phase = "done";
+}
+
+/**
+ * Wait between requests; replayed responses don't reach the site, so don't wait for them
+ */
+async function pause(env) {
+    if (!isReplaying(env)) {
+        await sleep(CONFIG.scraper.requestDelayMs);
     }
 }
 
 /**
- * Fetch a single page with browser-like headers
- * @returns {{ html: string|null, rawText: string|null, error: string|null, wafBlocked: boolean }}
+ * Whether a failed fetch should pause the run rather than count as an error:
+ * WAF blocks, and Retry-After delays too long to wait out in this invocation
  */
-async function fetchPage(url) {
-    try {
-        // Build headers with Referer to help pass WAF checks
-        const headers = getBrowserHeaders();
-        // Add Referer header - WAFs often check this
-        const urlObj = new URL(url);
-        headers["Referer"] = `${urlObj.origin}/`;
-        headers["Origin"] = urlObj.origin;
-
-        const response = await fetch(url, {
-            method: "GET",
-            headers,
-            redirect: "follow",
-        });
+function needsCoolDown(result) {
+    return result.wafBlocked || (result.retryAfterMs ?? 0) > CONFIG.scraper.fetchRetryMaxDelayMs;
+}
 
-        if (!response.ok) {
-            console.error(`HTTP error ${response.status} for ${url}`);
-            return { html: null, rawText: null, error: `HTTP ${response.status}`, wafBlocked: false };
-        }
+/**
+ * Pause a run; continueScrape skips it until cooldown_until has passed
+ * @returns {boolean} false if the run has used up its cool-downs
+ */
+function coolDownRun(run, result) {
+    if (run.cooldowns >= CONFIG.scraper.maxCooldowns) {
+        return false;
+    }
 
-        const text = await response.text();
+    const delayMs = result.wafBlocked ? CONFIG.scraper.wafCooldownMinutes * 60 * 1000 : result.retryAfterMs;
+    run.cooldowns++;
+    run.cooldown_until = new Date(Date.now() + delayMs).toISOString().replace("T", " ").substring(0, 19);
+    console.error(`Cooling down run ${run.id} until ${run.cooldown_until} UTC (${result.error}; cool-down ${run.cooldowns}/${CONFIG.scraper.maxCooldowns})`);
+    return true;
+}
 
-        // Detect WAF block pages (gov.im uses F5/Volterra WAF)
-        if (text.includes("Request Rejected") || text.includes("URL was rejected")) {
-            console.error(`WAF blocked request for ${url}`);
-            return { html: null, rawText: text, error: "WAF blocked", wafBlocked: true };
-        }
+/**
+ * Whether a run's cool-down is still in effect (cooldown_until is UTC, as stored by SQLite)
+ */
+function isCoolingDown(run) {
+    return Boolean(run.cooldown_until) && new Date(`${run.cooldown_until.replace(" ", "T")}Z`) > new Date();
+}
+
+/**
+ * Summarise run progress for API responses
+ */
+function getRunStats(run, startTime) {
+    const duration = (new Date() - startTime) / 1000;
+    return {
+        source: run.source,
+        found: run.jobs_found,
+        inserted: run.jobs_inserted,
+        updated: run.jobs_updated,
+        unchanged: run.jobs_unchanged,
+        duration: `${duration.toFixed(1)}s`,
+        phase: run.phase,
+        invocations: run.invocations,
+        pagesFetched: run.pages_fetched,
+        detailsTotal: run.details_total,
+        detailsDone: run.details_done,
+        detailsFailed: run.details_failed,
+        detailsUnchanged: run.details_unchanged,
+        detailsChanged: run.details_changed,
+        fetchAttempts: run.fetch_attempts,
+        fetchSuccesses: run.fetch_successes,
+        wafBlocks: run.waf_blocks,
+        fetchErrors: run.fetch_errors,
+        fetchRetries: run.fetch_retries,
+        cooldowns: run.cooldowns,
+        resumeAt: run.cooldown_until || null,
+        storeErrors: run.store_errors,
+        // Cumulative across the run's invocations
+        timings: {
+            fetchMs: run.fetch_ms,
+            parseMs: run.parse_ms,
+            storeMs: run.store_ms,
+        },
+    };
+}
 
-        return { html: text, rawText: text, error: null, wafBlocked: false };
+/**
+ * Check if the jobs table has no jobs from a source
+ */
+async function isEmptyDatabase(env, sourceId) {
+    try {
+        const result = await env.DB.prepare("SELECT COUNT(*) as count FROM jobs WHERE source = ?").bind(sourceId).first();
+        return result.count === 0;
     } catch (error) {
-        console.error(`Fetch error for ${url}:`, error.message);
-        return { html: null, rawText: null, error: error.message, wafBlocked: false };
+        console.error("Error checking database:", error);
+        return true;
     }
 }
 
 /**
  * Store jobs with basic info immediately (for real-time display)
+ * Each job is classified as new, changed or unchanged against its stored row.
+ * Unchanged jobs only have last_seen_at touched, so updated_at keeps meaning
+ * "last time the listing data actually changed".
+ * Field changes on existing jobs are recorded in job_revisions against logId.
+ * Writes go to D1 in chunked batches; a job that fails to store is reported in `errors`.
+ * @returns {{ inserted: number, updated: number, unchanged: number, errors: Array<{ guid: string, title: string, error: string }> }}
  */
-async function storeJobsBasic(env, jobs) {
+async function storeJobsBasic(env, jobs, logId = null) {
     let inserted = 0;
     let updated = 0;
+    let unchanged = 0;
+    const errors = [];
 
     const stmt = env.DB.prepare(`
         INSERT INTO jobs (
             title, employer, location,
+            place, parish, region, latitude, longitude,
             salary_text, salary_min, salary_max, salary_type,
             job_type, classification, area, hours_option, hours_type,
             posted_date, closing_date,
             summary,
             source_url,
-            guid, scraped_at, updated_at, is_active
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            source, guid, scraped_at, updated_at, is_active, last_seen_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
         ON CONFLICT(guid) DO UPDATE SET
             title = excluded.title,
             employer = COALESCE(excluded.employer, jobs.employer),
             location = COALESCE(excluded.location, jobs.location),
+            -- The place is read from the location, so it follows a listed location
+            place = CASE WHEN excluded.location IS NULL THEN jobs.place ELSE excluded.place END,
+            parish = CASE WHEN excluded.location IS NULL THEN jobs.parish ELSE excluded.parish END,
+            region = CASE WHEN excluded.location IS NULL THEN jobs.region ELSE excluded.region END,
+            latitude = CASE WHEN excluded.location IS NULL THEN jobs.latitude ELSE excluded.latitude END,
+            longitude = CASE WHEN excluded.location IS NULL THEN jobs.longitude ELSE excluded.longitude END,
             salary_text = COALESCE(excluded.salary_text, jobs.salary_text),
             salary_min = COALESCE(excluded.salary_min, jobs.salary_min),
             salary_max = COALESCE(excluded.salary_max, jobs.salary_max),
@@ -268,7 +656,16 @@ async function storeJobsBasic(env, jobs) {
             hours_option = COALESCE(excluded.hours_option, jobs.hours_option),
             hours_type = COALESCE(excluded.hours_type, jobs.hours_type),
             updated_at = excluded.updated_at,
-            is_active = 1
+            -- Reappearing in the listing reopens expired/withdrawn jobs, but a
+            -- detail page that said "filled" outranks a stale listing entry
+            is_active = CASE WHEN jobs.closed_reason = 'filled' THEN 0 ELSE 1 END,
+            closed_reason = CASE WHEN jobs.closed_reason = 'filled' THEN jobs.closed_reason ELSE NULL END,
+            closed_at = CASE WHEN jobs.closed_reason = 'filled' THEN jobs.closed_at ELSE NULL END,
+            last_seen_at = excluded.last_seen_at
+    `);
+
+    const touchStmt = env.DB.prepare(`
+        UPDATE jobs SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?
     `);
 
     const now = new Date().toISOString();
@@ -276,57 +673,178 @@ async function storeJobsBasic(env, jobs) {
     // Helper to convert undefined to null (D1 doesn't accept undefined)
     const n = (v) => v === undefined ? null : v;
 
+    const existingByGuid = await getJobsByGuid(env, jobs.map(job => job.guid));
+
+    // Classify every job, then write them all in batches
+    const groups = [];
+    const seen = new Set();
     for (const job of jobs) {
-        try {
-            await stmt.bind(
-                n(job.title),
-                n(job.employer),
-                n(job.location),
-                n(job.salary_text),
-                n(job.salary_min),
-                n(job.salary_max),
-                n(job.salary_type),
-                n(job.job_type),
-                n(job.classification),
-                n(job.area),
-                n(job.hours_option),
-                n(job.hours_type),
-                n(job.posted_date) || now.split("T")[0],
-                n(job.closing_date),
-                n(job.summary),
-                n(job.source_url),
-                n(job.guid),
-                now,
-                now,
-                1
-            ).run();
-            inserted++;
-        } catch (error) {
-            if (error.message?.includes("UNIQUE constraint")) {
-                updated++;
-            } else {
-                console.error(`Error storing job ${job.title}:`, error.message);
+        // A job listed twice on one page is stored once
+        if (seen.has(job.guid)) {
+            groups.push({ key: job.guid, job, outcome: "unchanged", statements: [] });
+            continue;
+        }
+        seen.add(job.guid);
+
+        const existing = existingByGuid.get(job.guid);
+        // Place, parish, region and coordinates for the listed location
+        const place = resolvePlace(job.location);
+
+        let changes = [];
+        if (existing) {
+            const listed = job.location ? { ...job, ...place } : job;
+            changes = diffJobFields(existing, pickListingFields(listed), { overwrite: job.location ? PLACE_COLUMNS : [] });
+            const reopens = !existing.is_active && existing.closed_reason !== "filled";
+
+            if (changes.length === 0 && !reopens) {
+                groups.push({ key: job.guid, job, outcome: "unchanged", statements: [touchStmt.bind(existing.id)] });
+                continue;
             }
         }
+
+        groups.push({
+            key: job.guid,
+            job,
+            outcome: existing ? "updated" : "inserted",
+            statements: [
+                stmt.bind(
+                    n(job.title),
+                    n(job.employer),
+                    n(job.location),
+                    place.place,
+                    place.parish,
+                    place.region,
+                    place.latitude,
+                    place.longitude,
+                    n(job.salary_text),
+                    n(job.salary_min),
+                    n(job.salary_max),
+                    n(job.salary_type),
+                    n(job.job_type),
+                    n(job.classification),
+                    n(job.area),
+                    n(job.hours_option),
+                    n(job.hours_type),
+                    n(job.posted_date) || islandToday(),
+                    n(job.closing_date),
+                    n(job.summary),
+                    n(job.source_url),
+                    job.source || DEFAULT_SOURCE_ID,
+                    n(job.guid),
+                    now,
+                    now,
+                    1
+                ),
+                ...(existing ? buildRevisionStatements(env, existing.id, changes, logId) : []),
+            ],
+        });
+    }
+
+    const failures = await writeGroups(env, groups);
+
+    for (const group of groups) {
+        if (failures.has(group.key) && group.statements.length > 0) {
+            console.error(`Error storing job ${group.job.title}:`, failures.get(group.key));
+            errors.push({ guid: group.job.guid, title: group.job.title, error: failures.get(group.key) });
+        } else if (group.outcome === "inserted") {
+            inserted++;
+        } else if (group.outcome === "updated") {
+            updated++;
+        } else {
+            unchanged++;
+        }
     }
 
-    return { inserted, updated };
+    return { inserted, updated, unchanged, errors };
 }
 
+/**
+ * Look up stored jobs by GUID, in chunks that stay under D1's bound-parameter limit
+ * @returns {Promise<Map<string, Object>>} Job rows by GUID
+ */
+async function getJobsByGuid(env, guids) {
+    const rows = new Map();
+    const unique = [...new Set(guids.filter(Boolean))];
+
+    for (let i = 0; i < unique.length; i += GUID_LOOKUP_CHUNK) {
+        const chunk = unique.slice(i, i + GUID_LOOKUP_CHUNK);
+        const result = await env.DB.prepare(`
+            SELECT id, guid, is_active, closed_reason, ${TRACKED_FIELDS.join(", ")}
+            FROM jobs WHERE guid IN (${chunk.map(() => "?").join(", ")})
+        `).bind(...chunk).all();
+
+        for (const row of result.results || []) {
+            rows.set(row.guid, row);
+        }
+    }
+
+    return rows;
+}
+
+// D1 allows up to 100 bound parameters per statement
+const GUID_LOOKUP_CHUNK = 90;
+
+// Gazetteer columns resolved from a job's location (see places.js)
+const PLACE_COLUMNS = ["place", "parish", "region", "latitude", "longitude"];
+
+// Columns the listing upsert writes (the rest come from detail pages)
+const LISTING_FIELDS = [
+    "title", "employer", "location", ...PLACE_COLUMNS,
+    "salary_text", "salary_min", "salary_max",
+    "closing_date", "summary",
+    "classification", "hours_option", "hours_type",
+];
+
+/**
+ * Pick the fields of a listed job that storeJobsBasic would write
+ */
+function pickListingFields(job) {
+    return Object.fromEntries(
+        LISTING_FIELDS.filter(field => field in job).map(field => [field, job[field]])
+    );
+}
+
+// Selection for jobs that need detail enrichment:
+// 1. No description yet
+// 2. Description is just a jobtrain redirect (needs enrichment)
+const NEEDS_DETAILS_WHERE = `
+    source_url IS NOT NULL
+    AND (description IS NULL
+         OR (description LIKE '%jobtrain.co.uk%'
+             AND length(description) < 500))
+`;
+
+// Active jobs due a detail re-check: not checked for recheckAfterDays, or closing
+// within recheckClosingSoonDays and not checked for recheckClosingSoonHours.
+// Binds: recheckAfterDays, islandToday(), recheckClosingSoonDays, recheckClosingSoonHours
+const RECHECK_DUE_WHERE = `
+    (COALESCE(detail_checked_at, scraped_at) < datetime('now', '-' || ? || ' days')
+     OR (closing_date IS NOT NULL
+         AND closing_date <= date(?, '+' || ? || ' days')
+         AND COALESCE(detail_checked_at, scraped_at) < datetime('now', '-' || ? || ' hours')))
+`;
+
+// Closing soonest first, then least recently checked. Binds: islandToday(), recheckClosingSoonDays
+const RECHECK_ORDER = `
+    CASE WHEN closing_date IS NOT NULL AND closing_date <= date(?, '+' || ? || ' days') THEN 0 ELSE 1 END,
+    closing_date,
+    COALESCE(detail_checked_at, scraped_at)
+`;
+
+// What a job's detail page was last fetched as, for skipping unchanged pages
+const DETAIL_VALIDATORS = ["detail_hash", "detail_etag", "detail_last_modified"];
+
 /**
  * Enrich jobs with detailed information (fetches detail pages)
- * @returns {{ enriched: number, attempted: number, failed: number, sampleHtml: string|null }}
+ * Stops early on a WAF block or a long Retry-After; the next run picks up the rest.
+ * Pages that haven't changed since they were last fetched count as enriched (and unchanged).
+ * @returns {{ enriched: number, attempted: number, failed: number, unchanged: number, sampleHtml: string|null,
+ *   retries: number, wafBlocks: number, stoppedEarly: string|null, timings: Object }}
  */
 async function enrichJobDetails(env, logId) {
-    // Get jobs that need detail enrichment:
-    // 1. No description yet
-    // 2. Description is just a jobtrain redirect (needs enrichment)
     const jobsNeedingDetails = await env.DB.prepare(`
-        SELECT id, title, source_url, description FROM jobs
-        WHERE source_url IS NOT NULL
-          AND (description IS NULL
-               OR (description LIKE '%jobtrain.co.uk%'
-                   AND length(description) < 500))
+        SELECT id, source, source_url, readvertised_from, posted_date, ${[...DETAIL_VALIDATORS, ...TRACKED_FIELDS].join(", ")} FROM jobs
+        WHERE ${NEEDS_DETAILS_WHERE}
         ORDER BY scraped_at DESC
         LIMIT 100
     `).all();
@@ -337,172 +855,570 @@ async function enrichJobDetails(env, logId) {
     let enriched = 0;
     let attempted = 0;
     let failed = 0;
+    let unchanged = 0;
+    let retries = 0;
+    let wafBlocks = 0;
+    let stoppedEarly = null;
     let sampleHtml = null;
-
-    for (const job of jobs) {
-        try {
-            console.log(`Fetching details for: ${job.title?.substring(0, 50)}`);
-            attempted++;
-
-            const result = await fetchPage(job.source_url);
-
-            // Capture first response for debugging
-            if (sampleHtml === null && result.rawText) {
-                sampleHtml = result.rawText;
-            }
-            if (!result.html) {
-                console.log(`  ✗ Failed to fetch: ${result.error || 'unknown error'}`);
+    const tally = emptyTally();
+    const timings = { fetch_ms: 0, parse_ms: 0, store_ms: 0 };
+
+    // Write in chunks as we go so a timeout doesn't lose a long run's work
+    let pending = [];
+    const flush = async () => {
+        const failures = await timed(timings, "store_ms", () => writeGroups(env, pending.map(({ job, result }) => ({
+            key: job.id,
+            statements: result.write.statements,
+        }))));
+        for (const { job, result } of pending) {
+            if (failures.has(job.id)) {
+                console.error(`  ✗ Failed to store details for job ${job.id}: ${failures.get(job.id)}`);
                 failed++;
                 continue;
             }
-            const html = result.html;
-            let details = parseJobDetail(html);
-            let info = details.additional_info || {};
-
-            // Check if the description is just a jobtrain redirect
-            // If so, fetch the full content from jobtrain
-            if (isJobtrainRedirect(details.description)) {
-                const jobtrainUrl = extractJobtrainUrl(details.description);
-                if (jobtrainUrl) {
-                    console.log(`  → Fetching jobtrain content: ${jobtrainUrl}`);
-                    await sleep(CONFIG.scraper.requestDelayMs);
-                    const jobtrainResult = await fetchPage(jobtrainUrl);
-                    if (jobtrainResult.html) {
-                        const jobtrainDetails = parseJobtrainDetail(jobtrainResult.html);
-                        if (jobtrainDetails.description) {
-                            // Use jobtrain description as the main description
-                            details.description = jobtrainDetails.description +
-                                "\n\n---\n\nFor more details and to apply, visit:\n" + jobtrainUrl;
-                            details.apply_url = details.apply_url || jobtrainUrl;
-                            // Merge other fields if not already set
-                            if (jobtrainDetails.salary && !info.salary) {
-                                info.salary = jobtrainDetails.salary;
-                            }
-                            if (jobtrainDetails.job_type && !info.job_type) {
-                                info.job_type = jobtrainDetails.job_type;
-                            }
-                            if (jobtrainDetails.closing_date && !info.closing_date) {
-                                info.closing_date = jobtrainDetails.closing_date;
-                            }
-                            if (jobtrainDetails.location && !info.location) {
-                                info.location = jobtrainDetails.location;
-                            }
-                            console.log(`  ✓ Enriched with jobtrain content (${details.description?.length || 0} chars)`);
-                        } else {
-                            console.log(`  ✗ Jobtrain page had no description`);
-                        }
-                    } else {
-                        console.log(`  ✗ Failed to fetch jobtrain: ${jobtrainResult.error || 'unknown'}`);
-                    }
-                }
+            enriched++;
+            if (result.unchanged) {
+                unchanged++;
+                continue;
             }
+            tallyDetail(tally, result.fields);
+            await afterDetailsWritten(env, job, result.write);
+        }
+        pending = [];
+    };
 
-            // Parse salary from detail page
-            let salaryMin = null;
-            let salaryMax = null;
-            let salaryType = null;
-            if (info.salary) {
-                const parsed = parseSalaryRange(info.salary);
-                salaryMin = parsed.min;
-                salaryMax = parsed.max;
-                salaryType = parsed.type;
+    for (const job of jobs) {
+        const result = await enrichJob(env, job, logId, timings);
+        retries += result.retries;
+
+        // Capture first response for debugging
+        if (sampleHtml === null && result.sampleHtml) {
+            sampleHtml = result.sampleHtml;
+        }
+
+        // Don't keep knocking once we've been blocked or told to back off
+        if (needsCoolDown(result)) {
+            if (result.wafBlocked) wafBlocks++;
+            stoppedEarly = result.error;
+            console.error(`Stopping enrichment after ${attempted} jobs: ${result.error}`);
+            break;
+        }
+        attempted++;
+
+        if (result.enriched) {
+            pending.push({ job, result });
+            if (pending.length >= CONFIG.scraper.writeBatchSize) {
+                await flush();
             }
+        } else {
+            failed++;
+        }
+
+        // Rate limit
+        await pause(env);
+    }
+    await flush();
 
-            // Determine hours_type from hours_option
-            let hoursType = null;
-            const hoursLower = (info.hours_option || "").toLowerCase();
-            if (hoursLower.includes("full-time") || hoursLower.includes("full time")) {
-                hoursType = "full-time";
-            } else if (hoursLower.includes("part-time") || hoursLower.includes("part time")) {
-                hoursType = "part-time";
+    // Standalone enrichment covers every source, so its metrics have no source
+    await flushMetrics(env, logId, null, tally);
+
+    console.log(`Enriched ${enriched}/${attempted} jobs (${unchanged} unchanged, ${failed} failed)`);
+    return { enriched, attempted, failed, unchanged, sampleHtml, retries, wafBlocks, stoppedEarly, timings };
+}
+
+/**
+ * Fetch and parse the detail page for a single job and prepare its update
+ * The caller writes `write.statements` (batched with other jobs) and then
+ * calls afterDetailsWritten.
+ * @param {Object} job - Job row (id, source_url, readvertised_from and TRACKED_FIELDS)
+ * @param {Object} timings - fetch_ms / parse_ms counters to add to
+ * @param {Object} options
+ * @param {number} options.maxAttempts - Attempts per page fetch (see fetchPage)
+ * @returns {{ enriched: boolean, unchanged: boolean, fetches: number, retries: number, error: string|null,
+ *   sampleHtml: string|null, fields: Object|null, write: Object|null,
+ *   disallowed?: boolean, wafBlocked?: boolean, retryAfterMs?: number|null }}
+ *   `fetches` counts subrequests; disallowed/wafBlocked/retryAfterMs come from a failed detail fetch.
+ *   `unchanged` pages (304, or same content hash) are not parsed; `write` only records the check.
+ */
+async function enrichJob(env, job, logId, timings, { maxAttempts } = {}) {
+    let fetches = 0;
+    let retries = 0;
+
+    try {
+        console.log(`Fetching details for: ${job.title?.substring(0, 50)}`);
+
+        // A job whose advert lives on a linked page is only unchanged if that page is
+        // too, so its own page is always fetched in full and the linked page checked
+        const linkedBefore = Boolean(job.external_url);
+        const result = await timed(timings, "fetch_ms", () => fetchPage(env, job.source_url, {
+            maxAttempts,
+            etag: linkedBefore ? null : job.detail_etag,
+            lastModified: linkedBefore ? null : job.detail_last_modified,
+        }));
+        fetches += result.subrequests;
+        retries += result.retries;
+
+        if (result.notModified) {
+            console.log("  = Not modified");
+            return { enriched: true, unchanged: true, fetches, retries, error: null, sampleHtml: null, fields: null, write: detailCheckedWrite(env, job, result) };
+        }
+
+        const sampleHtml = result.rawText || null;
+        if (!result.html) {
+            console.log(`  ✗ Failed to fetch: ${result.error || 'unknown error'}`);
+            return {
+                enriched: false,
+                fetches,
+                retries,
+                error: result.error || "unknown error",
+                sampleHtml,
+                fields: null,
+                write: null,
+                unchanged: false,
+                disallowed: result.disallowed,
+                wafBlocked: result.wafBlocked,
+                retryAfterMs: result.retryAfterMs,
+            };
+        }
+        const html = result.html;
+
+        // Same page as last time (the server doesn't do conditional GETs): nothing to parse or update
+        let contentHash = await hashPageContent(html);
+        if (!linkedBefore && job.detail_hash && contentHash === job.detail_hash) {
+            console.log("  = Content unchanged");
+            return { enriched: true, unchanged: true, fetches, retries, error: null, sampleHtml, fields: null, write: detailCheckedWrite(env, job, result) };
+        }
+
+        const source = getSource(job.source) || getSource(DEFAULT_SOURCE_ID);
+        const details = await timed(timings, "parse_ms", () => source.parseDetail(html, job.source_url));
+        details.additional_info = details.additional_info || {};
+
+        // Some sources only link to the full advert on another site (e.g. gov.im → jobtrain)
+        // If so, fetch and parse it with that site's adapter
+        const linkedUrl = source.linkedDetailUrl?.(details) || null;
+        const linkedSource = linkedUrl ? getSourceForUrl(linkedUrl) : null;
+        details.external_url = linkedUrl;
+        let complete = true;
+        if (linkedSource) {
+            console.log(`  → Fetching ${linkedSource.id} content: ${linkedUrl}`);
+            await pause(env);
+            const linkedResult = await timed(timings, "fetch_ms", () => fetchPage(env, linkedUrl, { maxAttempts }));
+            fetches += linkedResult.subrequests;
+            retries += linkedResult.retries;
+            if (linkedResult.html) {
+                const linkedDetails = await timed(timings, "parse_ms", () => linkedSource.parseDetail(linkedResult.html, linkedUrl));
+                linkedDetails.additional_info = linkedDetails.additional_info || {};
+
+                // Hash both pages, so an edit to either one is a change. The linked advert's
+                // parsed fields are hashed rather than its text: salaries and closing dates
+                // are often only in its JSON-LD, which the text hash leaves out
+                contentHash = `${contentHash}+${await sha256Hex(JSON.stringify(linkedDetails))}`;
+                if (job.detail_hash && contentHash === job.detail_hash) {
+                    console.log("  = Content unchanged (with linked advert)");
+                    return { enriched: true, unchanged: true, fetches, retries, error: null, sampleHtml, fields: null, write: detailCheckedWrite(env, job, result) };
+                }
+                if (linkedDetails.description || Object.keys(linkedDetails.additional_info).length > 0) {
+                    mergeLinkedDetails(details, linkedDetails);
+                    console.log(`  ✓ Enriched with ${linkedSource.id} content (${details.description?.length || 0} chars)`);
+                } else {
+                    console.log(`  ✗ ${linkedSource.name} page had no job details`);
+                    complete = false;
+                }
+            } else {
+                console.log(`  ✗ Failed to fetch ${linkedSource.id}: ${linkedResult.error || 'unknown'}`);
+                complete = false;
             }
+        }
+
+        // Without the linked advert the job isn't fully enriched, so don't let
+        // the validators short-circuit the next attempt
+        const write = await prepareJobDetails(env, job, details, {
+            rawHtml: html,
+            logId,
+            overwrite: ["description", "description_markdown", ...DESCRIPTION_SECTION_COLUMNS, "apply_url", "external_url"],
+            validators: complete
+                ? { hash: contentHash, etag: result.etag, lastModified: result.lastModified }
+                : { hash: null, etag: null, lastModified: null },
+        });
 
-            // Store all additional info as JSON (excluding private _label fields)
-            const additionalInfoJson = JSON.stringify(
-                Object.fromEntries(
-                    Object.entries(info).filter(([k]) => !k.startsWith("_"))
-                )
-            );
+        return { enriched: true, unchanged: false, fetches, retries, error: null, sampleHtml, fields: write.fields, write };
+    } catch (error) {
+        console.error(`Error enriching ${job.title}:`, error.message);
+        return { enriched: false, unchanged: false, fetches, retries, error: error.message, sampleHtml: null, fields: null, write: null };
+    }
+}
 
-            // Update job with ALL details + raw HTML for future re-parsing
-            await env.DB.prepare(`
+/**
+ * Write for a detail page that hasn't changed: note when it was checked and
+ * keep its validators current, without touching the job's data or updated_at
+ */
+function detailCheckedWrite(env, job, result) {
+    return {
+        jobId: job.id,
+        changes: [],
+        fields: null,
+        fingerprint: null,
+        filled: false,
+        statements: [
+            env.DB.prepare(`
                 UPDATE jobs SET
-                    description = ?,
-                    apply_url = ?,
-                    employer = COALESCE(?, employer),
-                    location = COALESCE(?, location),
-                    salary_text = COALESCE(?, salary_text),
-                    salary_min = COALESCE(?, salary_min),
-                    salary_max = COALESCE(?, salary_max),
-                    salary_type = COALESCE(?, salary_type),
-                    hours_option = COALESCE(?, hours_option),
-                    hours_type = COALESCE(?, hours_type),
-                    job_type = COALESCE(?, job_type),
-                    closing_date = COALESCE(?, closing_date),
-                    start_date = COALESCE(?, start_date),
-                    reference = COALESCE(?, reference),
-                    contact_name = COALESCE(?, contact_name),
-                    contact_email = COALESCE(?, contact_email),
-                    contact_phone = COALESCE(?, contact_phone),
-                    qualifications = COALESCE(?, qualifications),
-                    experience = COALESCE(?, experience),
-                    benefits = COALESCE(?, benefits),
-                    how_to_apply = COALESCE(?, how_to_apply),
-                    additional_info = ?,
-                    raw_html = ?,
-                    updated_at = CURRENT_TIMESTAMP
+                    detail_etag = COALESCE(?, detail_etag),
+                    detail_last_modified = COALESCE(?, detail_last_modified),
+                    detail_checked_at = CURRENT_TIMESTAMP
                 WHERE id = ?
-            `).bind(
-                details.description,
-                details.apply_url,
-                info.employer || null,
-                info.location || null,
-                info.salary || null,
-                salaryMin,
-                salaryMax,
-                salaryType,
-                info.hours_option || null,
-                hoursType,
-                info.job_type || null,
-                info.closing_date || null,
-                info.start_date || null,
-                info.reference || null,
-                info.contact_name || null,
-                info.contact_email || null,
-                info.contact_phone || null,
-                info.qualifications || null,
-                info.experience || null,
-                info.benefits || null,
-                info.how_to_apply || null,
-                additionalInfoJson,
-                html,
-                job.id
-            ).run();
+            `).bind(result.etag, result.lastModified, job.id),
+        ],
+    };
+}
 
-            enriched++;
+// Columns filled only from the description's sections, so rewritten whenever the description is
+export const DESCRIPTION_SECTION_COLUMNS = ["responsibilities", "essential_criteria", "desirable_criteria"];
+
+/**
+ * Map parsed detail-page output onto jobs columns
+ * Requirement, benefit and application columns come from the page's own fields
+ * when it has them, otherwise from the matching headed section of the description.
+ * @param {Object} details - Adapter parseDetail output ({ description, description_markdown, apply_url, additional_info })
+ * @param {Object} options
+ * @param {string} [options.advertDate] - The job's posted_date, for closing dates given relative to it
+ * @param {string} [options.storedLocation] - The job's current location, placed when the page gives none
+ * @returns {{ fields: Object, additionalInfo: Object }} Column values and the public additional_info
+ */
+export function buildDetailFields(details, { advertDate = null, storedLocation = null } = {}) {
+    const info = details.additional_info || {};
+    const sections = extractSections(details.description_markdown || details.description);
+
+    // Closing date as advertised ("two weeks from advert date", "12 noon on Friday 3 April");
+    // a date filled in from a linked advert settles one that can't be read
+    const closing = parseUkDate(info.closing_date_text, { advertDate });
+    const closingDate = closing.date || info.closing_date;
+    // A structured closing time (JSON-LD validThrough) only belongs to its own day
+    const structuredTime = Boolean(info.closing_at) && info.closing_date === closingDate;
+
+    // Canonical place, parish, region and coordinates for the free-text location
+    // (the listed one when the page has no location row)
+    const place = resolvePlace(info.location || storedLocation);
+
+    // Normalise the salary text; amounts the source gave as structured values win over it
+    const salary = normaliseSalary(info.salary, { hoursText: info.hours_option });
+    if (typeof info.salary_min === "number") {
+        salary.min = info.salary_min;
+        salary.max = info.salary_max ?? info.salary_min;
+        salary.type = info.salary_type || null;
+        salary.annual_min = annualise(salary.min, salary.type);
+        salary.annual_max = annualise(salary.max, salary.type);
+        salary.confidence = 1;
+    }
+
+    // Determine hours_type from hours_option
+    let hoursType = null;
+    const hoursLower = (info.hours_option || "").toLowerCase();
+    if (hoursLower.includes("full-time") || hoursLower.includes("full time")) {
+        hoursType = "full-time";
+    } else if (hoursLower.includes("part-time") || hoursLower.includes("part time")) {
+        hoursType = "part-time";
+    }
+
+    return {
+        fields: {
+            description: details.description,
+            description_markdown: details.description_markdown,
+            apply_url: details.apply_url,
+            employer: info.employer,
+            location: info.location,
+            place: place.place,
+            parish: place.parish,
+            region: place.region,
+            latitude: place.latitude,
+            longitude: place.longitude,
+            salary_text: info.salary,
+            salary_min: salary.min,
+            salary_max: salary.max,
+            salary_type: salary.type,
+            salary_currency: info.salary_currency || salary.currency,
+            salary_annual_min: salary.annual_min,
+            salary_annual_max: salary.annual_max,
+            salary_pro_rata: info.salary ? Number(salary.pro_rata) : null,
+            salary_grade: salary.grade,
+            salary_scheme: salary.scheme,
+            salary_spine_min: salary.spine_min,
+            salary_spine_max: salary.spine_max,
+            salary_confidence: salary.confidence,
+            hours_per_week: salary.hours_per_week,
+            hours_option: info.hours_option,
+            hours_type: hoursType,
+            job_type: info.job_type,
+            employment_types: Array.isArray(info.employment_types) && info.employment_types.length > 0
+                ? JSON.stringify(info.employment_types)
+                : null,
+            closing_date: closingDate,
+            closing_time: closing.time || (structuredTime ? info.closing_time : null),
+            closing_at: closing.date && closing.time
+                ? islandTimestamp(closing.date, closing.time)
+                : (structuredTime ? info.closing_at : null),
+            closing_date_ambiguous: info.closing_date_text ? Number(closing.ambiguous && !info.closing_date) : null,
+            start_date: info.start_date,
+            reference: info.reference,
+            contact_name: info.contact_name,
+            contact_email: info.contact_email,
+            contact_phone: info.contact_phone,
+            qualifications: info.qualifications || sections.qualifications,
+            experience: info.experience || sections.experience,
+            benefits: info.benefits || sections.benefits,
+            how_to_apply: info.how_to_apply || sections.how_to_apply,
+            responsibilities: sections.responsibilities,
+            essential_criteria: sections.essential_criteria,
+            desirable_criteria: sections.desirable_criteria,
+            industry: info.industry,
+            external_id: info.external_id,
+            direct_apply: typeof info.direct_apply === "boolean" ? Number(info.direct_apply) : null,
+            external_url: details.external_url,
+        },
+        // Store all additional info as JSON (excluding private _label fields)
+        additionalInfo: Object.fromEntries(
+            Object.entries(info).filter(([k]) => !k.startsWith("_"))
+        ),
+    };
+}
+
+/**
+ * Fill in a grade-only salary from the grade's pay scale
+ * Only salaries that state a grade but no amount are resolved, against the
+ * scale in force today; the amounts are the band's full range.
+ * @param {Object} fields - buildDetailFields output, updated in place
+ */
+async function applyPayScale(env, fields) {
+    fields.salary_pay_scale_id = null;
+    if (!fields.salary_grade || fields.salary_annual_min !== null || fields.salary_annual_max !== null) return;
+
+    const scale = await findPayScale(env, fields.salary_scheme, fields.salary_grade, islandToday());
+    if (!scale) return;
+
+    Object.assign(fields, {
+        salary_min: scale.salary_min,
+        salary_max: scale.salary_max,
+        salary_type: "annual",
+        salary_annual_min: scale.salary_min,
+        salary_annual_max: scale.salary_max,
+        salary_scheme: scale.scheme,
+        salary_pay_scale_id: scale.id,
+        // Where in the band the job sits isn't known, and the scheme may have been inferred
+        salary_confidence: fields.salary_scheme ? 0.8 : 0.6,
+    });
+}
+
+/**
+ * Add the columns that must be rewritten along with what was parsed
+ * @param {Object} fields - Column values about to be written
+ * @param {string[]} overwrite - Columns the caller overwrites
+ * @returns {string[]}
+ */
+function withDependentOverwrites(fields, overwrite) {
+    const columns = [...overwrite];
+    // The pay scale link describes the amounts, so it goes whenever they are rewritten
+    if (fields.salary_min !== null || fields.salary_max !== null) columns.push("salary_pay_scale_id");
+    // The closing time belongs to the closing date it was read with, and an ambiguous
+    // closing date clears the old one rather than leaving an earlier guess
+    if (fields.closing_date_ambiguous) columns.push("closing_date");
+    if (fields.closing_date || fields.closing_date_ambiguous) columns.push("closing_time", "closing_at");
+    // The place is read from the location, so a new location clears a place it no longer names
+    if (fields.location) columns.push(...PLACE_COLUMNS);
+    return columns;
+}
+
+/**
+ * Prepare the statements that write parsed detail-page fields to a job
+ * Fields in `overwrite` are written as-is (null clears them); all others keep
+ * their current value when the parser found nothing.
+ * @param {Object} job - Current job row (id, title, readvertised_from, posted_date and TRACKED_FIELDS)
+ * @param {Object} details - Adapter parseDetail output
+ * @param {Object} options - { rawHtml, logId, overwrite, validators }
+ *   validators ({ hash, etag, lastModified }) describe the fetched page; omitted when re-parsing
+ * @returns {Promise<{ jobId: number, changes: Array, fields: Object, fingerprint: string|null, filled: boolean, statements: Array }>}
+ */
+async function prepareJobDetails(env, job, details, { rawHtml = null, logId = null, overwrite = [], validators = null } = {}) {
+    const { fields, additionalInfo } = buildDetailFields(details, { advertDate: job.posted_date, storedLocation: job.location });
+    await applyPayScale(env, fields);
+    overwrite = withDependentOverwrites(fields, overwrite);
+
+    // Record field changes against the current values before overwriting them
+    const changes = diffJobFields(job, fields, { overwrite });
+
+    // Fingerprint for re-advertisement detection (same role under a new GUID)
+    const fingerprint = await fingerprintJob({
+        title: job.title,
+        employer: fields.employer || job.employer,
+        reference: fields.reference || job.reference,
+        description: overwrite.includes("description") ? fields.description : (fields.description || job.description),
+    });
+
+    const columns = Object.keys(fields);
+    const assignments = columns.map(column =>
+        overwrite.includes(column) ? `${column} = ?` : `${column} = COALESCE(?, ${column})`
+    );
+    // Empty strings are "not found"; 0 is a real value (e.g. direct_apply)
+    const values = columns.map(column => (fields[column] === "" ? null : fields[column] ?? null));
+
+    // Freshly fetched pages record what they were fetched as (re-parses keep the old values)
+    if (validators) {
+        assignments.push("detail_hash = ?", "detail_etag = ?", "detail_last_modified = ?", "detail_checked_at = CURRENT_TIMESTAMP");
+        values.push(validators.hash, validators.etag, validators.lastModified);
+    }
+
+    // Update job with ALL details + raw HTML for future re-parsing
+    const statements = [
+        env.DB.prepare(`
+            UPDATE jobs SET
+                ${assignments.join(",\n                ")},
+                additional_info = ?,
+                raw_html = COALESCE(?, raw_html),
+                fingerprint = COALESCE(?, fingerprint),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).bind(
+            ...values,
+            JSON.stringify(additionalInfo),
+            rawHtml,
+            fingerprint,
+            job.id
+        ),
+        ...buildRevisionStatements(env, job.id, changes, logId),
+    ];
+
+    // The description or a notice on the page, never the page's other text
+    const filled = isVacancyFilled(fields.description) || (rawHtml !== null && isVacancyFilled(extractStatusText(rawHtml)));
+    if (filled) {
+        statements.push(markFilledStatement(env, job.id));
+    }
+
+    return { jobId: job.id, changes, fields, fingerprint, filled, statements };
+}
+
+/**
+ * Follow-up work once a job's detail statements have been written
+ * Re-advertisement lookup reads other jobs' fingerprints, so it runs after the batch
+ */
+async function afterDetailsWritten(env, job, write) {
+    if (write.filled) {
+        console.log(`  ✓ Job ${write.jobId} marked as filled`);
+    }
+
+    if (write.fingerprint && !job.readvertised_from) {
+        await linkReadvertisement(env, write.jobId, write.fingerprint);
+    }
+}
 
-            // Rate limit
-            await sleep(CONFIG.scraper.requestDelayMs);
+/**
+ * Write parsed detail-page fields to a single job, recording revisions
+ * @param {Object} job - Current job row (id, title, readvertised_from, posted_date and TRACKED_FIELDS)
+ * @param {Object} details - Adapter parseDetail output
+ * @param {Object} options - { rawHtml, logId, overwrite, dryRun, skipUnchanged }
+ *   dryRun only reports the changes; skipUnchanged writes nothing when no tracked field changed
+ * @returns {Promise<Array>} Field changes (as from diffJobFields)
+ */
+export async function saveJobDetails(env, job, details, { dryRun = false, skipUnchanged = false, ...options } = {}) {
+    const write = await prepareJobDetails(env, job, details, options);
+    if (dryRun || (skipUnchanged && write.changes.length === 0)) {
+        return write.changes;
+    }
+
+    await env.DB.batch(write.statements);
+    await afterDetailsWritten(env, job, write);
+
+    return write.changes;
+}
+
+/**
+ * Run groups of statements in chunked D1 batches
+ * A batch is one transaction, so when a chunk fails its groups are retried one
+ * by one to find the failing rows; the rest are still written.
+ * @param {Array<{ key: *, statements: Array }>} groups - Statements that must succeed or fail together
+ * @returns {Promise<Map<*, string>>} Error message by key for groups that failed
+ */
+async function writeGroups(env, groups) {
+    const failures = new Map();
+    const size = CONFIG.scraper.writeBatchSize;
+
+    for (let i = 0; i < groups.length; i += size) {
+        const chunk = groups.slice(i, i + size).filter(group => group.statements.length > 0);
+        if (chunk.length === 0) continue;
+
+        try {
+            await env.DB.batch(chunk.flatMap(group => group.statements));
         } catch (error) {
-            console.error(`Error enriching ${job.title}:`, error.message);
+            console.error(`Batch write of ${chunk.length} rows failed (${error.message}), retrying individually`);
+            for (const group of chunk) {
+                try {
+                    await env.DB.batch(group.statements);
+                } catch (rowError) {
+                    failures.set(group.key, rowError.message);
+                }
+            }
         }
     }
 
-    console.log(`Enriched ${enriched}/${attempted} jobs (${failed} failed)`);
-    return { enriched, attempted, failed, sampleHtml };
+    return failures;
+}
+
+/**
+ * Add the elapsed time of a step to a timing counter (fetch_ms, parse_ms, store_ms)
+ * Workers only advance the clock on I/O, so CPU-only steps (parsing) read low in production
+ */
+async function timed(timings, key, fn) {
+    const start = Date.now();
+    try {
+        return await fn();
+    } finally {
+        timings[key] = (timings[key] || 0) + (Date.now() - start);
+    }
+}
+
+// Salary fields that come as one structured value from a linked advert
+const LINKED_SALARY_FIELDS = ["salary", "salary_min", "salary_max", "salary_type", "salary_currency"];
+
+// Closing time fields from a linked advert, which only apply to its own closing date
+const LINKED_CLOSING_TIME_FIELDS = ["closing_time", "closing_at"];
+
+/**
+ * Merge details from a linked external advert into the source's details
+ * The linked description replaces a missing or pointer-only description (the
+ * link itself is kept in details.external_url); other fields only fill gaps.
+ * Salary is taken whole or not at all, so a gov.im salary is never mixed with
+ * the linked advert's range, and a closing time only with its own closing date.
+ */
+function mergeLinkedDetails(details, linkedDetails) {
+    const info = details.additional_info;
+    const linkedInfo = linkedDetails.additional_info || {};
+
+    if (linkedDetails.description && (!details.description || isLinkOnlyDescription(details.description))) {
+        details.description = linkedDetails.description;
+        details.description_markdown = linkedDetails.description_markdown;
+    }
+    details.apply_url = details.apply_url || linkedDetails.apply_url || details.external_url;
+
+    const hasSalary = Boolean(info.salary);
+    const otherClosingDate = Boolean(info.closing_date) && info.closing_date !== linkedInfo.closing_date;
+    for (const [field, value] of Object.entries(linkedInfo)) {
+        if (value === null || value === undefined) continue;
+        if (LINKED_SALARY_FIELDS.includes(field) ? hasSalary : info[field]) continue;
+        if (LINKED_CLOSING_TIME_FIELDS.includes(field) && otherClosingDate) continue;
+        info[field] = value;
+    }
 }
 
 /**
- * Mark jobs as inactive if their closing date has passed
+ * Mark jobs as inactive once they have closed: at their closing time if the
+ * advert gave one, otherwise at the end of the closing date on the Island
  */
 async function markExpiredJobs(env) {
     try {
         const result = await env.DB.prepare(`
             UPDATE jobs
-            SET is_active = 0, updated_at = CURRENT_TIMESTAMP
-            WHERE closing_date < date('now')
+            SET is_active = 0, closed_reason = 'expired', closed_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE (closing_at < datetime('now') OR (closing_at IS NULL AND closing_date < ?))
             AND is_active = 1
-        `).run();
+        `).bind(islandToday()).run();
 
         console.log(`Marked ${result.meta?.changes || 0} jobs as expired`);
     } catch (error) {
@@ -510,6 +1426,60 @@ async function markExpiredJobs(env) {
     }
 }
 
+/**
+ * Mark jobs as withdrawn if a complete full listing run didn't see them
+ * Only called after the listing reached its last page without giving up,
+ * so absence means gov.im has taken the job down
+ * @param {Object} run - Completed full listing run (needs id, started_at)
+ */
+async function markWithdrawnJobs(env, run) {
+    try {
+        const candidates = await env.DB.prepare(`
+            SELECT
+                SUM(CASE WHEN last_seen_at IS NULL OR last_seen_at < ? THEN 1 ELSE 0 END) AS missing,
+                COUNT(*) AS active
+            FROM jobs
+            WHERE is_active = 1 AND source = ?
+        `).bind(run.started_at, run.source).first();
+
+        const missing = candidates?.missing || 0;
+        const active = candidates?.active || 0;
+
+        // A listing that silently lost most jobs is more likely a parser problem than mass withdrawal
+        if (active > 0 && missing / active > CONFIG.scraper.maxWithdrawnFraction) {
+            console.error(`Not marking withdrawn jobs: ${missing}/${active} active jobs missing from listing looks like a parse failure`);
+            return 0;
+        }
+
+        const result = await env.DB.prepare(`
+            UPDATE jobs
+            SET is_active = 0, closed_reason = 'withdrawn', closed_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE is_active = 1 AND source = ?
+            AND (last_seen_at IS NULL OR last_seen_at < ?)
+        `).bind(run.source, run.started_at).run();
+
+        const changes = result.meta?.changes || 0;
+        console.log(`Marked ${changes} jobs as withdrawn (missing from full listing)`);
+        return changes;
+    } catch (error) {
+        console.error("Error marking withdrawn jobs:", error);
+        return 0;
+    }
+}
+
+/**
+ * Close a job whose detail page says it has been filled
+ */
+function markFilledStatement(env, jobId) {
+    return env.DB.prepare(`
+        UPDATE jobs
+        SET is_active = 0, closed_reason = 'filled', closed_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).bind(jobId);
+}
+
 /**
  * Log the start of a scrape operation
  */
@@ -527,34 +1497,192 @@ async function logScrapeStart(env, urlType) {
     }
 }
 
+// Columns of scrape_log that make up a run's resumable state
+const RUN_COUNTERS = [
+    "pages_fetched", "cursor_failures", "invocations",
+    "jobs_found", "jobs_inserted", "jobs_updated", "jobs_unchanged",
+    "details_total", "details_done", "details_failed", "details_unchanged", "details_changed",
+    "fetch_attempts", "fetch_successes", "waf_blocks", "fetch_errors",
+    "fetch_retries", "cooldowns",
+    "store_errors", "fetch_ms", "parse_ms", "store_ms",
+];
+
 /**
- * Update scrape progress (for real-time monitoring)
+ * Get the listing scrape run in progress, abandoning any that have stalled
+ * @param {string|null} sourceId - Limit to one source; null picks the least recently advanced
+ *   run that isn't cooling down or leased to another invocation
  */
-async function updateScrapeProgress(env, logId, found, inserted, updated) {
-    if (!logId) return;
+async function getActiveRun(env, sourceId = null) {
+    // A run that hasn't checkpointed for a while was most likely killed mid-invocation
+    // and its cron chain lost; fail it so a fresh run can start
+    await env.DB.prepare(`
+        UPDATE scrape_log
+        SET status = 'failed', phase = 'done', completed_at = CURRENT_TIMESTAMP,
+            error_message = 'Abandoned: no progress for ' || ? || ' hours'
+        WHERE status = 'running' AND url_type IN ('full', 'recent')
+          AND COALESCE(updated_at, started_at) < datetime('now', '-' || ? || ' hours')
+    `).bind(CONFIG.scraper.staleRunHours, CONFIG.scraper.staleRunHours).run();
+
+    const row = sourceId
+        ? await env.DB.prepare(`
+            SELECT * FROM scrape_log
+            WHERE status = 'running' AND url_type IN ('full', 'recent') AND source = ?
+            ORDER BY id DESC
+            LIMIT 1
+        `).bind(sourceId).first()
+        : await env.DB.prepare(`
+            SELECT * FROM scrape_log
+            WHERE status = 'running' AND url_type IN ('full', 'recent')
+              AND (cooldown_until IS NULL OR cooldown_until <= CURRENT_TIMESTAMP)
+              AND (lease_until IS NULL OR lease_until <= CURRENT_TIMESTAMP)
+            ORDER BY COALESCE(updated_at, started_at) ASC
+            LIMIT 1
+        `).first();
+
+    return row ? hydrateRun(row) : null;
+}
+
+/**
+ * Get the run that will come out of cool-down soonest, if any is cooling down
+ */
+async function getCoolingRun(env) {
+    return await env.DB.prepare(`
+        SELECT id, source, cooldown_until FROM scrape_log
+        WHERE status = 'running' AND url_type IN ('full', 'recent')
+          AND cooldown_until > CURRENT_TIMESTAMP
+        ORDER BY cooldown_until ASC
+        LIMIT 1
+    `).first();
+}
 
+/**
+ * Get a run another invocation is advancing, if any
+ */
+async function getLeasedRun(env) {
+    return await env.DB.prepare(`
+        SELECT id, source, lease_until FROM scrape_log
+        WHERE status = 'running' AND url_type IN ('full', 'recent')
+          AND lease_until > CURRENT_TIMESTAMP
+        ORDER BY lease_until ASC
+        LIMIT 1
+    `).first();
+}
+
+/**
+ * Lease a run to this invocation
+ * The conditional UPDATE is atomic in D1, so of two invocations claiming the same
+ * run only one changes the row. A lease left by an invocation that died expires
+ * after runLeaseMinutes.
+ * @returns {Promise<boolean>} Whether this invocation now holds the run
+ */
+async function claimRun(env, run) {
+    const result = await env.DB.prepare(`
+        UPDATE scrape_log
+        SET lease_until = datetime('now', '+' || ? || ' minutes')
+        WHERE id = ? AND status = 'running'
+          AND (lease_until IS NULL OR lease_until <= CURRENT_TIMESTAMP)
+    `).bind(CONFIG.scraper.runLeaseMinutes, run.id).run();
+
+    return result.meta?.changes === 1;
+}
+
+/**
+ * Give up this invocation's lease on a run
+ */
+async function releaseRun(env, run) {
     try {
+        await env.DB.prepare("UPDATE scrape_log SET lease_until = NULL WHERE id = ?").bind(run.id).run();
+    } catch (error) {
+        console.error("Error releasing scrape run:", error);
+    }
+}
+
+/**
+ * Create a new scrape run with its cursor at the first listing page
+ */
+async function createRun(env, sourceId, urlType, startUrl) {
+    const result = await env.DB.prepare(`
+        INSERT INTO scrape_log (source, url_type, status, phase, next_url, updated_at)
+        VALUES (?, ?, 'running', 'listing', ?, CURRENT_TIMESTAMP)
+    `).bind(sourceId, urlType, startUrl).run();
+
+    const row = await env.DB.prepare("SELECT * FROM scrape_log WHERE id = ?")
+        .bind(result.meta?.last_row_id).first();
+    if (!row) {
+        throw new Error("Failed to create scrape run");
+    }
+
+    return hydrateRun(row);
+}
+
+/**
+ * Convert a scrape_log row into a mutable run object
+ */
+function hydrateRun(row) {
+    const run = { ...row };
+    for (const counter of RUN_COUNTERS) {
+        run[counter] = row[counter] || 0;
+    }
+    run.phase = row.phase || "listing";
+    run.source = row.source || DEFAULT_SOURCE_ID;
+    run.metrics = emptyTally();  // Field coverage since the last checkpoint
+    return run;
+}
+
+/**
+ * Checkpoint a run's cursor and progress to scrape_log
+ */
+async function saveRun(env, run) {
+    try {
+        const finished = run.phase === "done";
+
+        // Truncate sample HTML to first 50KB to avoid bloating the database
+        const truncatedHtml = run.sample_html ? run.sample_html.substring(0, 50000) : null;
+
         await env.DB.prepare(`
             UPDATE scrape_log
-            SET jobs_found = ?,
-                jobs_inserted = ?,
-                jobs_updated = ?
+            SET status = ?,
+                phase = ?,
+                next_url = ?,
+                cooldown_until = ?,
+                ${RUN_COUNTERS.map(c => `${c} = ?`).join(",\n                ")},
+                error_message = ?,
+                sample_html = ?,
+                updated_at = CURRENT_TIMESTAMP,
+                completed_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE completed_at END
             WHERE id = ?
-        `).bind(found, inserted, updated, logId).run();
+        `).bind(
+            run.status,
+            run.phase,
+            run.next_url || null,
+            finished ? null : run.cooldown_until || null,
+            ...RUN_COUNTERS.map(c => run[c]),
+            run.error_message || null,
+            truncatedHtml,
+            finished ? 1 : 0,
+            run.id
+        ).run();
     } catch (error) {
-        console.error("Error updating scrape progress:", error);
+        console.error("Error saving scrape run:", error);
+    }
+
+    await flushMetrics(env, run.id, run.source, run.metrics);
+    if (run.phase === "done") {
+        await finaliseMetrics(env, run.id);
     }
 }
 
 /**
  * Log the completion of a scrape operation
+ * @param {Object} counters - Extra RUN_COUNTERS columns to record (e.g. fetch_retries)
  */
-async function logScrapeComplete(env, logId, found, inserted, updated, status, errorMessage = null, sampleHtml = null) {
+async function logScrapeComplete(env, logId, found, inserted, updated, status, errorMessage = null, sampleHtml = null, counters = {}) {
     if (!logId) return;
 
     try {
         // Truncate sample HTML to first 50KB to avoid bloating the database
         const truncatedHtml = sampleHtml ? sampleHtml.substring(0, 50000) : null;
+        const columns = Object.keys(counters).filter(c => RUN_COUNTERS.includes(c));
 
         await env.DB.prepare(`
             UPDATE scrape_log
@@ -564,9 +1692,9 @@ async function logScrapeComplete(env, logId, found, inserted, updated, status, e
                 jobs_updated = ?,
                 status = ?,
                 error_message = ?,
-                sample_html = ?
+                sample_html = ?${columns.map(c => `,\n                ${c} = ?`).join("")}
             WHERE id = ?
-        `).bind(found, inserted, updated, status, errorMessage, truncatedHtml, logId).run();
+        `).bind(found, inserted, updated, status, errorMessage, truncatedHtml, ...columns.map(c => counters[c]), logId).run();
     } catch (error) {
         console.error("Error logging scrape completion:", error);
     }
@@ -578,9 +1706,24 @@ async function logScrapeComplete(env, logId, found, inserted, updated, status, e
 /**
  * Run enrichment only (without listing fetch)
  * Useful for catching up on jobs that need enrichment
- * Logs to scrape_log for audit trail
+ * Logs to scrape_log for audit trail. Skipped while a scrape run is in progress.
  */
 export async function enrichJobDetailsOnly(env) {
+    // A scrape run's enrichment phase works through the same queued jobs; leave them to it
+    const running = await env.DB.prepare(`
+        SELECT id, source FROM scrape_log
+        WHERE status = 'running' AND url_type IN ('full', 'recent')
+        LIMIT 1
+    `).first();
+    if (running) {
+        console.log(`Skipping standalone enrichment: ${running.source} scrape run ${running.id} is in progress`);
+        return {
+            success: true,
+            skipped: true,
+            message: `${running.source} scrape run ${running.id} is in progress and enriches its own jobs`,
+        };
+    }
+
     console.log("Starting standalone enrichment...");
     const startTime = Date.now();
 
@@ -590,29 +1733,45 @@ export async function enrichJobDetailsOnly(env) {
     try {
         const result = await enrichJobDetails(env, logId);
         const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+        const counters = {
+            details_unchanged: result.unchanged,
+            fetch_retries: result.retries,
+            waf_blocks: result.wafBlocks,
+            fetch_ms: result.timings.fetch_ms,
+            parse_ms: result.timings.parse_ms,
+            store_ms: result.timings.store_ms,
+        };
 
         // Determine success/failure based on results
-        const hasFailures = result.failed > 0;
-        const allFailed = result.attempted > 0 && result.enriched === 0 && result.failed === result.attempted;
+        const hasFailures = result.failed > 0 || result.stoppedEarly !== null;
+        const allFailed = (result.attempted > 0 && result.enriched === 0 && result.failed === result.attempted)
+            || (result.attempted === 0 && result.stoppedEarly !== null);
 
         if (allFailed) {
-            const errorMsg = `All ${result.attempted} enrichment attempts failed. Check sample_html for debugging.`;
+            const errorMsg = result.attempted === 0
+                ? `Enrichment stopped before any job was fetched: ${result.stoppedEarly}`
+                : `All ${result.attempted} enrichment attempts failed. Check sample_html for debugging.`;
             console.error(errorMsg);
-            await logScrapeComplete(env, logId, result.attempted, result.enriched, 0, "failed", errorMsg, result.sampleHtml);
+            await logScrapeComplete(env, logId, result.attempted, result.enriched, 0, "failed", errorMsg, result.sampleHtml, counters);
+            await finaliseMetrics(env, logId);
             return {
                 success: false,
                 error: errorMsg,
                 enriched: 0,
                 attempted: result.attempted,
                 failed: result.failed,
+                retries: result.retries,
                 duration: `${duration}s`,
             };
         }
 
         // Log completion (jobs_found = attempted, jobs_inserted = enriched)
         const status = hasFailures ? "partial" : "success";
-        const errorMsg = hasFailures ? `${result.failed}/${result.attempted} fetches failed` : null;
-        await logScrapeComplete(env, logId, result.attempted, result.enriched, 0, status, errorMsg, result.sampleHtml);
+        const errorMsg = !hasFailures ? null
+            : result.stoppedEarly !== null ? `${result.failed}/${result.attempted} fetches failed; stopped early: ${result.stoppedEarly}`
+            : `${result.failed}/${result.attempted} fetches failed`;
+        await logScrapeComplete(env, logId, result.attempted, result.enriched, 0, status, errorMsg, result.sampleHtml, counters);
+        await finaliseMetrics(env, logId);
 
         console.log(`Enrichment complete: ${result.enriched}/${result.attempted} jobs enriched in ${duration}s`);
         return {
@@ -620,7 +1779,15 @@ export async function enrichJobDetailsOnly(env) {
             enriched: result.enriched,
             attempted: result.attempted,
             failed: result.failed,
+            unchanged: result.unchanged,
+            retries: result.retries,
+            stoppedEarly: result.stoppedEarly,
             duration: `${duration}s`,
+            timings: {
+                fetchMs: result.timings.fetch_ms,
+                parseMs: result.timings.parse_ms,
+                storeMs: result.timings.store_ms,
+            },
         };
     } catch (error) {
         const duration = ((Date.now() - startTime) / 1000).toFixed(1);
@@ -0,0 +1,127 @@
+// Description Sections for IOM Job Scraper
+// Splits a job description into its headed sections ("Key responsibilities",
+// "Essential criteria", "What we offer", "How to apply"...) so they can be stored
+// in their own columns. Headings are recognised by their wording, as Markdown
+// headings, bold lines or plain lines (a trailing colon is fine, and "Heading:
+// text" starts the section with that text). A section runs until the next
+// heading; Markdown and bold headings end a section even when they aren't ones
+// we know, plain lines only when they are.
+
+// Section column → heading wording (matched against the normalised heading text)
+const SECTION_HEADINGS = {
+    responsibilities: /^(?:(?:key|main|principal|core|your|job|role) )?(?:responsibilities|duties|accountabilities|tasks)(?: (?:and|&) (?:responsibilities|duties|accountabilities|tasks))?(?: of the (?:role|post))?$|^(?:the )?role (?:will )?involves?$|^what you(?:'ll| will) (?:be )?do(?:ing)?$|^(?:the |your )?day to day$|^(?:job|role) (?:purpose|summary)$/,
+    essential_criteria: /^essential(?: (?:criteria|requirements|skills|qualifications|experience|attributes))?(?: (?:and|&) (?:skills|qualifications|experience))?$|^(?:key |minimum )?requirements$|^what (?:you|we)(?:'ll| will)? need(?: from you)?$|^what you(?:'ll| will) bring$|^what we(?:'re| are) looking for$|^(?:who we(?:'re| are) looking for|the ideal candidate|about you|person specification)$|^(?:skills|knowledge),? (?:and|&) experience$/,
+    desirable_criteria: /^desirable(?: (?:criteria|requirements|skills|qualifications|experience|attributes))?$|^nice to haves?$|^(?:it would be )?(?:great|nice|good) (?:if you have|to have)$/,
+    qualifications: /^(?:required |essential )?qualifications(?: required)?$|^education(?: (?:and|&) qualifications)?$/,
+    experience: /^(?:required |relevant )?experience(?: required)?$/,
+    benefits: /^(?:benefits|perks|rewards?)(?: (?:and|&) (?:benefits|perks|rewards?))?(?: package)?$|^what we offer(?: you)?$|^what(?:'s| is) in it for you$|^in return(?: we (?:will )?offer)?$|^why (?:join|work for|work with) us$|^(?:our|we) offer$/,
+    how_to_apply: /^how (?:to|do i|can i) apply$|^(?:the )?application process$|^to apply$|^applying$|^next steps$/,
+};
+
+export const SECTION_FIELDS = Object.keys(SECTION_HEADINGS);
+
+/**
+ * Find the known sections in a description
+ * @param {string} text - Description Markdown (see htmlToMarkdown), or plain text
+ * @returns {Object<string, string|null>} Text of each section in SECTION_FIELDS (null if absent);
+ *   a section given twice is joined with a blank line
+ */
+export function extractSections(text) {
+    const sections = Object.fromEntries(SECTION_FIELDS.map(field => [field, []]));
+    if (!text) return finish(sections);
+
+    let current = null;
+    for (const line of text.split("\n")) {
+        const heading = parseHeading(line);
+        if (!heading) {
+            if (current) current.push(line);
+            continue;
+        }
+
+        current = heading.field ? [] : null;
+        if (current) {
+            sections[heading.field].push(current);
+            if (heading.rest) current.push(heading.rest);
+        }
+    }
+
+    return finish(sections);
+}
+
+/**
+ * Recognise a heading line
+ * @returns {{ field: string|null, rest: string|null }|null} null for body text; `field` is
+ *   null for a heading we don't know, `rest` is any text after "Heading:"
+ */
+function parseHeading(line) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.length > 120) return null;
+
+    // Markdown heading or a line that is all bold
+    const marked = trimmed.match(/^#{1,6}\s+(.+)$/) || trimmed.match(/^\*\*([^*]+?):?\*\*:?$/);
+    if (marked) {
+        return { field: sectionField(marked[1]), rest: null };
+    }
+
+    // "Essential criteria: ..." or "**Essential:** ..." with the content on the same line
+    const labelled = trimmed.match(/^(?:\*\*)?([^:*]{3,60}?)(?:\*\*)?\s*:\s*(?:\*\*)?\s*(.*)$/);
+    if (labelled) {
+        const field = sectionField(labelled[1]);
+        if (field) return { field, rest: labelled[2].trim() || null };
+    }
+
+    // A plain line that is just a known heading
+    const field = trimmed.length <= 60 ? sectionField(trimmed) : null;
+    return field ? { field, rest: null } : null;
+}
+
+/**
+ * The section column a heading names, or null
+ */
+function sectionField(heading) {
+    const normalised = unescapeMarkdown(heading)
+        .toLowerCase()
+        .replace(/[‘’]/g, "'")
+        .replace(/[*_]/g, "")
+        .replace(/[:.!?\s–—-]+$/, "")
+        .replace(/\s+/g, " ")
+        .trim();
+
+    for (const [field, pattern] of Object.entries(SECTION_HEADINGS)) {
+        if (pattern.test(normalised)) return field;
+    }
+    return null;
+}
+
+function finish(sections) {
+    return Object.fromEntries(Object.entries(sections).map(([field, blocks]) => {
+        const text = blocks.map(toPlainText).filter(Boolean).join("\n\n");
+        return [field, text || null];
+    }));
+}
+
+/**
+ * Turn a section's Markdown lines into the plain text stored in its column
+ * List markers are kept; links become "text (url)".
+ */
+function toPlainText(lines) {
+    return lines
+        .map(line => {
+            // Park escaped characters so they aren't read as formatting
+            const escaped = [];
+            return line
+                .replace(/\\([\\`*_[\]#<>+\-.!()])/g, (_, char) => `\u0000${escaped.push(char) - 1}\u0000`)
+                .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => (label === url ? url : `${label} (${url})`))
+                .replace(/\*\*(?=\S)(.+?)\*\*/g, "$1")
+                .replace(/\*(?=\S)(.+?)\*/g, "$1")
+                .replace(/\u0000(\d+)\u0000/g, (_, index) => escaped[Number(index)])
+                .trimEnd();
+        })
+        .join("\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+}
+
+function unescapeMarkdown(text) {
+    return text.replace(/\\([\\`*_[\]#<>+\-.!()])/g, "$1");
+}
@@ -0,0 +1,46 @@
+// services.gov.im Source Adapter
+// Isle of Man Government job search: grouped listing tables and 4-column detail pages
+
+import { CONFIG, getFullListingUrl, getRecentListingUrl } from "../config.js";
+import { parseJobListings, parseJobDetail, parsePagination, extractJobtrainUrl, isJobtrainRedirect, extractLinks } from "../parser.js";
+import { generateJobGuid, matchesHost } from "../utils.js";
+
+export default {
+    id: "govim",
+    name: "Isle of Man Government",
+    hosts: ["services.gov.im"],
+    schedule: ["0 6,18 * * *"],
+
+    listingUrl(type) {
+        // Single URL without classification filter - classification is extracted from page headers
+        return type === "full" ? getFullListingUrl() : getRecentListingUrl();
+    },
+
+    parseListing(html) {
+        return parseJobListings(html);
+    },
+
+    parsePagination(html) {
+        return parsePagination(html);
+    },
+
+    parseDetail(html) {
+        return parseJobDetail(html);
+    },
+
+    guid(job) {
+        // The parser hashes the raw viewjob href; keep that so existing rows still match
+        return job.guid || generateJobGuid(job.source_url);
+    },
+
+    linkedDetailUrl(details) {
+        // Some descriptions are just a pointer to the full advert on jobtrain
+        if (isJobtrainRedirect(details.description)) {
+            return extractJobtrainUrl(details.description);
+        }
+
+        // Otherwise the apply link, or a link in the description, to an allowlisted career site
+        const candidates = [details.apply_url, ...extractLinks(details.description)];
+        return candidates.find(url => url && matchesHost(url, CONFIG.scraper.linkedAdvertHosts)) || null;
+    },
+};
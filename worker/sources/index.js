@@ -0,0 +1,67 @@
+// Source Adapter Registry for IOM Job Scraper
+// Each job board is an independent adapter; the scraper only talks to this interface
+
+import govim from "./govim.js";
+import jobtrain from "./jobtrain.js";
+import jobposting from "./jobposting.js";
+import { matchesHost } from "../utils.js";
+
+/**
+ * @typedef {Object} SourceAdapter
+ * @property {string} id - Stable identifier, stored in jobs.source and scrape_log.source
+ * @property {string} name - Display name
+ * @property {string[]} hosts - Hostnames whose pages this adapter can parse
+ * @property {string[]} schedule - Cron expressions that start a scrape run (must also be in wrangler.toml)
+ * @property {(type: "full"|"recent") => string|null} listingUrl - First listing page, or null for detail-only sources
+ * @property {(html: string, pageUrl: string) => Array<Object>} parseListing - Jobs on a listing page
+ * @property {(html: string, pageUrl: string) => { nextUrl: string|null, hasMore: boolean }} parsePagination
+ * @property {(html: string, url: string) => { description: string|null, description_markdown: string|null, apply_url: string|null, additional_info: Object }} parseDetail
+ *   `description` is plain text; `description_markdown` keeps its headings, lists, emphasis and links (see htmlToMarkdown)
+ * @property {(job: Object) => string} guid - Deduplication key for a listed job
+ * @property {(details: Object) => string|null} [linkedDetailUrl] - External advert with the full details or structured data, if any
+ */
+
+/**
+ * All registered sources, keyed by id
+ * @type {Object<string, SourceAdapter>}
+ */
+export const SOURCES = {
+    [govim.id]: govim,
+    [jobtrain.id]: jobtrain,
+    // Generic schema.org adapter last, so boards with their own adapter match first
+    [jobposting.id]: jobposting,
+};
+
+export const DEFAULT_SOURCE_ID = govim.id;
+
+/**
+ * Get a source adapter by id
+ * @returns {SourceAdapter|null}
+ */
+export function getSource(id) {
+    return SOURCES[id || DEFAULT_SOURCE_ID] || null;
+}
+
+/**
+ * Get the sources that can be scraped from listing pages
+ * @returns {SourceAdapter[]}
+ */
+export function getListableSources() {
+    return Object.values(SOURCES).filter(source => source.listingUrl("recent") !== null);
+}
+
+/**
+ * Get the sources whose schedule includes a cron expression
+ * @returns {SourceAdapter[]}
+ */
+export function getScheduledSources(cron) {
+    return getListableSources().filter(source => source.schedule.includes(cron));
+}
+
+/**
+ * Find the adapter that can parse a page by its hostname (subdomains included)
+ * @returns {SourceAdapter|null}
+ */
+export function getSourceForUrl(url) {
+    return Object.values(SOURCES).find(source => matchesHost(url, source.hosts)) || null;
+}
@@ -0,0 +1,35 @@
+// Generic schema.org JobPosting Source Adapter
+// Detail pages only: employer career sites and ATS pages linked from gov.im adverts
+// (hosts in CONFIG.scraper.linkedAdvertHosts). Reads JSON-LD or microdata JobPosting
+// markup, so it works on any site that publishes it.
+
+import { CONFIG } from "../config.js";
+import { parseJobPosting, jobPostingDetail } from "../parser.js";
+import { generateJobGuid } from "../utils.js";
+
+export default {
+    id: "jobposting",
+    name: "Employer site",
+    hosts: CONFIG.scraper.linkedAdvertHosts,
+    schedule: [],
+
+    listingUrl() {
+        return null;
+    },
+
+    parseListing() {
+        return [];
+    },
+
+    parsePagination() {
+        return { nextUrl: null, hasMore: false };
+    },
+
+    parseDetail(html, url) {
+        return jobPostingDetail(parseJobPosting(html), url);
+    },
+
+    guid(job) {
+        return generateJobGuid(job.source_url, "jobposting");
+    },
+};
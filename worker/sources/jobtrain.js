@@ -0,0 +1,35 @@
+// jobtrain.co.uk Source Adapter
+// Detail pages only (reached from gov.im adverts); data comes from JSON-LD JobPosting.
+// additional_info carries the structured fields too (salary_min/max/type/currency,
+// employment_types, direct_apply, external_id, industry), which buildDetailFields
+// maps onto their own jobs columns.
+
+import { parseJobtrainDetail, jobPostingDetail } from "../parser.js";
+import { generateJobGuid } from "../utils.js";
+
+export default {
+    id: "jobtrain",
+    name: "Jobtrain",
+    hosts: ["jobtrain.co.uk"],
+    schedule: [],
+
+    listingUrl() {
+        return null;
+    },
+
+    parseListing() {
+        return [];
+    },
+
+    parsePagination() {
+        return { nextUrl: null, hasMore: false };
+    },
+
+    parseDetail(html, url) {
+        return jobPostingDetail(parseJobtrainDetail(html), url);
+    },
+
+    guid(job) {
+        return generateJobGuid(job.source_url, "jobtrain");
+    },
+};
@@ -0,0 +1,79 @@
+// UK date parser tests. Run with: npm test (from worker/)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseUkDate, parseIsoDateTime, islandToday, islandTimestamp } from "../dates.js";
+import { buildDetailFields } from "../scraper.js";
+
+const today = "2026-03-20";
+
+test("numeric dates are day first", () => {
+    assert.equal(parseUkDate("03/04/2026", { today }).date, "2026-04-03");
+    assert.equal(parseUkDate("3.4.26", { today }).date, "2026-04-03");
+    assert.equal(parseUkDate("2026-04-03", { today }).date, "2026-04-03");
+    assert.equal(parseUkDate("31 February 2026", { today }).date, null);
+});
+
+test("ordinals, weekdays and closing times", () => {
+    assert.deepEqual(parseUkDate("12 noon on Friday 3rd April", { today }), { date: "2026-04-03", time: "12:00", ambiguous: false });
+    assert.deepEqual(parseUkDate("3 April 2026 at 5.30pm", { today }), { date: "2026-04-03", time: "17:30", ambiguous: false });
+    assert.deepEqual(parseUkDate("midnight, 5th January", { today: "2025-12-10" }), { date: "2026-01-05", time: "23:59", ambiguous: false });
+});
+
+test("relative phrases count from the advert date", () => {
+    assert.equal(parseUkDate("two weeks from advert date", { advertDate: today }).date, "2026-04-03");
+    assert.equal(parseUkDate("within 10 days of this advert", { advertDate: today }).date, "2026-03-30");
+    assert.equal(parseUkDate("Friday", { advertDate: "2026-03-18" }).date, "2026-03-20");
+});
+
+test("ambiguous dates are flagged, not guessed", () => {
+    for (const text of ["Thursday 3 April 2026", "04/13/2026", "3 April or 10 April", "next Friday"]) {
+        assert.deepEqual(parseUkDate(text, { advertDate: today }), { date: null, time: null, ambiguous: true }, text);
+    }
+    assert.equal(parseUkDate("two weeks from advert date", { today }).ambiguous, true);
+    assert.equal(parseUkDate("Ongoing", { today }).ambiguous, false);
+});
+
+test("interview and start dates aren't taken for the closing date", () => {
+    assert.deepEqual(parseUkDate("3 April 2026 (interviews week commencing 20 April)", { today }), { date: "2026-04-03", time: null, ambiguous: false });
+    assert.equal(parseUkDate("Interviews 10 April, closing 3 April", { today }).date, "2026-04-03");
+    assert.equal(parseUkDate("3 April; start date 1 May 2026", { today }).date, "2026-04-03");
+    assert.equal(parseUkDate("3 April, w/c 20/04 for interviews", { today }).date, "2026-04-03");
+    assert.deepEqual(parseUkDate("Noon, 3 April. Interviews at 10am on 20 April", { today }), { date: "2026-04-03", time: "12:00", ambiguous: false });
+    assert.equal(parseUkDate("Interviews 20 April", { today }).date, null);
+});
+
+test("closing date text is read against the job's posted date", () => {
+    const { fields } = buildDetailFields(
+        { additional_info: { closing_date: null, closing_date_text: "4pm, 14 days from the advert" } },
+        { advertDate: today }
+    );
+    assert.equal(fields.closing_date, "2026-04-03");
+    assert.equal(fields.closing_time, "16:00");
+    assert.equal(fields.closing_date_ambiguous, 0);
+});
+
+test("today and closing timestamps follow the Island's clock", () => {
+    assert.equal(islandToday(new Date("2026-07-01T23:30:00Z")), "2026-07-02");
+    assert.equal(islandToday(new Date("2026-01-01T23:30:00Z")), "2026-01-01");
+    assert.equal(islandTimestamp("2026-07-01", "12:00"), "2026-07-01 11:00:00");
+    assert.equal(islandTimestamp("2026-01-15", "12:00"), "2026-01-15 12:00:00");
+
+    const { fields } = buildDetailFields({ additional_info: { closing_date: "2026-07-03", closing_date_text: "5pm, 3 July 2026" } });
+    assert.equal(fields.closing_at, "2026-07-03 16:00:00");
+});
+
+test("schema.org closing date-times keep their time on the Island's clock", () => {
+    assert.deepEqual(parseIsoDateTime("2026-07-03T17:00:00+01:00"), { date: "2026-07-03", time: "17:00", at: "2026-07-03 16:00:00" });
+    assert.deepEqual(parseIsoDateTime("2026-07-02T23:30:00Z"), { date: "2026-07-03", time: "00:30", at: "2026-07-02 23:30:00" });
+    assert.deepEqual(parseIsoDateTime("2026-01-15T12:00:00"), { date: "2026-01-15", time: "12:00", at: "2026-01-15 12:00:00" });
+    assert.deepEqual(parseIsoDateTime("2026-07-03T00:00:00+01:00"), { date: "2026-07-03", time: null, at: null });
+    assert.deepEqual(parseIsoDateTime("2026-07-03"), { date: "2026-07-03", time: null, at: null });
+    assert.equal(parseIsoDateTime("Friday").date, null);
+
+    const { fields } = buildDetailFields({
+        additional_info: { closing_date: "2026-07-03", closing_time: "17:00", closing_at: "2026-07-03 16:00:00" },
+    });
+    assert.equal(fields.closing_time, "17:00");
+    assert.equal(fields.closing_at, "2026-07-03 16:00:00");
+});
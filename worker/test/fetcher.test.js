@@ -0,0 +1,139 @@
+// Fetch retry policy tests
+// Stubs global fetch, so nothing here touches the network. Run with: npm test (from worker/)
+
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { CONFIG } from "../config.js";
+import { fetchPage, backoffDelay, parseRetryAfter, hashPageContent } from "../fetcher.js";
+
+console.log = () => {};
+console.error = () => {};
+
+// No D1: robots.txt is only cached in memory and daily budgets aren't enforced
+const env = {};
+const realFetch = globalThis.fetch;
+const realBaseMs = CONFIG.scraper.fetchRetryBaseMs;
+const realDelayMs = CONFIG.scraper.requestDelayMs;
+
+/**
+ * Replace fetch with a stub answering from a list of responses, one per call
+ * robots.txt requests get a 404 (no rules) and aren't counted.
+ */
+function stubFetch(responses) {
+    const calls = [];
+    globalThis.fetch = async (url) => {
+        if (url.endsWith("/robots.txt")) return new Response("", { status: 404 });
+        calls.push(url);
+        const next = responses[Math.min(calls.length, responses.length) - 1];
+        if (next instanceof Error) throw next;
+        return next;
+    };
+    return calls;
+}
+
+beforeEach(() => {
+    // Keep backoff and request spacing sleeps short
+    CONFIG.scraper.fetchRetryBaseMs = 1;
+    CONFIG.scraper.requestDelayMs = 0;
+});
+
+afterEach(() => {
+    globalThis.fetch = realFetch;
+    CONFIG.scraper.fetchRetryBaseMs = realBaseMs;
+    CONFIG.scraper.requestDelayMs = realDelayMs;
+});
+
+test("retries a 503 and returns the page once it loads", async () => {
+    const calls = stubFetch([new Response("busy", { status: 503 }), new Response("<p>ok</p>")]);
+    const result = await fetchPage(env, "https://services.gov.im/job-search/results");
+    assert.equal(result.html, "<p>ok</p>");
+    assert.equal(result.attempts, 2);
+    assert.equal(result.retries, 1);
+    assert.equal(calls.length, 2);
+});
+
+test("retries network errors up to maxAttempts", async () => {
+    const calls = stubFetch([new TypeError("network down")]);
+    const result = await fetchPage(env, "https://services.gov.im/job-search/results", { maxAttempts: 3 });
+    assert.equal(result.html, null);
+    assert.equal(result.error, "network down");
+    assert.equal(result.attempts, 3);
+    assert.equal(calls.length, 3);
+});
+
+test("does not retry a 404", async () => {
+    const calls = stubFetch([new Response("gone", { status: 404 })]);
+    const result = await fetchPage(env, "https://services.gov.im/job-search/viewjob?id=1");
+    assert.equal(result.error, "HTTP 404");
+    assert.equal(result.status, 404);
+    assert.equal(result.retries, 0);
+    assert.equal(calls.length, 1);
+});
+
+test("does not retry a WAF block", async () => {
+    const calls = stubFetch([new Response("<h1>Request Rejected</h1>")]);
+    const result = await fetchPage(env, "https://services.gov.im/job-search/results");
+    assert.equal(result.wafBlocked, true);
+    assert.match(result.rawText, /Request Rejected/);
+    assert.equal(calls.length, 1);
+});
+
+test("defers a Retry-After longer than fetchRetryMaxDelayMs", async () => {
+    const calls = stubFetch([new Response("slow down", { status: 429, headers: { "Retry-After": "600" } })]);
+    const result = await fetchPage(env, "https://services.gov.im/job-search/results");
+    assert.equal(result.retryAfterMs, 600000);
+    assert.equal(calls.length, 1);
+});
+
+test("parseRetryAfter reads seconds and HTTP dates", () => {
+    assert.equal(parseRetryAfter("120"), 120000);
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter("soon"), null);
+    const inAMinute = new Date(Date.now() + 60000).toUTCString();
+    const ms = parseRetryAfter(inAMinute);
+    assert.ok(ms > 55000 && ms <= 60000, `got ${ms}`);
+});
+
+test("backoffDelay grows exponentially within its cap", () => {
+    CONFIG.scraper.fetchRetryBaseMs = 1000;
+    for (let i = 0; i < 20; i++) {
+        const first = backoffDelay(1);
+        assert.ok(first >= 500 && first <= 1000, `attempt 1: ${first}`);
+        const third = backoffDelay(3);
+        assert.ok(third >= 2000 && third <= 4000, `attempt 3: ${third}`);
+        assert.ok(backoffDelay(20) <= CONFIG.scraper.fetchRetryMaxDelayMs);
+    }
+});
+
+test("sends validators and reports a 304 as not modified", async () => {
+    let sent = null;
+    globalThis.fetch = async (url, init) => {
+        if (url.endsWith("/robots.txt")) return new Response("", { status: 404 });
+        sent = init.headers;
+        return new Response(null, { status: 304 });
+    };
+    const result = await fetchPage(env, "https://services.gov.im/job-search/viewjob?id=1", {
+        etag: '"abc"',
+        lastModified: "Mon, 19 Oct 2026 08:00:00 GMT",
+    });
+    assert.equal(sent["If-None-Match"], '"abc"');
+    assert.equal(sent["If-Modified-Since"], "Mon, 19 Oct 2026 08:00:00 GMT");
+    assert.equal(result.notModified, true);
+    assert.equal(result.error, null);
+    assert.equal(result.etag, '"abc"');
+    assert.equal(result.retries, 0);
+});
+
+test("returns the validators a page was served with", async () => {
+    stubFetch([new Response("<p>ok</p>", { headers: { "ETag": '"v2"', "Last-Modified": "Tue, 20 Oct 2026 08:00:00 GMT" } })]);
+    const result = await fetchPage(env, "https://services.gov.im/job-search/viewjob?id=1");
+    assert.equal(result.notModified, false);
+    assert.equal(result.etag, '"v2"');
+    assert.equal(result.lastModified, "Tue, 20 Oct 2026 08:00:00 GMT");
+});
+
+test("hashPageContent ignores scripts and markup but not text", async () => {
+    const page = (token, text) => `<html><script>var csrf = "${token}";</script><body><p>${text}</p></body></html>`;
+    assert.equal(await hashPageContent(page("a1", "Closing 31/12/2026")), await hashPageContent(page("b2", "Closing 31/12/2026")));
+    assert.notEqual(await hashPageContent(page("a1", "Closing 31/12/2026")), await hashPageContent(page("a1", "Closing 07/01/2027")));
+});
@@ -0,0 +1,66 @@
+// Parser Fixture Helpers for IOM Job Scraper tests
+// Shared by parser.test.js and snapshot.js
+//
+// A fixture is a pair of files in test/fixtures/:
+//   <name>.html  - captured page
+//   <name>.json  - { kind, source, url, captured_at, expected }
+
+import { readdirSync, readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { parseJobListings, parseJobDetail, parsePagination, parseJobtrainDetail, parseJobPosting } from "../parser.js";
+
+export const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+// Fields that change on every run and can't be snapshotted
+const VOLATILE_FIELDS = ["scraped_at"];
+
+/**
+ * Parsers by fixture kind; each returns the plain object stored as `expected`
+ */
+export const FIXTURE_KINDS = {
+    listing: (html) => ({
+        jobs: parseJobListings(html).map(stripVolatile),
+        pagination: parsePagination(html),
+    }),
+    detail: (html) => parseJobDetail(html),
+    jobtrain: (html) => parseJobtrainDetail(html),
+    jobposting: (html) => parseJobPosting(html),
+};
+
+function stripVolatile(job) {
+    const copy = { ...job };
+    for (const field of VOLATILE_FIELDS) delete copy[field];
+    return copy;
+}
+
+/**
+ * Run the parser for a fixture kind
+ * @param {string} kind - Key of FIXTURE_KINDS
+ * @param {string} html - Page HTML
+ * @returns {Object} Parsed output, JSON round-tripped so it compares like the stored snapshot
+ */
+export function runFixtureParser(kind, html) {
+    const parse = FIXTURE_KINDS[kind];
+    if (!parse) {
+        throw new Error(`Unknown fixture kind "${kind}" (expected one of: ${Object.keys(FIXTURE_KINDS).join(", ")})`);
+    }
+
+    return JSON.parse(JSON.stringify(parse(html)));
+}
+
+/**
+ * Load every fixture in the fixtures directory
+ * @returns {Array<{ name: string, html: string, kind: string, source: string, url: string|null, expected: Object }>}
+ */
+export function loadFixtures() {
+    return readdirSync(FIXTURES_DIR)
+        .filter(file => file.endsWith(".json"))
+        .sort()
+        .map(file => {
+            const name = file.replace(/\.json$/, "");
+            const meta = JSON.parse(readFileSync(join(FIXTURES_DIR, file), "utf-8"));
+            const html = readFileSync(join(FIXTURES_DIR, `${name}.html`), "utf-8");
+            return { name, html, ...meta };
+        });
+}
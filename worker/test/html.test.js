@@ -0,0 +1,70 @@
+// HTML extraction tests. Run with: npm test (from worker/)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { selectAll, cleanText, htmlToText, htmlToMarkdown } from "../html.js";
+import { parseJobDetail } from "../parser.js";
+
+test("selectors see unquoted attributes and implied end tags", () => {
+    const html = `
+        <table class=table id=jobs>
+            <tr><td>1<td><a href=viewjob?Id=1>Nurse</a><td>DHSC
+            <tr><td>2<td><a href='viewjob?Id=2'>Teacher</a><td>DESC
+        </table>`;
+
+    const cells = selectAll(html, "table.table tr > td");
+    assert.equal(cells.length, 6);
+    assert.deepEqual(cells.map(cell => cell.text), ["1", "Nurse", "DHSC", "2", "Teacher", "DESC"]);
+
+    const links = selectAll(html, "#jobs a[href^=viewjob]");
+    assert.deepEqual(links.map(link => link.attrs.href), ["viewjob?Id=1", "viewjob?Id=2"]);
+});
+
+test("nested tables keep their rows apart", () => {
+    const html = `
+        <table>
+            <tr><td>Salary</td><td>
+                <table><tr><td>Grade</td><td>OS4</td></tr></table>
+            </td><td>Hours</td><td>37.5</td></tr>
+        </table>`;
+
+    const detail = parseJobDetail(html);
+    assert.equal(detail.additional_info.hours_option, "37.5");
+    assert.equal(detail.additional_info.grade, "OS4");
+    assert.equal(detail.additional_info.salary, "Grade OS4");
+});
+
+test("text is decoded and whitespace collapsed", () => {
+    assert.equal(cleanText("Pay: &pound;25,000&nbsp;p.a. <b>plus</b> 3 &lt; 4 & more"), "Pay: £25,000 p.a. plus 3 < 4 & more");
+    assert.equal(cleanText("<p>Keep</p><script>var x = '<p>drop</p>';</script>", { skip: ["script"] }), "Keep");
+    assert.equal(
+        htmlToText("<h2>Role</h2><p>First line<br>second</p><ul><li>One<li>Two</ul><script>ignored()</script>"),
+        "Role\n\nFirst line\nsecond\n\nOne\nTwo"
+    );
+});
+
+test("Markdown keeps allowlisted formatting and escapes the rest", () => {
+    const html = `
+        <h2>Main duties</h2>
+        <p>Join our <b>ward</b> team. <a href="https://example.im/pay">Pay scales</a>, <a href="javascript:alert(1)">not this</a>.</p>
+        <ul><li>Assess patients<ul><li>Adults</li></ul></li><li>Plan *care*</li></ul>
+        <ol><li>Apply<li>Interview</ol>
+        <p>1. Not a list<br><img src=x onerror=alert(1)>&lt;script&gt;</p>
+        <script>alert(1)</script>`;
+
+    assert.equal(htmlToMarkdown(html), [
+        "## Main duties",
+        "",
+        "Join our **ward** team. [Pay scales](https://example.im/pay), not this.",
+        "",
+        "- Assess patients",
+        "    - Adults",
+        "- Plan \\*care\\*",
+        "",
+        "1. Apply",
+        "2. Interview",
+        "",
+        "1\\. Not a list",
+        "\\<script\\>",
+    ].join("\n"));
+});
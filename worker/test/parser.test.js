@@ -0,0 +1,140 @@
+// Parser regression tests
+// Runs each parser over the captured pages in test/fixtures/ and compares
+// against the stored snapshot. Run with: npm test (from worker/)
+//
+// When a snapshot diff is an intended parser change, re-snapshot the fixture:
+//   npm run fixture:snapshot -- <kind> test/fixtures/<name>.html --name <name>
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadFixtures, runFixtureParser } from "./fixtures.js";
+import { parseJobListings, parseJobDetail, parsePagination, parseJobtrainDetail, isVacancyFilled, extractStatusText } from "../parser.js";
+import { buildDetailFields } from "../scraper.js";
+import jobtrain from "../sources/jobtrain.js";
+import jobposting from "../sources/jobposting.js";
+import govim from "../sources/govim.js";
+import { getSourceForUrl } from "../sources/index.js";
+
+// Parsers log progress; keep test output readable
+console.log = () => {};
+
+const fixtures = loadFixtures();
+
+test("fixtures directory has a fixture for every kind", () => {
+    const kinds = new Set(fixtures.map(fixture => fixture.kind));
+    for (const kind of ["listing", "detail", "jobtrain", "jobposting"]) {
+        assert.ok(kinds.has(kind), `no ${kind} fixture`);
+    }
+});
+
+for (const fixture of fixtures) {
+    test(`${fixture.kind}: ${fixture.name}`, () => {
+        assert.deepEqual(runFixtureParser(fixture.kind, fixture.html), fixture.expected);
+    });
+}
+
+// Guards on top of the snapshots: a snapshot of broken output would still "pass",
+// so check the fields the scraper relies on are actually populated
+
+for (const fixture of fixtures.filter(f => f.kind === "listing")) {
+    test(`listing has usable jobs: ${fixture.name}`, () => {
+        const jobs = parseJobListings(fixture.html);
+        assert.ok(jobs.length > 0, "parser found 0 jobs");
+        for (const job of jobs) {
+            assert.ok(job.title, "job without title");
+            assert.match(job.source_url, /^https:\/\/services\.gov\.im\/.*viewjob/i);
+            assert.ok(job.guid, "job without guid");
+            assert.ok(job.classification, "job without classification");
+        }
+        assert.equal(new Set(jobs.map(job => job.guid)).size, jobs.length, "duplicate guids");
+    });
+}
+
+for (const fixture of fixtures.filter(f => f.kind === "detail")) {
+    test(`detail has description and salary: ${fixture.name}`, () => {
+        const detail = parseJobDetail(fixture.html);
+        assert.ok(detail.description, "no description");
+        assert.ok(detail.additional_info.salary, "no salary");
+        assert.match(detail.additional_info.closing_date || "", /^\d{4}-\d{2}-\d{2}$/);
+    });
+}
+
+for (const fixture of fixtures.filter(f => f.kind === "jobtrain")) {
+    test(`jobtrain has description and title: ${fixture.name}`, () => {
+        const detail = parseJobtrainDetail(fixture.html);
+        assert.ok(detail.description, "no description");
+        assert.ok(detail.title, "no title");
+    });
+}
+
+test("pagination without a next link reports no more pages", () => {
+    assert.deepEqual(parsePagination("<p>Page 3 of 3</p>"), {
+        currentPage: 3,
+        totalPages: 3,
+        nextUrl: null,
+        hasMore: false,
+    });
+});
+
+test("a WAF block page yields no jobs", () => {
+    const html = "<html><body><h1>Request Rejected</h1><p>The requested URL was rejected.</p></body></html>";
+    assert.deepEqual(parseJobListings(html), []);
+});
+
+test("jobtrain JobPosting fields map onto their own columns", () => {
+    const fixture = fixtures.find(f => f.name === "jobtrain-detail-structured");
+    const details = jobtrain.parseDetail(fixture.html, fixture.url);
+    details.external_url = fixture.url;
+    const { fields } = buildDetailFields(details);
+
+    assert.equal(fields.salary_min, 33852);
+    assert.equal(fields.salary_max, 40590);
+    assert.equal(fields.salary_type, "annual");
+    assert.equal(fields.salary_currency, "GBP");
+    assert.equal(fields.employment_types, '["FULL_TIME","PART_TIME","TEMPORARY"]');
+    assert.equal(fields.direct_apply, 1);
+    assert.equal(fields.external_id, "MC-2026-0412");
+    assert.equal(fields.industry, "Healthcare, Nursing");
+    assert.equal(fields.external_url, fixture.url);
+    assert.equal(fields.apply_url, fixture.url);
+    assert.doesNotMatch(fields.description, /jobtrain/);
+});
+
+test("jobtrain and employer-site adverts share one JobPosting mapping", () => {
+    const fixture = fixtures.find(f => f.name === "jobtrain-detail-structured");
+    assert.deepEqual(jobposting.parseDetail(fixture.html, fixture.url), jobtrain.parseDetail(fixture.html, fixture.url));
+});
+
+test("gov.im adverts link out to allowlisted career sites only", () => {
+    const description = "Full details of the role are below. ".repeat(20);
+    assert.equal(
+        govim.linkedDetailUrl({ description: `${description} Apply at https://jobs.lever.co/acme/123.`, apply_url: null }),
+        "https://jobs.lever.co/acme/123"
+    );
+    assert.equal(
+        govim.linkedDetailUrl({ description, apply_url: "https://apply.workable.com/evbs/j/ABC/" }),
+        "https://apply.workable.com/evbs/j/ABC/"
+    );
+    assert.equal(govim.linkedDetailUrl({ description: `${description} https://example.com/careers`, apply_url: null }), null);
+    assert.equal(getSourceForUrl("https://jobs.lever.co/acme/123").id, "jobposting");
+    assert.equal(getSourceForUrl("https://www.jobtrain.co.uk/x/displayjob.aspx?jobid=1").id, "jobtrain");
+});
+
+test("only explicit status wording marks a vacancy filled", () => {
+    for (const text of [
+        "a varied role filled with new challenges",
+        "This post filled by internal candidates previously",
+        "The position is filled on a 12 month fixed term basis",
+    ]) {
+        assert.equal(isVacancyFilled(text), false, text);
+    }
+    assert.equal(isVacancyFilled("This vacancy has now been filled."), true);
+    assert.equal(isVacancyFilled("We are no longer accepting applications"), true);
+});
+
+test("filled notices are read from status elements, not advert copy", () => {
+    const html = `<div class="alert">This vacancy has been filled</div><table><tr><td>Notes</td><td>Apply by Friday</td></tr></table>`;
+    assert.equal(isVacancyFilled(extractStatusText(html)), true);
+    const copy = `<h1>Care Assistant</h1><p>The job has been filled in the past by people like you.</p>`;
+    assert.equal(isVacancyFilled(extractStatusText(copy)), false);
+});
@@ -0,0 +1,74 @@
+// Pay scale tests. Run with: npm test (from worker/)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadPayScaleRevision, findPayScale } from "../payScales.js";
+import { normaliseSalary } from "../salary.js";
+import { PayScaleRevisionSchema } from "../validation.js";
+
+// A revision as an admin would load it from a scale document (the amounts are
+// examples, not a published scale)
+const REVISION = {
+    scheme: "afc",
+    effective_from: "2025-04-01",
+    source_url: "https://example.com/afc-pay-scales.pdf",
+    grades: [
+        { grade: "band 5", salary_min: 30000, salary_max: 36000 },
+        { grade: "Band 6", salary_min: 37000, salary_max: 45000 },
+        { grade: "Band 8a", salary_min: 53000, salary_max: 60000 },
+    ],
+};
+
+/**
+ * A stand-in for D1 holding pay_scales rows, answering the statements payScales.js runs
+ */
+function payScalesEnv() {
+    const rows = [];
+    const latestFirst = found => found.sort((a, b) => b.effective_from.localeCompare(a.effective_from));
+
+    const statement = (sql, params) => ({
+        async run() {
+            const [scheme, grade, salary_min, salary_max, effective_from, source_url] = params;
+            const row = { id: rows.length + 1, scheme, grade, salary_min, salary_max, effective_from, source_url };
+            const existing = rows.findIndex(other => other.scheme === scheme && other.grade === grade && other.effective_from === effective_from);
+            if (existing === -1) rows.push(row);
+            else rows[existing] = { ...row, id: rows[existing].id };
+        },
+        async first() {
+            const [scheme, grade, onDate] = params;
+            return latestFirst(rows.filter(row => row.scheme === scheme && row.grade === grade && row.effective_from <= onDate))[0] ?? null;
+        },
+        async all() {
+            const [grade, onDate] = params;
+            return { results: latestFirst(rows.filter(row => row.grade === grade && row.effective_from <= onDate)) };
+        },
+    });
+
+    return {
+        DB: {
+            prepare: sql => ({ bind: (...params) => statement(sql, params) }),
+            async batch(statements) {
+                for (const pending of statements) await pending.run();
+            },
+        },
+    };
+}
+
+test("a grade-only salary resolves to its band once the scale is loaded", async () => {
+    assert.ok(PayScaleRevisionSchema.safeParse(REVISION).success);
+    const env = payScalesEnv();
+    assert.equal(await findPayScale(env, "afc", "Band 6", "2026-10-19"), null);
+    assert.equal(await loadPayScaleRevision(env, REVISION), 3);
+
+    const { scheme, grade } = normaliseSalary("AfC Band 6");
+    const band = await findPayScale(env, scheme, grade, "2026-10-19");
+    assert.equal(band.scheme, "afc");
+    assert.equal(band.grade, "Band 6");
+    assert.equal(band.salary_min, 37000);
+    assert.equal(band.salary_max, 45000);
+    assert.equal(band.effective_from, "2025-04-01");
+
+    assert.equal((await findPayScale(env, null, "Band 6", "2026-10-19")).id, band.id);
+    assert.equal(await findPayScale(env, "afc", "Band 6", "2025-03-31"), null);
+    assert.equal((await findPayScale(env, "afc", normaliseSalary("AfC Band 8a").grade, "2026-10-19")).salary_min, 53000);
+});
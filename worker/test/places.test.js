@@ -0,0 +1,50 @@
+// Gazetteer tests. Run with: npm test (from worker/)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolvePlace, findPlace } from "../places.js";
+import { validateQueryParams } from "../validation.js";
+import { buildDetailFields } from "../scraper.js";
+
+test("the most specific place in a location wins", () => {
+    assert.deepEqual(resolvePlace("Noble's Hospital, Strang, Braddan"), {
+        place: "Noble's Hospital", parish: "Braddan", region: "east", latitude: 54.1705, longitude: -4.5145,
+    });
+    assert.equal(resolvePlace("NOBLES HOSPITAL").place, "Noble's Hospital");
+    assert.equal(resolvePlace("Onchan, Douglas").place, "Onchan");
+    assert.equal(resolvePlace("Kirk Michael").parish, "Michael");
+});
+
+test("street names and generic locations are not places", () => {
+    assert.equal(resolvePlace("Peel Road, Douglas").place, "Douglas");
+    assert.equal(resolvePlace("Isle of Man").place, null);
+    assert.equal(resolvePlace("Various locations").region, null);
+});
+
+test("several places keep only what they share", () => {
+    assert.deepEqual(resolvePlace("Port Erin / Port St Mary"), {
+        place: null, parish: "Rushen", region: "south", latitude: null, longitude: null,
+    });
+    assert.equal(resolvePlace("Douglas or Ramsey").region, null);
+});
+
+test("near takes coordinates or a place name", () => {
+    const byName = validateQueryParams(new URLSearchParams("active_only=true&near=ramsey&radius_km=10"));
+    assert.deepEqual(byName.data.near, { lat: findPlace("Ramsey").lat, lng: findPlace("Ramsey").lng });
+    assert.deepEqual(validateQueryParams(new URLSearchParams("active_only=true&near=54.32,-4.38")).data.near, { lat: 54.32, lng: -4.38 });
+    assert.equal(validateQueryParams(new URLSearchParams("active_only=true&near=Atlantis")).success, false);
+    assert.equal(validateQueryParams(new URLSearchParams("active_only=true&region=middle")).success, false);
+});
+
+test("detail locations are stored with their place", () => {
+    const { fields } = buildDetailFields({ additional_info: { location: "Ramsey Cottage Hospital" } });
+    assert.equal(fields.place, "Ramsey Cottage Hospital");
+    assert.equal(fields.region, "north");
+});
+
+test("a detail page without a location places the listed one", () => {
+    const { fields } = buildDetailFields({ additional_info: {} }, { storedLocation: "Peel" });
+    assert.equal(fields.location, undefined);
+    assert.equal(fields.place, "Peel");
+    assert.equal(fields.region, "west");
+});
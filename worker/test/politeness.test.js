@@ -0,0 +1,62 @@
+// robots.txt parsing tests. Run with: npm test (from worker/)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseRobotsTxt, isAllowed } from "../politeness.js";
+
+const ROBOTS = `
+# Example robots.txt
+User-agent: *
+Disallow: /admin/
+Disallow: /job-search/apply
+Crawl-delay: 2
+
+User-agent: BadBot
+User-agent: iom-job-scraper
+Disallow: /private
+Allow: /private/jobs$
+Disallow: /*.pdf$
+Crawl-delay: 5
+`;
+
+test("uses the group naming our agent over the * group", () => {
+    const robots = parseRobotsTxt(ROBOTS, "iom-job-scraper");
+    assert.equal(robots.crawlDelay, 5);
+    assert.equal(isAllowed(robots.rules, "/admin/settings"), true);
+    assert.equal(isAllowed(robots.rules, "/private/cv"), false);
+});
+
+test("falls back to the * group", () => {
+    const robots = parseRobotsTxt(ROBOTS, "someone-else");
+    assert.equal(robots.crawlDelay, 2);
+    assert.equal(isAllowed(robots.rules, "/admin/settings"), false);
+    assert.equal(isAllowed(robots.rules, "/job-search/applyform?id=1"), false);
+    assert.equal(isAllowed(robots.rules, "/job-search/results?page=2"), true);
+});
+
+test("longest match wins, and wildcards and $ anchor", () => {
+    const { rules } = parseRobotsTxt(ROBOTS, "iom-job-scraper");
+    assert.equal(isAllowed(rules, "/private/jobs"), true);
+    assert.equal(isAllowed(rules, "/private/jobs/1"), false);
+    assert.equal(isAllowed(rules, "/files/advert.pdf"), false);
+    assert.equal(isAllowed(rules, "/files/advert.pdf?x=1"), true);
+});
+
+test("empty or missing robots.txt allows everything", () => {
+    assert.deepEqual(parseRobotsTxt("", "iom-job-scraper"), { rules: [], crawlDelay: null });
+    assert.equal(isAllowed([], "/anything"), true);
+    const { rules } = parseRobotsTxt("User-agent: *\nDisallow:\n", "iom-job-scraper");
+    assert.equal(isAllowed(rules, "/job-search/results"), true);
+});
+
+test("robots.txt itself is always allowed", () => {
+    const { rules } = parseRobotsTxt("User-agent: *\nDisallow: /\n", "iom-job-scraper");
+    assert.equal(isAllowed(rules, "/job-search/results"), false);
+    assert.equal(isAllowed(rules, "/robots.txt"), true);
+});
+
+test("agent groups match our product token exactly, ignoring case", () => {
+    const robots = "User-agent: iom\nDisallow: /\n\nUser-agent: IOM-Job-Scraper-Beta\nDisallow: /\n\nUser-agent: *\nDisallow: /admin/\n";
+    assert.deepEqual(parseRobotsTxt(robots, "iom-job-scraper").rules, [{ allow: false, pattern: "/admin/" }]);
+    assert.equal(parseRobotsTxt("User-agent: IOM-Job-Scraper\nDisallow: /x\n", "iom-job-scraper").rules.length, 1);
+});
@@ -0,0 +1,28 @@
+// Re-advertisement fingerprint tests. Run with: npm test (from worker/)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normaliseForFingerprint, fingerprintJob } from "../readvertise.js";
+
+test("dates, times, ids and links don't change the normalised text", () => {
+    assert.equal(
+        normaliseForFingerprint("Closing date: Friday 3rd April 2026 at 12:00. Ref 4521, see https://services.gov.im/job?Id=4521"),
+        normaliseForFingerprint("Closing date: Tuesday 21st September 2027 at 17:30. Ref 9987, see https://services.gov.im/job?Id=9987")
+    );
+    assert.equal(normaliseForFingerprint("Staff Nurse (Band 5) – Ward 7!"), "staff nurse band ward");
+    assert.equal(normaliseForFingerprint(null), "");
+});
+
+test("wording changes do change the normalised text", () => {
+    assert.notEqual(normaliseForFingerprint("Staff Nurse, Ward 7"), normaliseForFingerprint("Charge Nurse, Ward 7"));
+    // Only whole month and weekday words are dropped
+    assert.equal(normaliseForFingerprint("Junior marine engineer, decision making"), "junior marine engineer decision making");
+});
+
+test("re-posts of the same role share a fingerprint", async () => {
+    const job = { title: "Staff Nurse", employer: "Manx Care", reference: "MC 123", description: "Apply by 3 April 2026." };
+    const reposted = { ...job, reference: "mc123", description: "Apply by 17 May 2026." };
+    assert.equal(await fingerprintJob(job), await fingerprintJob(reposted));
+    assert.notEqual(await fingerprintJob(job), await fingerprintJob({ ...job, employer: "DESC" }));
+    assert.equal(await fingerprintJob({ ...job, description: null }), null);
+});
@@ -0,0 +1,27 @@
+// Job revision tests. Run with: npm test (from worker/)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffJobFields } from "../revisions.js";
+
+test("only tracked fields that changed are recorded", () => {
+    const existing = { title: "Staff Nurse", employer: "Manx Care", salary_min: 30000, raw_html: "<p>old</p>" };
+    const changes = diffJobFields(existing, { title: "Senior Staff Nurse", employer: "Manx Care", raw_html: "<p>new</p>" });
+    assert.deepEqual(changes, [{ field: "title", old_value: "Staff Nurse", new_value: "Senior Staff Nurse" }]);
+});
+
+test("values compare as trimmed text", () => {
+    const existing = { salary_min: 30000, salary_pro_rata: 0, reference: "MC123 " };
+    assert.deepEqual(diffJobFields(existing, { salary_min: "30000", salary_pro_rata: "0", reference: "MC123" }), []);
+    assert.deepEqual(diffJobFields(existing, { salary_min: 30000.5 }), [{ field: "salary_min", old_value: "30000", new_value: "30000.5" }]);
+});
+
+test("nulls keep the stored value unless the field is overwritten", () => {
+    const existing = { description: "Full advert", apply_url: "https://example.com/apply", place: null };
+    assert.deepEqual(diffJobFields(existing, { description: null, apply_url: "  " }), []);
+    assert.deepEqual(diffJobFields(existing, { description: null }, { overwrite: ["description"] }), [
+        { field: "description", old_value: "Full advert", new_value: null },
+    ]);
+    assert.deepEqual(diffJobFields(existing, { place: "Ramsey" }), [{ field: "place", old_value: null, new_value: "Ramsey" }]);
+    assert.deepEqual(diffJobFields(null, { title: "Nurse" }), []);
+});
@@ -0,0 +1,91 @@
+// Salary normaliser tests. Run with: npm test (from worker/)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normaliseSalary, normaliseGrade } from "../salary.js";
+import { buildDetailFields } from "../scraper.js";
+
+test("grade, spine and hours numbers are not read as money", () => {
+    const salary = normaliseSalary("Grade 5, SCP 24-28, 37.5 hours per week, £25,000 - £28,000 per annum");
+    assert.equal(salary.min, 25000);
+    assert.equal(salary.max, 28000);
+    assert.equal(salary.type, "annual");
+    assert.equal(salary.grade, "Grade 5");
+    assert.equal(salary.spine_min, 24);
+    assert.equal(salary.spine_max, 28);
+    assert.equal(salary.hours_per_week, 37.5);
+    assert.equal(salary.confidence, 1);
+
+    const coded = normaliseSalary("HEO £32,500");
+    assert.equal(coded.grade, "HEO");
+    assert.equal(coded.min, 32500);
+});
+
+test("grade-only salaries name their grade and pay scheme", () => {
+    const afc = normaliseSalary("AfC Band 6");
+    assert.equal(afc.grade, "Band 6");
+    assert.equal(afc.scheme, "afc");
+    assert.equal(afc.min, null);
+    assert.equal(afc.confidence, null);
+
+    assert.equal(normaliseSalary("CS Grade 7").scheme, "civil_service");
+    assert.equal(normaliseSalary("Police Constable").grade, "Constable");
+    assert.equal(normaliseSalary("Constable").grade, null);
+    assert.equal(normaliseSalary("Grade 4").scheme, null);
+    assert.equal(normaliseGrade("band  6"), "Band 6");
+    assert.equal(normaliseGrade("po 3"), "PO3");
+});
+
+test("rates are annualised and open-ended ranges keep one end", () => {
+    const hourly = normaliseSalary("Up to £14.50 per hour");
+    assert.equal(hourly.min, null);
+    assert.equal(hourly.max, 14.5);
+    assert.equal(hourly.type, "hourly");
+    assert.equal(hourly.annual_max, 28275);
+
+    const from = normaliseSalary("From £450 per week");
+    assert.equal(from.max, null);
+    assert.equal(from.annual_min, 23400);
+
+    // A trailing "+" is open-ended too
+    for (const text of ["£40k+", "£40,000+ per annum"]) {
+        const plus = normaliseSalary(text);
+        assert.equal(plus.min, 40000, text);
+        assert.equal(plus.max, null, text);
+        assert.equal(plus.annual_max, null, text);
+    }
+});
+
+test("period abbreviations can follow the amount directly", () => {
+    assert.equal(normaliseSalary("£450pw").type, "weekly");
+    assert.equal(normaliseSalary("£10.90ph").type, "hourly");
+    assert.equal(normaliseSalary("£120p.d.").type, "daily");
+    assert.equal(normaliseSalary("£2,100pcm").type, "monthly");
+    assert.equal(normaliseSalary("£25,000pa").type, "annual");
+    assert.equal(normaliseSalary("£10.90 ph").max, 10.9);
+});
+
+test("shorthand ranges, pro rata and missing periods", () => {
+    const shorthand = normaliseSalary("£25-30k");
+    assert.equal(shorthand.min, 25000);
+    assert.equal(shorthand.max, 30000);
+    assert.equal(shorthand.type, "annual");
+    assert.ok(shorthand.confidence < 1);
+
+    const partTime = normaliseSalary("£25,000 - £28,000 per annum pro rata", { hoursText: "18.75 hours" });
+    assert.equal(partTime.pro_rata, true);
+    assert.equal(partTime.hours_per_week, 18.75);
+    assert.equal(partTime.annual_min, 25000);
+
+    assert.equal(normaliseSalary("Competitive").confidence, null);
+    assert.equal(normaliseSalary("25 days holiday, 2024 start").min, null);
+});
+
+test("structured salaries override the text and are annualised", () => {
+    const { fields } = buildDetailFields({
+        additional_info: { salary: "Competitive", salary_min: 12, salary_max: 15, salary_type: "hourly" },
+    });
+    assert.equal(fields.salary_annual_min, 23400);
+    assert.equal(fields.salary_annual_max, 29250);
+    assert.equal(fields.salary_confidence, 1);
+});
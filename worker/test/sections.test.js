@@ -0,0 +1,61 @@
+// Description sectioniser tests. Run with: npm test (from worker/)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractSections } from "../sections.js";
+import { buildDetailFields } from "../scraper.js";
+
+const MARKDOWN = [
+    "**About the role**",
+    "",
+    "Manx Care is recruiting a ward nurse.",
+    "",
+    "### Key Responsibilities",
+    "",
+    "- Assess **patients** on admission",
+    "- Plan and deliver care",
+    "",
+    "**Essential criteria:**",
+    "",
+    "- Current [NMC](https://www.nmc.org.uk) registration",
+    "",
+    "**Desirable:** Acute care experience",
+    "",
+    "### About us",
+    "",
+    "We run the Island's hospitals.",
+    "",
+    "What we offer",
+    "",
+    "- NHS pension",
+    "",
+    "How to apply: Apply online by 5 May.",
+].join("\n");
+
+test("finds headed sections in description Markdown", () => {
+    assert.deepEqual(extractSections(MARKDOWN), {
+        responsibilities: "- Assess patients on admission\n- Plan and deliver care",
+        essential_criteria: "- Current NMC (https://www.nmc.org.uk) registration",
+        desirable_criteria: "Acute care experience",
+        qualifications: null,
+        experience: null,
+        benefits: "- NHS pension",
+        how_to_apply: "Apply online by 5 May.",
+    });
+});
+
+test("plain-text headings only count when they are known ones", () => {
+    const sections = extractSections("Duties:\nRun the payroll\nAbout the team\nFriendly\n\nQualifications\nAAT Level 3");
+    assert.equal(sections.responsibilities, "Run the payroll\nAbout the team\nFriendly");
+    assert.equal(sections.qualifications, "AAT Level 3");
+    assert.equal(extractSections(null).benefits, null);
+});
+
+test("the page's own fields win over description sections", () => {
+    const { fields } = buildDetailFields({
+        description: "Benefits\nPension",
+        additional_info: { benefits: "37 days' leave" },
+    });
+    assert.equal(fields.benefits, "37 days' leave");
+    assert.equal(fields.how_to_apply, null);
+});
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+// Snapshot a captured page as a parser fixture
+//
+// Usage (from worker/):
+//   npm run fixture:snapshot -- <kind> <file> [--name <name>] [--url <page url>] [--source <source id>]
+//
+//   <kind>  listing | detail | jobtrain | jobposting
+//   <file>  Saved page HTML, or wrangler --json output containing a sample_html column, e.g.
+//           npx wrangler d1 execute iom-jobs --remote --json \
+//             --command "SELECT id, url_type, sample_html FROM scrape_log WHERE id = 42" > scrape-42.json
+//
+// Writes test/fixtures/<name>.html and test/fixtures/<name>.json with the current parser
+// output as the expected snapshot. Review the JSON before committing - it records what the
+// parser does today, which is only correct if the parser is.
+
+import { readFileSync, writeFileSync, existsSync } from "fs";
+import { basename, extname, join } from "path";
+import { FIXTURES_DIR, FIXTURE_KINDS, runFixtureParser } from "./fixtures.js";
+
+const USAGE = "Usage: npm run fixture:snapshot -- <listing|detail|jobtrain|jobposting> <file> [--name <name>] [--url <url>] [--source <id>]";
+
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith("--")) {
+            options[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+
+    return { kind: positional[0], file: positional[1], options };
+}
+
+/**
+ * Read page HTML from a saved page or from wrangler's --json query output
+ */
+function readHtml(file) {
+    const text = readFileSync(file, "utf-8");
+    if (extname(file).toLowerCase() !== ".json") return text;
+
+    // wrangler d1 execute --json prints [{ results: [...], success, meta }]
+    const parsed = JSON.parse(text);
+    const rows = (Array.isArray(parsed) ? parsed : [parsed]).flatMap(result => result.results || []);
+    const row = rows.find(r => r.sample_html || r.raw_html);
+    if (!row) {
+        throw new Error(`No sample_html or raw_html column found in ${file}`);
+    }
+
+    return row.sample_html || row.raw_html;
+}
+
+function main() {
+    const { kind, file, options } = parseArgs(process.argv.slice(2));
+
+    if (!kind || !file || !FIXTURE_KINDS[kind]) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    const html = readHtml(file);
+    const name = options.name || basename(file, extname(file));
+    const source = options.source || ({ jobtrain: "jobtrain", jobposting: "jobposting" }[kind] ?? "govim");
+
+    // Parsers log progress; only the snapshot summary is interesting here
+    const log = console.log;
+    console.log = () => {};
+    const expected = runFixtureParser(kind, html);
+    console.log = log;
+
+    const htmlPath = join(FIXTURES_DIR, `${name}.html`);
+    const metaPath = join(FIXTURES_DIR, `${name}.json`);
+    const replacing = existsSync(metaPath);
+
+    writeFileSync(htmlPath, html);
+    writeFileSync(metaPath, JSON.stringify({
+        kind,
+        source,
+        url: options.url || null,
+        captured_at: new Date().toISOString().split("T")[0],
+        expected,
+    }, null, 2) + "\n");
+
+    const summary = kind === "listing"
+        ? `${expected.jobs.length} jobs, hasMore: ${expected.pagination.hasMore}`
+        : `description: ${expected.description ? `${expected.description.length} chars` : "none"}`;
+    console.log(`${replacing ? "Updated" : "Created"} fixture ${name} (${kind}; ${summary})`);
+    console.log(`  ${htmlPath}`);
+    console.log(`  ${metaPath}`);
+}
+
+main();
@@ -1,5 +1,6 @@
 // Input validation schemas for IOM Job Scraper
 import { z } from "zod";
+import { REGIONS, findPlace } from "./places.js";
 
 // Query parameter validation for job listings
 export const JobQuerySchema = z.object({
@@ -7,7 +8,20 @@ export const JobQuerySchema = z.object({
     limit: z.coerce.number().int().min(1).max(1000).default(100),
     employer: z.string().max(200).optional(),
     location: z.string().max(200).optional(),
+    region: z.enum(REGIONS).optional(),
+    // "lat,lng" or a place in the gazetteer ("Ramsey"), with radius_km around it
+    near: z.string().max(100).optional().transform((val, ctx) => {
+        if (val === undefined) return undefined;
+        const point = parsePoint(val);
+        if (!point) {
+            ctx.addIssue({ code: z.ZodIssueCode.custom, message: "near must be lat,lng or an Isle of Man place name" });
+            return z.NEVER;
+        }
+        return point;
+    }),
+    radius_km: z.coerce.number().positive().max(100).default(10),
     classification: z.string().max(200).optional(),
+    source: z.string().max(50).optional(),
     job_type: z.string().max(50).optional(),
     hours_type: z.enum(["full-time", "part-time"]).optional(),
     last_days: z.coerce.number().int().min(1).max(365).optional(),
@@ -21,9 +35,48 @@ export const JobQuerySchema = z.object({
     order: z.enum(["asc", "desc"]).default("asc"),
 });
 
+/**
+ * Read a "lat,lng" pair or a gazetteer place name as coordinates
+ * @returns {{ lat: number, lng: number }|null}
+ */
+function parsePoint(text) {
+    const match = text.match(/^\s*(-?\d{1,2}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)\s*$/);
+    if (match) {
+        const [lat, lng] = [Number(match[1]), Number(match[2])];
+        return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? { lat, lng } : null;
+    }
+    const place = findPlace(text);
+    return place ? { lat: place.lat, lng: place.lng } : null;
+}
+
 // Scrape request validation (admin endpoint)
 export const ScrapeRequestSchema = z.object({
     type: z.enum(["full", "recent"]).default("recent"),
+    source: z.string().max(50).optional(),
+});
+
+// Re-parse request validation (admin endpoint)
+export const ReparseRequestSchema = z.object({
+    id_from: z.number().int().min(1).optional(),
+    id_to: z.number().int().min(1).optional(),
+    classification: z.string().max(200).optional(),
+    source: z.string().max(50).optional(),
+    dry_run: z.boolean().default(false),
+    limit: z.number().int().min(1).max(200).optional(),
+});
+
+// Pay scale revision validation (admin endpoint)
+export const PayScaleRevisionSchema = z.object({
+    scheme: z.enum(["civil_service", "afc", "teachers", "police"]),
+    effective_from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
+    source_url: z.string().url().max(500).optional(),
+    grades: z.array(z.object({
+        grade: z.string().trim().min(1).max(50),
+        salary_min: z.number().positive(),
+        salary_max: z.number().positive().optional(),
+    }).refine(band => band.salary_max === undefined || band.salary_max >= band.salary_min, {
+        message: "salary_max must not be below salary_min",
+    })).min(1).max(100),
 });
 
 // Injection patterns to detect and reject
@@ -2,9 +2,17 @@
 // Main entry point for API and scheduled scraping
 
 import { CONFIG } from "./config.js";
-import { scrapeJobs, getLastScrapeStatus } from "./scraper.js";
-import { validateQueryParams, ScrapeRequestSchema } from "./validation.js";
+import { scrapeJobs, queueScrape, continueScrape, getLastScrapeStatus } from "./scraper.js";
+import { DEFAULT_SOURCE_ID, getSource, getListableSources, getScheduledSources } from "./sources/index.js";
+import { validateQueryParams, ScrapeRequestSchema, ReparseRequestSchema, PayScaleRevisionSchema } from "./validation.js";
 import { handleAskRequest, handleAskStreamRequest } from "./ask.js";
+import { getJobHistory } from "./revisions.js";
+import { getReadvertisements } from "./readvertise.js";
+import { reparseJobs } from "./reparse.js";
+import { loadPayScaleRevision } from "./payScales.js";
+import { islandToday } from "./dates.js";
+import { KM_PER_DEGREE } from "./places.js";
+import { getParseQuality } from "./metrics.js";
 
 /**
  * Generate CORS headers
@@ -61,12 +69,35 @@ async function handleJobsRequest(request, env) {
             queryParams.push(`%${params.location}%`);
         }
 
+        // Region filter (north, south, east, west; see places.js)
+        if (params.region) {
+            whereClause.push(`region = ?`);
+            queryParams.push(params.region);
+        }
+
+        // Distance filter: within radius_km of a point. Flat-earth (equirectangular)
+        // distance is accurate to metres across the Island and needs no trig in SQL,
+        // so the longitude scale for the point's latitude is worked out here
+        if (params.near) {
+            const { lat, lng } = params.near;
+            const lngScale = Math.cos(lat * Math.PI / 180);
+            const radius = params.radius_km / KM_PER_DEGREE;
+            whereClause.push(`latitude IS NOT NULL AND (latitude - ?) * (latitude - ?) + (longitude - ?) * (longitude - ?) * ? <= ?`);
+            queryParams.push(lat, lat, lng, lng, lngScale * lngScale, radius * radius);
+        }
+
         // Classification filter
         if (params.classification) {
             whereClause.push(`classification LIKE ?`);
             queryParams.push(`%${params.classification}%`);
         }
 
+        // Source filter (exact adapter id)
+        if (params.source) {
+            whereClause.push(`source = ?`);
+            queryParams.push(params.source);
+        }
+
         // Job type filter
         if (params.job_type) {
             whereClause.push(`job_type LIKE ?`);
@@ -81,17 +112,18 @@ async function handleJobsRequest(request, env) {
 
         // Last N days filter
         if (params.last_days) {
-            whereClause.push(`posted_date >= date('now', '-' || ? || ' days')`);
-            queryParams.push(params.last_days);
+            whereClause.push(`posted_date >= date(?, '-' || ? || ' days')`);
+            queryParams.push(islandToday(), params.last_days);
         }
 
-        // Salary filters
+        // Salary filters, on full-time annual equivalents so hourly and annual pay compare
+        // ("up to" salaries have no minimum and "from" salaries no maximum)
         if (params.salary_min !== undefined) {
-            whereClause.push(`salary_max >= ?`);
+            whereClause.push(`COALESCE(salary_annual_max, salary_annual_min) >= ?`);
             queryParams.push(params.salary_min);
         }
         if (params.salary_max !== undefined) {
-            whereClause.push(`salary_min <= ?`);
+            whereClause.push(`COALESCE(salary_annual_min, salary_annual_max) <= ?`);
             queryParams.push(params.salary_max);
         }
 
@@ -124,19 +156,28 @@ async function handleJobsRequest(request, env) {
         const offset = (params.page - 1) * params.limit;
         const totalPages = Math.ceil(total / params.limit);
 
+        // Salary sorts by the full-time annual equivalent, with unparsed salaries last either way
+        const salaryKey = "COALESCE(salary_annual_min, salary_annual_max)";
+        const orderBy = params.sort === "salary_min"
+            ? `${salaryKey} IS NULL, ${salaryKey} ${params.order}`
+            : `${params.sort} ${params.order}`;
+
         // Get jobs with all fields needed for display
         const jobsSql = `
-            SELECT id, title, employer, location, salary_text, salary_min, salary_max, salary_type,
-                   job_type, hours_option, hours_type, classification, area,
-                   posted_date, closing_date, start_date, scraped_at,
-                   summary, description,
+            SELECT id, title, employer, location, place, parish, region, latitude, longitude, salary_text, salary_min, salary_max, salary_type, salary_currency,
+                   salary_annual_min, salary_annual_max, salary_pro_rata, salary_grade, salary_pay_scale_id, salary_confidence, hours_per_week,
+                   job_type, employment_types, hours_option, hours_type, classification, area, industry,
+                   posted_date, closing_date, closing_time, closing_at, closing_date_ambiguous, start_date, scraped_at,
+                   summary, description, description_markdown,
                    reference, contact_name, contact_email, contact_phone,
                    qualifications, experience, benefits, how_to_apply,
-                   additional_info,
-                   source_url, apply_url, is_active
+                   responsibilities, essential_criteria, desirable_criteria,
+                   external_id, direct_apply, additional_info,
+                   readvertised_from, readvertise_count,
+                   source, source_url, apply_url, external_url, is_active, closed_reason, closed_at, last_seen_at
             FROM jobs
             ${where}
-            ORDER BY ${params.sort} ${params.order}
+            ORDER BY ${orderBy}
             LIMIT ? OFFSET ?
         `;
 
@@ -145,18 +186,20 @@ async function handleJobsRequest(request, env) {
             .all();
 
         // Get filter options, stats, and last scrape time in parallel
-        const [employers, locations, classifications, jobTypes, hoursTypes, totalCount, activeCount, closingSoon, lastScrape] = await Promise.all([
+        const [employers, locations, regions, classifications, jobTypes, hoursTypes, sources, totalCount, activeCount, closingSoon, lastScrape] = await Promise.all([
             env.DB.prepare("SELECT DISTINCT employer FROM jobs WHERE employer IS NOT NULL ORDER BY employer").all(),
             env.DB.prepare("SELECT DISTINCT location FROM jobs WHERE location IS NOT NULL ORDER BY location").all(),
+            env.DB.prepare("SELECT DISTINCT region FROM jobs WHERE region IS NOT NULL ORDER BY region").all(),
             env.DB.prepare("SELECT DISTINCT classification FROM jobs WHERE classification IS NOT NULL ORDER BY classification").all(),
             env.DB.prepare("SELECT DISTINCT job_type FROM jobs WHERE job_type IS NOT NULL ORDER BY job_type").all(),
             env.DB.prepare("SELECT DISTINCT hours_type FROM jobs WHERE hours_type IS NOT NULL ORDER BY hours_type").all(),
+            env.DB.prepare("SELECT DISTINCT source FROM jobs WHERE source IS NOT NULL ORDER BY source").all(),
             env.DB.prepare("SELECT COUNT(*) as count FROM jobs").first(),
             env.DB.prepare("SELECT COUNT(*) as count FROM jobs WHERE is_active = 1").first(),
             env.DB.prepare(`
                 SELECT COUNT(*) as count FROM jobs
-                WHERE is_active = 1 AND closing_date BETWEEN date('now') AND date('now', '+7 days')
-            `).first(),
+                WHERE is_active = 1 AND closing_date BETWEEN ? AND date(?, '+7 days')
+            `).bind(islandToday(), islandToday()).first(),
             env.DB.prepare("SELECT completed_at FROM scrape_log WHERE status = 'success' ORDER BY completed_at DESC LIMIT 1").first(),
         ]);
 
@@ -186,9 +229,11 @@ async function handleJobsRequest(request, env) {
                     filters: {
                         employers: employers.results?.map(r => r.employer) || [],
                         locations: locations.results?.map(r => r.location) || [],
+                        regions: regions.results?.map(r => r.region) || [],
                         classifications: classifications.results?.map(r => r.classification) || [],
                         job_types: jobTypes.results?.map(r => r.job_type) || [],
                         hours_types: hoursTypes.results?.map(r => r.hours_type) || [],
+                        sources: sources.results?.map(r => ({ id: r.source, name: getSource(r.source)?.name || r.source })) || [],
                     },
                     stats: {
                         total_jobs: totalCount?.count || 0,
@@ -239,12 +284,16 @@ async function handleJobDetailRequest(request, env, jobId) {
             LIMIT 5
         `).bind(jobId, job.employer, job.classification).all();
 
+        // Earlier and later postings of the same role under different GUIDs
+        const readvertisements = await getReadvertisements(env, job);
+
         return {
             result: {
                 success: true,
                 data: {
                     job,
                     related: related.results || [],
+                    readvertisements,
                 },
             },
             status: 200,
@@ -258,6 +307,43 @@ async function handleJobDetailRequest(request, env, jobId) {
     }
 }
 
+/**
+ * Handle job history endpoint - field-level change timeline across scrapes
+ */
+async function handleJobHistoryRequest(env, jobId) {
+    try {
+        const job = await env.DB.prepare(`
+            SELECT id, title, employer, scraped_at FROM jobs WHERE id = ?
+        `).bind(jobId).first();
+
+        if (!job) {
+            return {
+                result: { success: false, error: "not_found", message: "Job not found" },
+                status: 404,
+            };
+        }
+
+        const history = await getJobHistory(env, jobId);
+
+        return {
+            result: {
+                success: true,
+                data: {
+                    job,
+                    history,
+                },
+            },
+            status: 200,
+        };
+    } catch (error) {
+        console.error("Error fetching job history:", error);
+        return {
+            result: { success: false, error: "internal_error" },
+            status: 500,
+        };
+    }
+}
+
 /**
  * Handle health endpoint for external monitoring
  * Returns health status based on recent scrape/enrichment activity
@@ -313,6 +399,13 @@ async function handleHealthRequest(env) {
             issues.push(`Last enrichment failed: ${lastEnrichment.error_message || "unknown error"}`);
         }
 
+        // Issue: Field coverage of the latest run dropped sharply (parser may be broken)
+        const parseQuality = await getParseQuality(env);
+        for (const flag of parseQuality.flags) {
+            const unit = flag.metric === "avg_description_length" ? " chars" : "%";
+            issues.push(`${flag.label} dropped to ${flag.value}${unit} in run ${flag.scrapeLogId} (${flag.source || "enrichment"}; trailing average ${flag.trailingAverage}${unit})`);
+        }
+
         // Determine overall health
         const healthy = issues.length === 0;
         const status = healthy ? "healthy" : "unhealthy";
@@ -340,6 +433,7 @@ async function handleHealthRequest(env) {
                     scrapesFailed: recentFailedScrapes,
                     enrichments: enrichmentLogs.length,
                 },
+                parseQuality,
             },
             status: healthy ? 200 : 503,
         };
@@ -383,6 +477,7 @@ async function handleStatsRequest(env) {
             closingThisWeek,
             byEmployer,
             byLocation,
+            byRegion,
             salaryStats,
             lastScrape,
         ] = await Promise.all([
@@ -390,8 +485,8 @@ async function handleStatsRequest(env) {
             env.DB.prepare("SELECT COUNT(*) as count FROM jobs WHERE is_active = 1").first(),
             env.DB.prepare(`
                 SELECT COUNT(*) as count FROM jobs
-                WHERE is_active = 1 AND closing_date BETWEEN date('now') AND date('now', '+7 days')
-            `).first(),
+                WHERE is_active = 1 AND closing_date BETWEEN ? AND date(?, '+7 days')
+            `).bind(islandToday(), islandToday()).first(),
             env.DB.prepare(`
                 SELECT employer, COUNT(*) as count FROM jobs
                 WHERE is_active = 1 AND employer IS NOT NULL
@@ -402,14 +497,19 @@ async function handleStatsRequest(env) {
                 WHERE is_active = 1 AND location IS NOT NULL
                 GROUP BY location ORDER BY count DESC LIMIT 10
             `).all(),
+            env.DB.prepare(`
+                SELECT region, COUNT(*) as count FROM jobs
+                WHERE is_active = 1 AND region IS NOT NULL
+                GROUP BY region ORDER BY count DESC
+            `).all(),
             env.DB.prepare(`
                 SELECT
-                    MIN(salary_min) as min_salary,
-                    MAX(salary_max) as max_salary,
-                    AVG(salary_min) as avg_min,
-                    AVG(salary_max) as avg_max
+                    MIN(salary_annual_min) as min_salary,
+                    MAX(salary_annual_max) as max_salary,
+                    AVG(salary_annual_min) as avg_min,
+                    AVG(salary_annual_max) as avg_max
                 FROM jobs
-                WHERE is_active = 1 AND salary_min IS NOT NULL
+                WHERE is_active = 1 AND COALESCE(salary_annual_min, salary_annual_max) IS NOT NULL
             `).first(),
             getLastScrapeStatus(env),
         ]);
@@ -420,6 +520,7 @@ async function handleStatsRequest(env) {
             closing_this_week: closingThisWeek?.count || 0,
             by_employer: byEmployer.results || [],
             by_location: byLocation.results || [],
+            by_region: byRegion.results || [],
             salary_stats: salaryStats || {},
             last_scrape: lastScrape,
             generated_at: new Date().toISOString(),
@@ -448,10 +549,10 @@ async function handleStatsRequest(env) {
 }
 
 /**
- * Handle manual scrape trigger (admin only)
+ * Check an admin route's Bearer token against ADMIN_API_KEY
+ * @returns {Object|null} The 401/403 response to send, or null when the caller is the admin
  */
-async function handleScrapeRequest(request, env) {
-    // Verify admin authorization
+function requireAdmin(request, env) {
     const authHeader = request.headers.get("Authorization");
     if (!authHeader || !authHeader.startsWith("Bearer ")) {
         return {
@@ -460,14 +561,23 @@ async function handleScrapeRequest(request, env) {
         };
     }
 
-    const token = authHeader.substring(7);
-    if (token !== env.ADMIN_API_KEY) {
+    if (authHeader.substring(7) !== env.ADMIN_API_KEY) {
         return {
             result: { success: false, error: "forbidden" },
             status: 403,
         };
     }
 
+    return null;
+}
+
+/**
+ * Handle manual scrape trigger (admin only)
+ */
+async function handleScrapeRequest(request, env) {
+    const denied = requireAdmin(request, env);
+    if (denied) return denied;
+
     try {
         const body = await request.json();
         const validation = ScrapeRequestSchema.safeParse(body);
@@ -479,8 +589,45 @@ async function handleScrapeRequest(request, env) {
             };
         }
 
+        const sourceId = validation.data.source || DEFAULT_SOURCE_ID;
+        if (!getListableSources().some(source => source.id === sourceId)) {
+            return {
+                result: {
+                    success: false,
+                    error: "unknown_source",
+                    sources: getListableSources().map(source => source.id),
+                },
+                status: 400,
+            };
+        }
+
         const forceFullScrape = validation.data.type === "full";
-        const result = await scrapeJobs(env, forceFullScrape);
+        const result = await scrapeJobs(env, forceFullScrape, sourceId);
+
+        return {
+            result,
+            status: result.success ? 200 : 500,
+        };
+    } catch (error) {
+        console.error("Scrape error:", error);
+        return {
+            result: { success: false, error: error.message },
+            status: 500,
+        };
+    }
+}
+
+/**
+ * Handle scrape continuation (admin only)
+ * Advances the run in progress by one invocation's worth of work;
+ * callers keep calling until the response has `complete: true`
+ */
+async function handleScrapeContinueRequest(request, env) {
+    const denied = requireAdmin(request, env);
+    if (denied) return denied;
+
+    try {
+        const result = await continueScrape(env);
 
         return {
             result,
@@ -495,6 +642,76 @@ async function handleScrapeRequest(request, env) {
     }
 }
 
+/**
+ * Handle re-parse of stored detail pages (admin only)
+ * Processes one batch; callers repeat with `id_from: next_id` until `complete: true`
+ */
+async function handleReparseRequest(request, env) {
+    const denied = requireAdmin(request, env);
+    if (denied) return denied;
+
+    try {
+        const body = await request.json().catch(() => ({}));
+        const validation = ReparseRequestSchema.safeParse(body);
+
+        if (!validation.success) {
+            return {
+                result: { success: false, error: "invalid_request", message: validation.error.errors[0].message },
+                status: 400,
+            };
+        }
+
+        const result = await reparseJobs(env, validation.data);
+
+        return { result, status: 200 };
+    } catch (error) {
+        console.error("Reparse error:", error);
+        return {
+            result: { success: false, error: error.message },
+            status: 500,
+        };
+    }
+}
+
+/**
+ * Handle a pay scale revision load (admin only)
+ * Grade-only salaries pick the new bands up on their next enrichment or re-parse
+ */
+async function handlePayScalesRequest(request, env) {
+    const denied = requireAdmin(request, env);
+    if (denied) return denied;
+
+    try {
+        const body = await request.json().catch(() => ({}));
+        const validation = PayScaleRevisionSchema.safeParse(body);
+
+        if (!validation.success) {
+            return {
+                result: { success: false, error: "invalid_request", message: validation.error.errors[0].message },
+                status: 400,
+            };
+        }
+
+        const loaded = await loadPayScaleRevision(env, validation.data);
+
+        return {
+            result: {
+                success: true,
+                scheme: validation.data.scheme,
+                effective_from: validation.data.effective_from,
+                loaded,
+            },
+            status: 200,
+        };
+    } catch (error) {
+        console.error("Pay scale load error:", error);
+        return {
+            result: { success: false, error: error.message },
+            status: 500,
+        };
+    }
+}
+
 /**
  * Handle sitemap.xml request - returns XML sitemap for SEO
  */
@@ -505,7 +722,7 @@ async function handleSitemapRequest(env) {
         `).all();
 
         const baseUrl = "https://jobs.balley.xyz";
-        const today = new Date().toISOString().split("T")[0];
+        const today = islandToday();
 
         const urls = [
             { loc: `${baseUrl}/`, priority: "1.0", changefreq: "daily", lastmod: today },
@@ -582,17 +799,26 @@ export default {
             } else if (url.pathname.match(/^\/job\/(\d+)$/) && request.method === "GET") {
                 const jobId = url.pathname.match(/^\/job\/(\d+)$/)[1];
                 response = await handleJobDetailRequest(request, env, parseInt(jobId, 10));
+            } else if (url.pathname.match(/^\/job\/(\d+)\/history$/) && request.method === "GET") {
+                const jobId = url.pathname.match(/^\/job\/(\d+)\/history$/)[1];
+                response = await handleJobHistoryRequest(env, parseInt(jobId, 10));
             } else if (url.pathname === "/stats" && request.method === "GET") {
                 response = await handleStatsRequest(env);
             } else if (url.pathname === "/health" && request.method === "GET") {
                 response = await handleHealthRequest(env);
             } else if (url.pathname === "/scrape" && request.method === "POST") {
                 response = await handleScrapeRequest(request, env);
+            } else if (url.pathname === "/scrape/continue" && request.method === "POST") {
+                response = await handleScrapeContinueRequest(request, env);
+            } else if (url.pathname === "/reparse" && request.method === "POST") {
+                response = await handleReparseRequest(request, env);
+            } else if (url.pathname === "/pay-scales" && request.method === "POST") {
+                response = await handlePayScalesRequest(request, env);
             } else if (url.pathname === "/enrich" && request.method === "POST") {
                 // Enrich-only endpoint - runs enrichment without listing fetch
-                const authHeader = request.headers.get("Authorization");
-                if (!authHeader || !authHeader.startsWith("Bearer ") || authHeader.substring(7) !== env.ADMIN_API_KEY) {
-                    response = { result: { success: false, error: "unauthorized" }, status: 401 };
+                const denied = requireAdmin(request, env);
+                if (denied) {
+                    response = denied;
                 } else {
                     const { enrichJobDetailsOnly } = await import("./scraper.js");
                     const result = await enrichJobDetailsOnly(env);
@@ -640,13 +866,25 @@ export default {
 
     /**
      * Scheduled handler for daily scraping and enrichment
-     * - 06:00 and 18:00 UTC: Main scrape (listing pages)
-     * - 06:30 and 18:30 UTC: Enrichment (detail pages)
+     * - Source schedules (sources/*.js): Start a scrape run for each source due
+     *   (06:00 and 18:00 UTC for gov.im: listing pages, then queued detail pages)
+     * - 06:30 and 18:30 UTC: Enrichment (detail pages), unless a scrape run is in progress
+     * - Every 10 minutes: Continue the scrape run in progress, unless another invocation holds it
      */
     async scheduled(event, env, ctx) {
         const isEnrichmentTrigger = event.cron === "30 6,18 * * *";
+        const isContinueTrigger = event.cron === "*/10 * * * *";
 
-        if (isEnrichmentTrigger) {
+        if (isContinueTrigger) {
+            try {
+                const result = await continueScrape(env);
+                if (result.runId) {
+                    console.log("Scheduled scrape continuation result:", result);
+                }
+            } catch (error) {
+                console.error("Scheduled scrape continuation failed:", error);
+            }
+        } else if (isEnrichmentTrigger) {
             console.log("Scheduled enrichment triggered at:", new Date().toISOString());
             try {
                 const { enrichJobDetailsOnly } = await import("./scraper.js");
@@ -658,7 +896,12 @@ export default {
         } else {
             console.log("Scheduled scrape triggered at:", new Date().toISOString());
             try {
-                const result = await scrapeJobs(env, false);
+                // Queue a run per source due, then spend this invocation on the oldest;
+                // the continuation cron works through the rest
+                for (const source of getScheduledSources(event.cron)) {
+                    await queueScrape(env, source.id, false);
+                }
+                const result = await continueScrape(env);
                 console.log("Scheduled scrape result:", result);
             } catch (error) {
                 console.error("Scheduled scrape failed:", error);